@@ -1,8 +1,31 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot, collection, query, updateDoc, deleteDoc, serverTimestamp, getDoc } from 'firebase/firestore';
-import { RefreshCw, Zap, Monitor, Lock, LogOut, Loader2, Key, Shield, AlertTriangle } from 'lucide-react';
+import {
+  getAuth, connectAuthEmulator, signOut,
+  EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup, signInWithPopup, signInWithCredential,
+  signInWithEmailAndPassword, createUserWithEmailAndPassword,
+} from 'firebase/auth';
+import { getFirestore, doc, setDoc, addDoc, onSnapshot, collection, query, where, orderBy, limit, updateDoc, deleteDoc, serverTimestamp, getDoc, getDocs, runTransaction, Timestamp, connectFirestoreEmulator } from 'firebase/firestore';
+import { QRCodeSVG } from 'qrcode.react';
+import { getFunctions, httpsCallable, connectFunctionsEmulator } from 'firebase/functions';
+import { ALL_DAYS, DEFAULT_POLICY, normalizePolicy } from './policyEngine';
+import {
+  DEFAULT_GEMINI_BASE_URL, toAnalysisEvent, createGeminiAnalyzer, createRuleBasedAnalyzer, analyzeWithFallback,
+} from './securityAnalysis';
+import { createGeminiCommandModel, planCommands, runCommandPlan } from './commandAssistant';
+import { LIVE_SESSION_STATUSES, SESSION_LEASE_MS, getSessionLeaseAgeMs, isSessionStale } from './sessionLease';
+import { HISTORY_WINDOW_MS, summarizeUsage, summarizeDenials, formatDuration } from './sessionHistory';
+import { getLockedUntilMs } from './connectionGuard';
+import { EXPORT_FORMATS, WEBHOOK_EVENT_TYPES, buildExportFile, isValidWebhookUrl } from './auditExport';
+import { withExponentialBackoff } from './backoff';
+import { createRemoteCandidateQueue } from './candidateQueue';
+import { MAX_DEVICE_NAME_LENGTH, createMirroringService } from './mirroringService';
+import {
+  RESOLUTIONS, FRAME_RATES, MIN_BITRATE_KBPS, MAX_BITRATE_KBPS, normalizeStreamProfile, applySessionOverrides, toCaptureOptions, buildNegotiatedProfile,
+  describeStreamProfile, describeNegotiatedProfile,
+} from './streamProfile';
+import { createFirestoreBackend } from './firestoreBackend';
+import { RefreshCw, Zap, Monitor, Lock, LogOut, Loader2, Key, Shield, AlertTriangle, Pencil, Power, Ban, SlidersHorizontal, User, Users, UserX, Share2 } from 'lucide-react';
 
 // --- Global Context Variables (Provided by Canvas Environment) ---
 // MUST be used for initialization and path construction
@@ -15,79 +38,442 @@ const apiKey = ""; // API Key for Gemini is provided at runtime
 let app;
 let db;
 let auth;
+let functions;
 
 if (firebaseConfig) {
   try {
     app = initializeApp(firebaseConfig);
     db = getFirestore(app);
     auth = getAuth(app);
+    functions = getFunctions(app);
+    // Set "useEmulators": true in the config to run against the local Firebase emulator suite
+    if (firebaseConfig.useEmulators) {
+      connectAuthEmulator(auth, 'http://127.0.0.1:9099');
+      connectFirestoreEmulator(db, '127.0.0.1', 8080);
+      connectFunctionsEmulator(functions, '127.0.0.1', 5001);
+    }
     // setLogLevel('debug'); // Uncomment for debugging Firestore logs
   } catch (e) {
     console.error("Firebase initialization failed:", e);
   }
 }
 
-// Helper to handle API call retry logic
-const withExponentialBackoff = async (fn, retries = 3, delay = 1000) => {
-  try {
-    return await fn();
-  } catch (error) {
-    if (retries > 0) {
-      console.warn(`Attempt failed. Retrying in ${delay / 1000}s...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return withExponentialBackoff(fn, retries - 1, delay * 2);
-    }
-    throw error;
-  }
+// --- Mirroring Service (see mirroringService.js) ---
+// Devices, sessions, the audit log and sign-in go through the service; registration and
+// session start/stop are authorized server-side by the Cloud Functions behind it.
+const MIRRORING = db ? createMirroringService(createFirestoreBackend({ db, auth, functions, appId })) : null;
+const PATHS = MIRRORING?.backend.paths;
+
+// --- Server-Side Handlers (Cloud Functions, see functions/index.js) ---
+const callAcceptDeviceInvite = (data) => httpsCallable(functions, 'acceptDeviceInvite')(data);
+const callRevokeDeviceGuest = (data) => httpsCallable(functions, 'revokeDeviceGuest')(data);
+const callKickGuestSession = (data) => httpsCallable(functions, 'kickGuestSession')(data);
+const callRequestHandoff = (data) => httpsCallable(functions, 'requestHandoff')(data);
+const callSettleHandoff = (data) => httpsCallable(functions, 'settleHandoff')(data);
+const callClearLockout = (data) => httpsCallable(functions, 'clearLockout')(data);
+const callClaimPairing = (data) => httpsCallable(functions, 'claimPairing')(data);
+const callSaveWebhook = (data) => httpsCallable(functions, 'saveWebhook')(data);
+const callSendTestWebhook = (data) => httpsCallable(functions, 'sendTestWebhook')(data);
+
+// --- Audit Log Configuration ---
+// Every security-relevant action is persisted as a typed event under
+// /artifacts/{appId}/users/{userId}/audit_log so the trail survives reloads.
+const LOG_EVENT_TYPES = ['REGISTER', 'PAIRING_FAILED', 'DEVICE_UPDATED', 'REVOKED', 'POLICY_UPDATED', 'ACCOUNT', 'SHARE_INVITED', 'SHARE_GRANTED', 'SHARE_REVOKED', 'KICKED', 'HANDOFF_REQUESTED', 'HANDOFF_APPROVED', 'HANDOFF_DECLINED', 'HANDOFF_EXPIRED', 'COMMAND', 'EXPORTED', 'WEBHOOK_UPDATED', 'LOCKOUT', 'LOCKOUT_CLEARED', 'ANOMALY', 'AUTHORIZED', 'CONNECTED', 'DENIED', 'DISCONNECTED', 'EXPIRED', 'ERROR'];
+const LOG_PAGE_SIZE = 25;
+
+// --- Usage Dashboard Configuration ---
+// Sessions are archived to /artifacts/{appId}/users/{userId}/session_history by the Cloud Functions
+// as they end; the dashboard reads the last HISTORY_WINDOW_MS of records and audit events.
+const SESSION_HISTORY_LIMIT = 500;
+const USAGE_EVENT_LIMIT = 1000;
+const RECENT_SESSIONS_SHOWN = 20;
+const OUTCOME_STYLES = {
+  Completed: 'bg-green-100 text-green-800',
+  Abandoned: 'bg-gray-100 text-gray-700',
+  Failed: 'bg-red-100 text-red-800',
+  Expired: 'bg-orange-100 text-orange-800',
+};
+
+// Archived session doc -> record with the millisecond times sessionHistory.js and auditExport.js expect
+const toHistoryRecord = (docSnap) => {
+  const record = docSnap.data();
+  return { id: docSnap.id, ...record, startedAtMs: record.startTime?.toMillis() ?? null, endedAtMs: record.endTime?.toMillis() ?? null };
 };
 
-// --- Gemini API Call Function ---
-const getGeminiAnalysis = async (prompt) => {
-  const systemPrompt = `You are the 'Security Posture Analyst' for a global screen mirroring service. Analyze the provided policy or log data based on the user's query. Output a professional, actionable summary in a concise paragraph. Use the data provided by the user as your sole source of information.`;
-  
-  const userQuery = prompt;
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
+// --- Connection Guard Configuration ---
+// startMirroring counts denied attempts per TV and per user against the policy's thresholds and
+// writes lockouts to /artifacts/{appId}/users/{userId}/lockouts; LOCKOUT and ANOMALY events from
+// the last SECURITY_ALERT_WINDOW_MS are raised in the alert banner until dismissed.
+const SECURITY_ALERT_TYPES = ['LOCKOUT', 'ANOMALY'];
+const SECURITY_ALERT_WINDOW_MS = 24 * 60 * 60 * 1000;
 
-  const payload = {
-    contents: [{ parts: [{ text: userQuery }] }],
-    systemInstruction: { parts: [{ text: systemPrompt }] },
+// --- Export & Webhook Configuration ---
+// Exports read straight from Firestore (not the paginated log panel), up to EXPORT_LIMIT entries.
+// The webhook is delivered by the Cloud Functions, which keep its URL to themselves; the manager
+// only sees the summary they write to /settings/webhook (target origin, enabled, last delivery).
+const EXPORT_LIMIT = 5000;
+const DEFAULT_WEBHOOK = { target: null, enabled: false, lastDelivery: null };
+
+// --- WebRTC Signaling Configuration ---
+// The session doc carries the SDP offer/answer; ICE candidates are written as
+// sub-documents under senderCandidates / receiverCandidates.
+const RTC_CONFIG = {
+  iceServers: [{ urls: ['stun:stun1.l.google.com:19302', 'stun:stun2.l.google.com:19302'] }],
+  iceCandidatePoolSize: 10,
+};
+const PEER_STATE_TO_SESSION_STATUS = { connected: 'Connected', failed: 'Failed' };
+
+// --- Session Lease Configuration ---
+// The sending tab renews leaseRenewedAt on the session doc; any manager tab marks a
+// live session Expired once the lease lapses, so a crashed sender cannot block mirroring.
+const SESSION_HEARTBEAT_MS = 15000;
+const SESSION_STALE_WARNING_MS = 30000;
+const SESSION_LEASE_CHECK_MS = 5000;
+const TAB_INSTANCE_ID = crypto.randomUUID(); // Identifies the tab that owns the peer connection
+
+// --- Session Handoff Configuration ---
+// A start denied because the user or the TV is busy can ask the current sender (or its TV) to hand over.
+// Requests live in /artifacts/{appId}/public/data/session_handoffs/{requesterId} and expire after 30s.
+const HANDOFF_RULES = ['SESSION_ALREADY_ACTIVE', 'DEVICE_CONCURRENCY_LIMIT'];
+const HANDOFF_COUNTDOWN_MS = 1000;
+
+// Receiver side of the handshake: answers the offer stored on the session doc
+// and exchanges ICE candidates. Returns a cleanup function.
+const answerMirroringSession = async (sessionDocRef, onStream) => {
+  const sessionSnap = await getDoc(sessionDocRef);
+  const offer = sessionSnap.data()?.offer;
+  if (!offer) throw new Error('Session has no offer to answer.');
+
+  const pc = new RTCPeerConnection(RTC_CONFIG);
+  pc.ontrack = (event) => onStream(event.streams[0]);
+  pc.onicecandidate = (event) => {
+    if (!event.candidate) return;
+    addDoc(collection(sessionDocRef, 'receiverCandidates'), event.candidate.toJSON())
+      .catch(e => console.error("Error publishing ICE candidate: ", e));
   };
 
-  const fn = async () => {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
+  await pc.setRemoteDescription(new RTCSessionDescription(offer));
+  const answer = await pc.createAnswer();
+  await pc.setLocalDescription(answer);
+  await updateDoc(sessionDocRef, { answer: { type: answer.type, sdp: answer.sdp } });
 
-    if (!response.ok) {
-        throw new Error(`API call failed with status: ${response.status}`);
-    }
+  const unsubscribe = onSnapshot(collection(sessionDocRef, 'senderCandidates'), (snapshot) => {
+    snapshot.docChanges().forEach(change => {
+      if (change.type !== 'added') return;
+      pc.addIceCandidate(new RTCIceCandidate(change.doc.data()))
+        .catch(e => console.error("Error adding remote ICE candidate: ", e));
+    });
+  });
 
-    const result = await response.json();
-    return result.candidates?.[0]?.content?.parts?.[0]?.text || "Analysis failed to produce content.";
+  return () => {
+    unsubscribe();
+    pc.close();
   };
+};
 
-  try {
-    return await withExponentialBackoff(fn);
-  } catch (error) {
-    console.error("Gemini API call failed after retries:", error);
-    return `Error: Could not connect to the Gemini API for analysis. (${error.message})`;
-  }
+// --- Receiver Presence Configuration ---
+// TVs publish presence to /artifacts/{appId}/public/data/receivers/{uniqueId}.
+const PRESENCE_HEARTBEAT_MS = 30000;
+const PRESENCE_STALE_MS = 90000;
+const RECEIVER_ID_STORAGE_KEY = 'screenMirror.receiverUniqueId';
+
+// --- Account Configuration ---
+// Each signed-in browser keeps a doc in /artifacts/{appId}/users/{userId}/browsers/{browserId}.
+const BROWSER_ID_STORAGE_KEY = 'screenMirror.browserId';
+const AUTH_ERROR_MESSAGES = {
+  'auth/email-already-in-use': 'That email already has an account. Use Sign in instead.',
+  'auth/credential-already-in-use': 'That account already exists. Use Sign in instead.',
+  'auth/invalid-credential': 'Incorrect email or password.',
+  'auth/invalid-email': 'Enter a valid email address.',
+  'auth/weak-password': 'Passwords need at least 6 characters.',
+  'auth/popup-closed-by-user': 'Sign-in window was closed before finishing.',
 };
 
+// --- Household Sharing Configuration ---
+// Owners share a TV through a one-time invite in /artifacts/{appId}/public/data/device_invites/{code};
+// accepted guests see it under /artifacts/{appId}/users/{guestId}/shared_devices.
+const SHARE_INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+const SHARE_INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
 
-// --- Core App Component ---
-const App = () => {
+const generateShareInviteCode = () =>
+  Array.from(crypto.getRandomValues(new Uint32Array(8)), value => SHARE_INVITE_ALPHABET[value % SHARE_INVITE_ALPHABET.length]).join('');
+
+// --- Device Pairing Configuration ---
+// A TV on ?mode=pair publishes a short-lived PIN to /artifacts/{appId}/public/data/pairing_requests/{pin}.
+// Lifecycle: Waiting -> Claimed (manager entered the PIN; claimPairing) -> Confirmed (TV accepted) -> Completed.
+const PAIRING_CODE_TTL_MS = 5 * 60 * 1000;
+
+const generatePairingCode = () => {
+  const [value] = crypto.getRandomValues(new Uint32Array(1));
+  return String(value % 1000000).padStart(6, '0');
+};
+
+const isPairingExpired = (pairing) => !pairing?.expiresAt?.toMillis || pairing.expiresAt.toMillis() <= Date.now();
+
+// --- Security Analysis Configuration ---
+// Set "geminiBaseUrl" in the config to point the Gemini analyzer at a local mock server.
+// The rule-based analyzer needs no network and stands in whenever Gemini is unreachable.
+const OFFLINE_ANALYZER = createRuleBasedAnalyzer();
+// Analyzers read their own recent window of the audit log, whatever the log table is filtered or paged to
+const ANALYSIS_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const ANALYSIS_EVENT_LIMIT = 500;
+const ANALYZERS = [
+  createGeminiAnalyzer({
+    apiKey,
+    baseUrl: firebaseConfig?.geminiBaseUrl || DEFAULT_GEMINI_BASE_URL,
+    retry: withExponentialBackoff,
+  }),
+  OFFLINE_ANALYZER,
+];
+// Command mode sends utterances with tool definitions to the same Gemini endpoint
+const COMMAND_MODEL = createGeminiCommandModel({
+  apiKey,
+  baseUrl: firebaseConfig?.geminiBaseUrl || DEFAULT_GEMINI_BASE_URL,
+  retry: withExponentialBackoff,
+});
+const RISK_LEVEL_STYLES = {
+  high: 'bg-red-50 border-red-400 text-red-800',
+  medium: 'bg-orange-50 border-orange-400 text-orange-800',
+  low: 'bg-green-50 border-green-400 text-green-800',
+};
+
+
+// --- Shared Hooks & Routing ---
+
+// Plain snapshot of the Firebase user so React re-renders when it changes
+const describeAccount = (user) => (user ? {
+  uid: user.uid,
+  isAnonymous: user.isAnonymous,
+  email: user.email,
+  displayName: user.displayName,
+  providers: user.providerData.map(provider => provider.providerId),
+} : null);
+
+// Signs in with the provided custom token (falling back to anonymous auth) and tracks the current user
+const useFirebaseAuth = () => {
   const [authReady, setAuthReady] = useState(false);
   const [userId, setUserId] = useState(null);
+  const [account, setAccount] = useState(null);
+
+  // Linking an anonymous user keeps the same uid, so it does not fire onAuthStateChanged
+  const refreshAccount = useCallback(() => setAccount(describeAccount(auth?.currentUser)), []);
+
+  useEffect(() => {
+    if (!MIRRORING) return;
+
+    return MIRRORING.watchAuth(async (user) => {
+      setAccount(describeAccount(user));
+      if (user) {
+        setUserId(user.uid);
+      } else {
+        // Sign in with the provided token, or anonymously if there is none
+        await MIRRORING.signIn(initialAuthToken);
+      }
+      setAuthReady(true);
+    });
+  }, []);
+
+  return { authReady, userId, account, refreshAccount };
+};
+
+// The signed-in user's registered TVs, including revoked tombstones
+const useDevices = (userId) => {
   const [devices, setDevices] = useState([]);
+
+  useEffect(() => {
+    if (!MIRRORING || !userId) return;
+    return MIRRORING.watchDevices(userId, setDevices, (error) => console.error("Error fetching devices:", error));
+  }, [userId]);
+
+  return devices;
+};
+
+// The user's current session doc, or null
+const useActiveSession = (userId) => {
   const [activeSession, setActiveSession] = useState(null);
-  const [simulatedLog, setSimulatedLog] = useState("");
-  const [geminiPrompt, setGeminiPrompt] = useState('');
-  const [geminiResponse, setGeminiResponse] = useState(null);
+
+  useEffect(() => {
+    if (!MIRRORING || !userId) return;
+    return MIRRORING.watchActiveSession(userId, setActiveSession, (error) => console.error("Error fetching active session:", error));
+  }, [userId]);
+
+  return activeSession;
+};
+
+// The user's audit log, filtered ({ type, deviceId, from, to } with YYYY-MM-DD dates) and limited to `pageLimit`
+const useAuditLog = (userId, filters, pageLimit) => {
+  const [log, setLog] = useState({ events: [], hasMore: false });
+  const { type, deviceId, from, to } = filters;
+
+  useEffect(() => {
+    if (!MIRRORING || !userId) return;
+    const logQuery = { type, deviceId, fromMs: dateInputToMillis(from), toMs: dateInputToMillis(to, true), limit: pageLimit };
+    return MIRRORING.watchAuditLog(userId, logQuery, (events, { hasMore }) => setLog({ events, hasMore }), (error) => {
+      console.error("Error fetching audit log:", error);
+    });
+  }, [userId, type, deviceId, from, to, pageLimit]);
+
+  return log;
+};
+
+// Converts a YYYY-MM-DD value from a date input into milliseconds (local time), or null
+const dateInputToMillis = (value, endOfDay = false) => {
+  if (!value) return null;
+  const ms = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime();
+  return Number.isNaN(ms) ? null : ms;
+};
+
+// Pending handoff requests addressed to this user, either as the current sender (field 'targetSessionId')
+// or as its TV ('targetReceiverUserId'). Requests left unanswered past their deadline are settled as timeouts.
+const usePendingHandoffs = (field, userId) => {
+  const [handoffs, setHandoffs] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const timedOutRef = useRef(new Set());
+
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    // Path: /artifacts/{appId}/public/data/session_handoffs ({field} == userId, Pending)
+    const handoffsRef = collection(db, 'artifacts', appId, 'public', 'data', 'session_handoffs');
+    const q = query(handoffsRef, where(field, '==', userId), where('status', '==', 'Pending'));
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setHandoffs(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching handoff requests:", error);
+    });
+
+    return () => unsubscribe();
+  }, [field, userId]);
+
+  // Countdown only runs while something is waiting for an answer
+  useEffect(() => {
+    if (handoffs.length === 0) return;
+    const ticker = setInterval(() => setNow(Date.now()), HANDOFF_COUNTDOWN_MS);
+    return () => clearInterval(ticker);
+  }, [handoffs.length]);
+
+  useEffect(() => {
+    handoffs.forEach(handoff => {
+      // Handoff ids are per requester, so the deadline tells repeated requests apart
+      const key = `${handoff.id}:${handoff.expiresAt?.toMillis()}`;
+      if (handoff.expiresAt?.toMillis() > now || timedOutRef.current.has(key)) return;
+      timedOutRef.current.add(key);
+      callSettleHandoff({ appId, handoffId: handoff.id, decision: 'timeout' })
+        .catch(e => console.error("Error expiring handoff request: ", e));
+    });
+  }, [handoffs, now]);
+
+  return useMemo(() => handoffs
+    .filter(handoff => handoff.expiresAt?.toMillis() > now)
+    .map(handoff => ({ ...handoff, secondsLeft: Math.ceil((handoff.expiresAt.toMillis() - now) / 1000) })), [handoffs, now]);
+};
+
+// Identifies this browser in the user's browser list; kept across sign-ins
+const getBrowserId = () => {
+  let stored = localStorage.getItem(BROWSER_ID_STORAGE_KEY);
+  if (!stored) {
+    stored = crypto.randomUUID();
+    localStorage.setItem(BROWSER_ID_STORAGE_KEY, stored);
+  }
+  return stored;
+};
+
+const describeBrowser = () => {
+  const ua = navigator.userAgent;
+  const name = /Edg\//.test(ua) ? 'Edge' : /Chrome\//.test(ua) ? 'Chrome' : /Firefox\//.test(ua) ? 'Firefox' : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+  const os = /Windows/.test(ua) ? 'Windows' : /Android/.test(ua) ? 'Android' : /iPhone|iPad/.test(ua) ? 'iOS' : /Mac OS X/.test(ua) ? 'macOS' : /Linux/.test(ua) ? 'Linux' : 'unknown OS';
+  return `${name} on ${os}`;
+};
+
+const getAppMode = () => {
+  const mode = new URLSearchParams(window.location.search).get('mode');
+  return mode === 'receiver' || mode === 'pair' ? mode : 'manager';
+};
+
+// The TV's identity comes from its link (?device=...) or is generated once and kept in local storage
+const getReceiverUniqueId = () => {
+  const fromUrl = new URLSearchParams(window.location.search).get('device');
+  if (fromUrl) return fromUrl;
+
+  let stored = localStorage.getItem(RECEIVER_ID_STORAGE_KEY);
+  if (!stored) {
+    stored = crypto.randomUUID().substring(0, 8);
+    localStorage.setItem(RECEIVER_ID_STORAGE_KEY, stored);
+  }
+  return stored;
+};
+
+// Region of the requesting browser, derived from its locale (e.g. en-US -> US)
+const getClientRegion = () => {
+  try {
+    return new Intl.Locale(navigator.language).maximize().region ?? null;
+  } catch {
+    return null;
+  }
+};
+
+// Devices registered before lifecycle management have no state field and count as Active
+const getDeviceState = (device) => device.state || 'Active';
+
+// Shared TVs are keyed by their share, since a device ID is only unique per owner
+const streamProfileKey = (device) => device.sharedId || device.id;
+
+const buildReceiverLink = (uniqueId) => `${window.location.origin}${window.location.pathname}?mode=receiver&device=${encodeURIComponent(uniqueId)}`;
+
+// A receiver counts as reachable only while its heartbeat is fresh
+const isReceiverOnline = (presence) => {
+  if (!presence?.online || !presence.lastSeen?.toMillis) return false;
+  return Date.now() - presence.lastSeen.toMillis() < PRESENCE_STALE_MS;
+};
+
+
+// --- Manager Component ---
+const ManagerView = () => {
+  const [logFilters, setLogFilters] = useState({ type: '', deviceId: '', from: '', to: '' });
+  const [logLimit, setLogLimit] = useState(LOG_PAGE_SIZE);
+  const [analysisPrompt, setAnalysisPrompt] = useState('');
+  const [analyzerId, setAnalyzerId] = useState(ANALYZERS[0].id);
+  const [analysisReport, setAnalysisReport] = useState(null);
+  const [analysisError, setAnalysisError] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [assistantMode, setAssistantMode] = useState('analyze'); // 'analyze' | 'command'
+  const [commandUtterance, setCommandUtterance] = useState('');
+  const [commandPlan, setCommandPlan] = useState(null); // { utterance, steps, reply }
+  const [commandStatus, setCommandStatus] = useState(null);
   const [newDeviceName, setNewDeviceName] = useState('');
+  const [pairingCode, setPairingCode] = useState(() => new URLSearchParams(window.location.search).get('pair') || '');
+  const [pendingPairing, setPendingPairing] = useState(null);
+  const [pairingStatus, setPairingStatus] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+  const [clientRegion] = useState(getClientRegion);
+  const [browserId] = useState(getBrowserId);
+  const [browsers, setBrowsers] = useState([]);
+  const [deviceEdit, setDeviceEdit] = useState(null); // { deviceId, mode: 'rename' | 'revoke', value }
+  const [receiverPresence, setReceiverPresence] = useState({});
+  const [sharedDevices, setSharedDevices] = useState([]);
+  const [guestSessions, setGuestSessions] = useState([]);
+  const [shareInvite, setShareInvite] = useState(null); // { deviceId, code, expiresAt }
+  const [inviteCode, setInviteCode] = useState(() => new URLSearchParams(window.location.search).get('invite') || '');
+  const [inviteStatus, setInviteStatus] = useState(null);
+  const [handoffOffer, setHandoffOffer] = useState(null); // { device, reason } after a busy-session denial
+  const [outgoingHandoff, setOutgoingHandoff] = useState(null); // { id, device, expiresAt }
+  const [handoffStatus, setHandoffStatus] = useState(null);
+  const [sessionHistory, setSessionHistory] = useState([]);
+  const [usageEvents, setUsageEvents] = useState([]); // Unfiltered recent audit events for the dashboard
+  const [webhook, setWebhook] = useState(DEFAULT_WEBHOOK);
+  const [webhookStatus, setWebhookStatus] = useState(null);
+  const [lockouts, setLockouts] = useState([]);
+  const [dismissedAlertIds, setDismissedAlertIds] = useState([]);
+  const [profileEdit, setProfileEdit] = useState(null); // { key, mode: 'device' | 'session' }
+  const [sessionProfiles, setSessionProfiles] = useState({}); // Per-session overrides by device key, used at the next start
+  const peerConnectionRef = useRef(null);
+  const localStreamRef = useRef(null);
+  const signalingUnsubscribersRef = useRef([]);
+  const stopMirroringRef = useRef(null);
+  const wasSendingRef = useRef(false);
+  const handoffStreamRef = useRef(null); // Capture taken when requesting a handoff, held until it is answered
 
   // Helper function to format the Firestore Timestamp for display
   const formatDate = (timestamp) => {
@@ -99,70 +485,163 @@ const App = () => {
     }
   };
 
+  // Converts a YYYY-MM-DD value from a date input into a Firestore Timestamp
+  const dateInputToTimestamp = (value, endOfDay = false) => {
+    const ms = dateInputToMillis(value, endOfDay);
+    return ms === null ? null : Timestamp.fromMillis(ms);
+  };
+
+
+  // 1. Firebase Authentication (shared with the receiver view)
+  const { authReady, userId, account, refreshAccount } = useFirebaseAuth();
+
+  // 2-4. Registered devices, the active session and the audit log (filtered and paginated),
+  // through the mirroring service
+  const devices = useDevices(userId);
+  const activeSession = useActiveSession(userId);
+  const { events: auditEvents, hasMore: hasMoreLogs } = useAuditLog(userId, logFilters, logLimit);
+  const analysisLogFilters = useMemo(() => ({ type: '', deviceId: '', from: toDateInputValue(Date.now() - ANALYSIS_WINDOW_MS), to: '' }), []);
+  const { events: analysisEvents } = useAuditLog(userId, analysisLogFilters, ANALYSIS_EVENT_LIMIT);
+
+  const authorizedDevices = useMemo(() => devices.filter(d => getDeviceState(d) !== 'Revoked'), [devices]);
+  const revokedDevices = useMemo(() => devices.filter(d => getDeviceState(d) === 'Revoked'), [devices]);
+
+  // 5. Firestore Data Fetching (Public: Receiver presence for each registered or shared TV)
+  const deviceUniqueIds = useMemo(() => [...authorizedDevices, ...sharedDevices].map(d => d.uniqueId).filter(Boolean).sort().join(','), [authorizedDevices, sharedDevices]);
 
-  // 1. Firebase Authentication Effect
   useEffect(() => {
-    if (!auth) return;
+    if (!db || !authReady || !deviceUniqueIds) return;
 
-    const unsubscribe = onAuthStateChanged(auth, async (user) => {
-      if (user) {
-        setUserId(user.uid);
-      } else if (initialAuthToken) {
-        // Sign in with provided token
-        try {
-          await signInWithCustomToken(auth, initialAuthToken);
-        } catch (error) {
-          console.error("Custom token sign-in failed:", error);
-          await signInAnonymously(auth);
-        }
-      } else {
-        // Sign in anonymously if no token is available
-        await signInAnonymously(auth);
-      }
-      setAuthReady(true);
+    const unsubscribers = deviceUniqueIds.split(',').map(uniqueId => {
+      const presenceRef = doc(db, 'artifacts', appId, 'public', 'data', 'receivers', uniqueId);
+      return onSnapshot(presenceRef, (docSnap) => {
+        setReceiverPresence(current => ({ ...current, [uniqueId]: docSnap.exists() ? docSnap.data() : null }));
+      }, (error) => {
+        console.error("Error fetching receiver presence:", error);
+      });
+    });
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [authReady, deviceUniqueIds]);
+
+  // 6. Firestore Data Fetching (Private: Mirroring Policy)
+  useEffect(() => {
+    if (!db || !authReady || !userId) return;
+
+    // Path: /artifacts/{appId}/users/{userId}/settings/mirroring_policy
+    const policyRef = doc(db, 'artifacts', appId, 'users', userId, 'settings', 'mirroring_policy');
+
+    const unsubscribe = onSnapshot(policyRef, (docSnap) => {
+      setPolicy(normalizePolicy(docSnap.exists() ? docSnap.data() : null));
+    }, (error) => {
+      console.error("Error fetching mirroring policy:", error);
+    });
+
+    return () => unsubscribe();
+  }, [authReady, userId]);
+
+  // 8. Firestore Data Fetching (Private: TVs other users shared with this user)
+  useEffect(() => {
+    if (!db || !authReady || !userId) return;
+
+    // Path: /artifacts/{appId}/users/{userId}/shared_devices
+    const sharedRef = collection(db, 'artifacts', appId, 'users', userId, 'shared_devices');
+
+    const unsubscribe = onSnapshot(sharedRef, (snapshot) => {
+      setSharedDevices(snapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.data().deviceId, // Same id the owner uses, so session and log references line up
+        sharedId: doc.id,
+      })));
+    }, (error) => {
+      console.error("Error fetching shared devices:", error);
     });
 
     return () => unsubscribe();
-  }, [auth]); // Added auth to dependency array
+  }, [authReady, userId]);
 
-  // 2. Firestore Data Fetching (Private: User's Registered Devices)
+  // 9. Firestore Data Fetching (Public: guests' sessions on this user's TVs)
   useEffect(() => {
     if (!db || !authReady || !userId) return;
 
-    // Path: /artifacts/{appId}/users/{userId}/devices
-    const devicesRef = collection(db, 'artifacts', appId, 'users', userId, 'devices');
-    const q = query(devicesRef);
+    // Path: /artifacts/{appId}/public/data/mirroring_sessions (deviceOwnerId == userId)
+    const sessionsRef = PATHS.sessions();
+    const q = query(sessionsRef, where('deviceOwnerId', '==', userId));
 
     const unsubscribe = onSnapshot(q, (snapshot) => {
-      const deviceList = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setDevices(deviceList);
+      setGuestSessions(snapshot.docs
+        .filter(doc => doc.id !== userId)
+        .map(doc => ({ guestId: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
     }, (error) => {
-      console.error("Error fetching devices:", error);
+      console.error("Error fetching guest sessions:", error);
     });
 
     return () => unsubscribe();
   }, [authReady, userId]);
 
-  // 3. Firestore Data Fetching (Public: Active Mirroring Session)
+  // 10. Firestore Data Fetching (Private: archived sessions for the usage dashboard)
   useEffect(() => {
-    if (!db || !authReady || !userId) return; // Added userId check here too
+    if (!db || !authReady || !userId) return;
 
-    // Path: /artifacts/{appId}/public/data/mirroring_sessions/session_id
-    // We use a fixed document ID to represent the 'current' active session state for this user/app.
-    const sessionDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'mirroring_sessions', userId);
+    // Path: /artifacts/{appId}/users/{userId}/session_history
+    const historyRef = PATHS.sessionHistory(userId);
+    const since = Timestamp.fromMillis(Date.now() - HISTORY_WINDOW_MS);
+    const q = query(historyRef, where('startTime', '>=', since), orderBy('startTime', 'desc'), limit(SESSION_HISTORY_LIMIT));
 
-    const unsubscribe = onSnapshot(sessionDocRef, (docSnap) => {
-      if (docSnap.exists()) {
-        const sessionData = docSnap.data();
-        setActiveSession(sessionData);
-      } else {
-        setActiveSession(null);
-      }
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setSessionHistory(snapshot.docs.map(toHistoryRecord));
+    }, (error) => {
+      console.error("Error fetching session history:", error);
+    });
+
+    return () => unsubscribe();
+  }, [authReady, userId]);
+
+  // 11. Firestore Data Fetching (Private: recent audit events for denial rates, independent of the log filters)
+  useEffect(() => {
+    if (!db || !authReady || !userId) return;
+
+    // Path: /artifacts/{appId}/users/{userId}/audit_log
+    const logRef = PATHS.auditLog(userId);
+    const since = Timestamp.fromMillis(Date.now() - HISTORY_WINDOW_MS);
+    const q = query(logRef, where('timestamp', '>=', since), orderBy('timestamp', 'desc'), limit(USAGE_EVENT_LIMIT));
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setUsageEvents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+    }, (error) => {
+      console.error("Error fetching usage events:", error);
+    });
+
+    return () => unsubscribe();
+  }, [authReady, userId]);
+
+  // 12. Firestore Data Fetching (Private: outbound webhook settings)
+  useEffect(() => {
+    if (!db || !authReady || !userId) return;
+
+    // Path: /artifacts/{appId}/users/{userId}/settings/webhook
+    const webhookRef = doc(db, 'artifacts', appId, 'users', userId, 'settings', 'webhook');
+
+    const unsubscribe = onSnapshot(webhookRef, (docSnap) => {
+      setWebhook({ ...DEFAULT_WEBHOOK, ...(docSnap.exists() ? docSnap.data() : {}) });
+    }, (error) => {
+      console.error("Error fetching webhook settings:", error);
+    });
+
+    return () => unsubscribe();
+  }, [authReady, userId]);
+
+  // 13. Firestore Data Fetching (Private: attempt counters and lockouts on this user's TVs)
+  useEffect(() => {
+    if (!db || !authReady || !userId) return;
+
+    // Path: /artifacts/{appId}/users/{userId}/lockouts
+    const lockoutsRef = collection(db, 'artifacts', appId, 'users', userId, 'lockouts');
+
+    const unsubscribe = onSnapshot(lockoutsRef, (snapshot) => {
+      setLockouts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
     }, (error) => {
-      console.error("Error fetching active session:", error);
+      console.error("Error fetching lockouts:", error);
     });
 
     return () => unsubscribe();
@@ -170,138 +649,956 @@ const App = () => {
 
   // --- Utility Functions ---
 
-  const handleAddDevice = useCallback(async () => {
-    if (!db || !userId || !newDeviceName.trim()) return;
-
-    const deviceName = newDeviceName.trim();
-    // This action simulates the one-time registration of the TV to the user's account
-    const newDevice = {
-      name: deviceName,
-      registeredAt: serverTimestamp(),
-      // This property confirms the TV is authorized by the cloud state, allowing "connect from anywhere"
-      geoRestriction: 'Country-wide (Cloud Authorized)', 
-      uniqueId: crypto.randomUUID().substring(0, 8),
-      lastConnected: null, // New field to track last connection time
-    };
+  // Persists a typed audit event. Failures are reported but never block the calling action.
+  const logEvent = useCallback(async (type, message, details) => {
+    if (!MIRRORING || !userId) return;
 
     try {
-      const devicesRef = collection(db, 'artifacts', appId, 'users', userId, 'devices');
-      await setDoc(doc(devicesRef), newDevice);
-      setNewDeviceName('');
-      setSimulatedLog(log => log + `\n[${new Date().toLocaleTimeString()}] SUCCESS: New TV registered (One-time setup complete): ${deviceName} (${userId})`);
+      await MIRRORING.logEvent(userId, type, message, details);
     } catch (e) {
-      console.error("Error adding device: ", e);
-      setSimulatedLog(log => log + `\n[${new Date().toLocaleTimeString()}] ERROR: Failed to register device: ${deviceName}`);
+      console.error("Error writing audit event: ", e);
     }
-  }, [db, userId, newDeviceName]);
+  }, [userId]);
 
+  const updateLogFilter = useCallback((field, value) => {
+    setLogFilters(filters => ({ ...filters, [field]: value }));
+    setLogLimit(LOG_PAGE_SIZE); // Restart pagination whenever the filter changes
+  }, []);
 
-  const handleStartMirroring = useCallback(async (device) => {
+  // --- Log Export & Webhook ---
+
+  // Reads the chosen range straight from Firestore and downloads it in the chosen format
+  const handleExport = useCallback(async ({ kind, format, from, to }) => {
     if (!db || !userId) return;
 
-    // Simulate "Security and Restriction" Check: authorization based purely on cloud state (Firestore lookup)
-    const isAuthorized = devices.some(d => d.id === device.id);
+    const fromTs = dateInputToTimestamp(from);
+    const toTs = dateInputToTimestamp(to, true);
+    const field = kind === 'audit' ? 'timestamp' : 'startTime';
+    const constraints = [];
+    if (fromTs) constraints.push(where(field, '>=', fromTs));
+    if (toTs) constraints.push(where(field, '<=', toTs));
 
-    if (!isAuthorized) {
-      setSimulatedLog(log => log + `\n[${new Date().toLocaleTimeString()}] DENIED: Unauthorized device ID attempted connection: ${device.id}`);
-      return;
+    try {
+      const collectionRef = (kind === 'audit' ? PATHS.auditLog(userId) : PATHS.sessionHistory(userId));
+      const snapshot = await getDocs(query(collectionRef, ...constraints, orderBy(field, 'desc'), limit(EXPORT_LIMIT)));
+      const items = kind === 'audit'
+        ? snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }))
+        : snapshot.docs.map(toHistoryRecord);
+      const file = buildExportFile(kind, items, format, {
+        hostname: window.location.hostname,
+        range: { fromMs: fromTs?.toMillis() ?? null, toMs: toTs?.toMillis() ?? null },
+      });
+
+      const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      logEvent('EXPORTED', `Exported ${file.count} ${kind === 'audit' ? 'audit event(s)' : 'session record(s)'} as ${format.toUpperCase()} (${file.filename}).`, { reason: format });
+      return `Downloaded ${file.filename} (${file.count} entries${snapshot.size >= EXPORT_LIMIT ? `, capped at ${EXPORT_LIMIT}` : ''}).`;
+    } catch (e) {
+      console.error("Error exporting log: ", e);
+      logEvent('ERROR', 'Failed to export the log.', { reason: e.message });
+      return `Export failed: ${e.message}`;
     }
+  }, [db, userId, logEvent]);
 
-    if (activeSession && activeSession.status === 'Connected') {
-      setSimulatedLog(log => log + `\n[${new Date().toLocaleTimeString()}] DENIED: Already an active session for this user/TV. Privacy violation averted.`);
+  // The saveWebhook function stores the URL where only the functions can read it and records
+  // WEBHOOK_UPDATED. A blank URL keeps the saved one.
+  const handleSaveWebhook = useCallback(async ({ url, enabled }) => {
+    if (!db || !userId) return;
+    const trimmed = url.trim();
+    if (trimmed && !isValidWebhookUrl(trimmed, { allowLocal: Boolean(firebaseConfig?.useEmulators) })) {
+      setWebhookStatus('Webhook URL must be an https:// URL on a public host.');
       return;
     }
 
-    // Attempt to establish session (Public Write)
-    const sessionDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'mirroring_sessions', userId);
-    const newSession = {
-      mirroringDeviceId: device.id,
-      mirroringDeviceName: device.name,
-      status: 'Connected',
-      startTime: serverTimestamp(),
-      mirroredBy: userId, // Shows who is currently connected
-      geoCheckStatus: 'Passed (Cloud Auth)',
-    };
-
     try {
-      // 1. Update the device's last connected timestamp (Private Write)
-      const deviceDocRef = doc(db, 'artifacts', appId, 'users', userId, 'devices', device.id);
-      await updateDoc(deviceDocRef, {
-        lastConnected: serverTimestamp()
-      });
+      await callSaveWebhook({ appId, url: trimmed || null, enabled });
+      setWebhookStatus(null);
+      return true;
+    } catch (e) {
+      console.error("Error saving webhook: ", e);
+      setWebhookStatus(`Failed to save the webhook: ${e.message}`);
+      logEvent('ERROR', 'Failed to save webhook settings.', { reason: e.message });
+    }
+  }, [db, userId, logEvent]);
 
-      // 2. Set the public session doc (Public Write)
-      await setDoc(sessionDocRef, newSession);
-      
-      setSimulatedLog(log => log + `\n[${new Date().toLocaleTimeString()}] CONNECTED: Session established on TV '${device.name}' (Device ID: ${device.uniqueId}). Geo check passed via cloud authorization.`);
+  const handleTestWebhook = useCallback(async () => {
+    setWebhookStatus(`Sending a test event to ${webhook.target}...`);
+    try {
+      const { data } = await callSendTestWebhook({ appId });
+      setWebhookStatus(`Test event delivered (HTTP ${data.httpStatus}).`);
     } catch (e) {
-      console.error("Error starting mirroring: ", e);
-      setSimulatedLog(log => log + `\n[${new Date().toLocaleTimeString()}] ERROR: Failed to establish connection for ${device.name}`);
+      setWebhookStatus(`Test event failed after retries: ${e.message}`);
     }
+  }, [webhook.target]);
 
-  }, [db, userId, devices, activeSession]);
+  // 7. Firestore Data Fetching (Private: this user's signed-in browsers)
+  const isAnonymous = account?.isAnonymous ?? true;
 
+  useEffect(() => {
+    if (!db || !authReady || !userId) return;
 
-  const handleStopMirroring = useCallback(async () => {
-    if (!db || !userId) return;
+    // Path: /artifacts/{appId}/users/{userId}/browsers/{browserId}
+    const browsersRef = collection(db, 'artifacts', appId, 'users', userId, 'browsers');
+    const browserRef = doc(browsersRef, browserId);
+    const touch = (fields = {}) => setDoc(browserRef, {
+      label: describeBrowser(),
+      userAgent: navigator.userAgent,
+      lastSeen: serverTimestamp(),
+      ...fields,
+    }, { merge: true }).catch(e => console.error("Error updating browser registry: ", e));
 
+    getDoc(browserRef).then((docSnap) => {
+      if (docSnap.exists()) return touch();
+      if (!isAnonymous) logEvent('ACCOUNT', `Signed in on a new browser: ${describeBrowser()}`);
+      return touch({ signedInAt: serverTimestamp() });
+    }).catch(e => console.error("Error reading browser registry: ", e));
+
+    const heartbeat = setInterval(() => touch(), PRESENCE_HEARTBEAT_MS);
+    const unsubscribe = onSnapshot(browsersRef, (snapshot) => {
+      setBrowsers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+    }, (error) => {
+      console.error("Error fetching browsers:", error);
+    });
+
+    return () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+  }, [authReady, userId, browserId, isAnonymous, logEvent]);
+
+  // Records a pairing that was rejected on the TV or expired after it was claimed
+  const recordPairingFailure = useCallback((reason, message, uniqueId = null) => {
+    setPairingStatus(message);
+    logEvent('PAIRING_FAILED', message, { uniqueId, reason });
+  }, [logEvent]);
+
+  // Step 1 (manager): claim the PIN shown on the TV. The device doc is only created after the TV confirms.
+  // Code and name come from the form unless given explicitly (command mode).
+  const handleAddDevice = useCallback(async ({ code: codeArg, name: nameArg } = {}) => {
+    const deviceName = (nameArg ?? newDeviceName).trim();
+    const code = (codeArg ?? pairingCode).trim();
+    if (!db || !userId || !deviceName || !code) return;
+
+    // The claimPairing function checks the PIN, counts failed guesses against this account (and
+    // blocks pairing after too many), and records PAIRING_FAILED itself
     try {
-      // Deleting the public session doc terminates the mirroring state
-      const sessionDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'mirroring_sessions', userId);
-      await deleteDoc(sessionDocRef);
-      setSimulatedLog(log => log + `\n[${new Date().toLocaleTimeString()}] DISCONNECTED: Session terminated successfully.`);
+      const { data } = await callClaimPairing({ appId, code, name: deviceName });
+      setPendingPairing({ code, deviceName, uniqueId: data.uniqueId });
+      setPairingStatus(`Code accepted. Confirm the pairing on '${deviceName}' to finish.`);
     } catch (e) {
-      console.error("Error stopping mirroring: ", e);
-      setSimulatedLog(log => log + `\n[${new Date().toLocaleTimeString()}] ERROR: Failed to terminate session.`);
+      console.error("Error claiming pairing code: ", e);
+      setPairingStatus(e.message);
     }
-  }, [db, userId]);
+  }, [db, userId, newDeviceName, pairingCode]);
 
+  // Step 2 (manager): wait for the TV to confirm, then register the device before the code expires
+  useEffect(() => {
+    if (!db || !userId || !pendingPairing) return;
 
-  const handleRunAnalysis = useCallback(async () => {
-    if (!geminiPrompt.trim()) {
-      setGeminiResponse("Please enter a policy or log detail to analyze.");
-      return;
+    const { code, deviceName } = pendingPairing;
+    const pairingRef = doc(db, 'artifacts', appId, 'public', 'data', 'pairing_requests', code);
+    let settled = false;
+
+    const finish = (message) => {
+      settled = true;
+      setPendingPairing(null);
+      setPairingStatus(message);
+    };
+
+    const unsubscribe = onSnapshot(pairingRef, async (docSnap) => {
+      if (settled) return;
+      const pairing = docSnap.data();
+
+      if (!pairing || pairing.status === 'Rejected') {
+        settled = true;
+        setPendingPairing(null);
+        recordPairingFailure('REJECTED_ON_TV', `Pairing for '${deviceName}' was rejected on the TV.`, pendingPairing.uniqueId);
+        return;
+      }
+      if (pairing.status !== 'Confirmed' || pairing.claimedBy !== userId) return;
+
+      if (isPairingExpired(pairing)) {
+        settled = true;
+        setPendingPairing(null);
+        recordPairingFailure('CODE_EXPIRED', `Pairing for '${deviceName}' was confirmed after code ${code} expired.`, pairing.uniqueId);
+        return;
+      }
+
+      // The registerDevice function re-checks the confirmed pairing, creates the device doc and
+      // records the REGISTER event, completing the one-time registration of the TV
+      try {
+        await MIRRORING.registerDevice(userId, { code, name: deviceName });
+        finish(`'${deviceName}' is paired and ready to mirror.`);
+        setNewDeviceName('');
+        setPairingCode('');
+      } catch (e) {
+        console.error("Error adding device: ", e);
+        finish(`Failed to register '${deviceName}': ${e.message}`);
+        logEvent('ERROR', `Failed to register device: ${deviceName}`, { uniqueId: pairing.uniqueId, reason: e.message });
+      }
+    }, (error) => {
+      console.error("Error watching pairing request:", error);
+    });
+
+    // Give up once the code's lifetime has passed without a confirmation
+    const expiryTimer = setTimeout(() => {
+      if (settled) return;
+      settled = true;
+      setPendingPairing(null);
+      recordPairingFailure('CODE_EXPIRED', `Pairing for '${deviceName}' expired before the TV confirmed.`, pendingPairing.uniqueId);
+    }, PAIRING_CODE_TTL_MS);
+
+    return () => {
+      unsubscribe();
+      clearTimeout(expiryTimer);
+    };
+  }, [userId, pendingPairing, logEvent, recordPairingFailure]);
+
+
+  // Marks the session Expired if its lease has lapsed. The transaction ensures only one tab logs the expiry.
+  const expireStaleSession = useCallback(async () => {
+    if (!db || !userId) return false;
+
+    const sessionDocRef = PATHS.session(userId);
+    try {
+      const expiredSession = await runTransaction(db, async (transaction) => {
+        const sessionSnap = await transaction.get(sessionDocRef);
+        const session = sessionSnap.data();
+        if (!session || !LIVE_SESSION_STATUSES.includes(session.status) || !isSessionStale(session, Date.now())) return null;
+
+        transaction.update(sessionDocRef, { status: 'Expired', expiredAt: serverTimestamp() });
+        return session;
+      });
+
+      if (!expiredSession) return false;
+
+      const leaseAgeSeconds = Math.round(getSessionLeaseAgeMs(expiredSession, Date.now()) / 1000);
+      logEvent('EXPIRED', `Session on '${expiredSession.mirroringDeviceName}' expired: sender heartbeat missing for ${leaseAgeSeconds}s.`, {
+        deviceId: expiredSession.mirroringDeviceId,
+        uniqueId: expiredSession.mirroringUniqueId ?? null,
+        reason: 'LEASE_EXPIRED',
+      });
+      return true;
+    } catch (e) {
+      console.error("Error expiring stale session: ", e);
+      return false;
     }
+  }, [db, userId, logEvent]);
 
-    setIsGenerating(true);
-    setGeminiResponse(null);
+  // Lease clock: drives the lease-age display and the stale-session check
+  useEffect(() => {
+    const ticker = setInterval(() => setNow(Date.now()), SESSION_LEASE_CHECK_MS);
+    return () => clearInterval(ticker);
+  }, []);
 
-    const logData = simulatedLog.split('\n').filter(line => line.includes('DENIED')).join('\n');
-    let fullPrompt = geminiPrompt;
+  useEffect(() => {
+    if (LIVE_SESSION_STATUSES.includes(activeSession?.status) && isSessionStale(activeSession, now)) {
+      expireStaleSession();
+    }
+  }, [now, activeSession, expireStaleSession]);
 
-    if (geminiPrompt.toLowerCase().includes('log')) {
-        fullPrompt = `${geminiPrompt}. Use the following log for analysis:\n\n--- SECURITY LOG ---\n${logData || "No denial entries found."}\n------------------`;
+  // Releases the local peer connection, capture stream and signaling listeners (no Firestore writes)
+  const teardownPeerConnection = useCallback(() => {
+    signalingUnsubscribersRef.current.forEach(unsubscribe => unsubscribe());
+    signalingUnsubscribersRef.current = [];
+    if (peerConnectionRef.current) {
+      peerConnectionRef.current.onconnectionstatechange = null;
+      peerConnectionRef.current.close();
+      peerConnectionRef.current = null;
     }
+    if (localStreamRef.current) {
+      localStreamRef.current.getTracks().forEach(track => track.stop());
+      localStreamRef.current = null;
+    }
+  }, []);
 
-    const response = await getGeminiAnalysis(fullPrompt);
-    setGeminiResponse(response);
-    setIsGenerating(false);
-  }, [geminiPrompt, simulatedLog]);
+  // Never leave a capture running once the manager unmounts
+  useEffect(() => teardownPeerConnection, [teardownPeerConnection]);
 
 
-  const statusText = useMemo(() => {
-    if (!authReady) return 'Initializing...';
-    if (!userId) return 'Awaiting Authentication...';
-    if (activeSession && activeSession.status === 'Connected') {
-      return `ACTIVE: Mirroring to ${activeSession.mirroringDeviceName}`;
+  // Asks the browser for the screen to share, within the session's stream profile. Must run straight
+  // from a click, which grants the user activation.
+  const captureScreen = useCallback(async (device, streamProfile) => {
+    try {
+      return await navigator.mediaDevices.getDisplayMedia(toCaptureOptions(normalizeStreamProfile(streamProfile)));
+    } catch (e) {
+      console.error("Screen capture was not granted: ", e);
+      logEvent('ERROR', `Screen capture was not granted for ${device.name}`, {
+        deviceId: device.id,
+        uniqueId: device.uniqueId,
+        reason: e.message,
+      });
+      return null;
     }
-    if (devices.length === 0) return 'No TVs registered. Add one to begin.';
-    return 'Idle: Ready to connect.';
-  }, [authReady, userId, activeSession, devices]);
+  }, [logEvent]);
 
-  const statusColor = useMemo(() => {
-    if (!authReady || !userId) return 'bg-yellow-500';
-    if (activeSession && activeSession.status === 'Connected') return 'bg-green-500';
-    return 'bg-gray-500';
-  }, [authReady, userId, activeSession]);
+  // Sender side of the handshake on the session doc the server just created in 'Negotiating' without an offer.
+  // `streamProfile` is the profile the server copied into that session.
+  const beginSenderHandshake = useCallback(async (device, stream, authorizationReason, streamProfile) => {
+    if (!db || !userId) return;
 
+    const sessionDocRef = PATHS.session(userId);
+    const profile = normalizeStreamProfile(streamProfile);
+    const [videoTrack] = stream.getVideoTracks();
 
-  return (
-    <div className="min-h-screen bg-gray-50 p-6 font-inter antialiased">
-      <script src="https://cdn.tailwindcss.com"></script>
-      <div className="max-w-7xl mx-auto">
+    // Browsers may ignore the picker hint, so a whole-screen capture is refused outright under privacy blur
+    if (profile.privacyBlur && videoTrack?.getSettings().displaySurface === 'monitor') {
+      stream.getTracks().forEach(track => track.stop());
+      logEvent('ERROR', `Privacy blur is on for '${device.name}': share a window or tab instead of the entire screen.`, {
+        deviceId: device.id,
+        uniqueId: device.uniqueId,
+        reason: 'PRIVACY_BLUR_SCREEN_CAPTURE',
+      });
+      stopMirroringRef.current?.('CAPTURE_CANCELLED');
+      return;
+    }
 
-        {/* Header & Status */}
+    // Tighten a capture made before the server decided the session's profile (every start captures first)
+    if (!profile.audio) {
+      stream.getAudioTracks().forEach(track => {
+        track.stop();
+        stream.removeTrack(track);
+      });
+    }
+    try {
+      await videoTrack?.applyConstraints(toCaptureOptions(profile).video);
+    } catch (e) {
+      console.error("Error applying stream profile: ", e);
+    }
+
+    teardownPeerConnection();
+    localStreamRef.current = stream;
+    const pc = new RTCPeerConnection(RTC_CONFIG);
+    peerConnectionRef.current = pc;
+    stream.getTracks().forEach(track => {
+      // The bitrate cap is set on the video encoding before the first offer, so it holds from the start
+      if (track.kind === 'video' && profile.maxBitrateKbps) {
+        pc.addTransceiver(track, { direction: 'sendonly', streams: [stream], sendEncodings: [{ maxBitrate: profile.maxBitrateKbps * 1000 }] });
+      } else {
+        pc.addTrack(track, stream);
+      }
+    });
+
+    // Stopping the share from the browser's own UI ends the session as well
+    stream.getVideoTracks()[0]?.addEventListener('ended', () => stopMirroringRef.current?.('CAPTURE_ENDED'));
+
+    // The peer connection drives the session lifecycle: Negotiating -> Connected | Failed
+    pc.onconnectionstatechange = async () => {
+      const status = PEER_STATE_TO_SESSION_STATUS[pc.connectionState];
+      if (!status) return;
+
+      try {
+        // connectedAt marks when mirroring actually began, for the session history
+        await updateDoc(sessionDocRef, status === 'Connected' ? { status, connectedAt: serverTimestamp() } : { status });
+      } catch (e) {
+        console.error("Error updating session status: ", e);
+      }
+
+      if (status === 'Connected') {
+        logEvent('CONNECTED', `Session established on TV '${device.name}' (Device ID: ${device.uniqueId}). ${authorizationReason}`, {
+          deviceId: device.id,
+          uniqueId: device.uniqueId,
+        });
+      } else {
+        logEvent('ERROR', `Peer connection to '${device.name}' failed.`, {
+          deviceId: device.id,
+          uniqueId: device.uniqueId,
+          reason: 'PEER_CONNECTION_FAILED',
+        });
+        teardownPeerConnection();
+      }
+    };
+
+    try {
+      // The server cleared candidates from any previous session before creating this one
+      pc.onicecandidate = (event) => {
+        if (!event.candidate) return;
+        addDoc(collection(sessionDocRef, 'senderCandidates'), event.candidate.toJSON())
+          .catch(e => console.error("Error publishing ICE candidate: ", e));
+      };
+
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+
+      // Publish the offer on the server-created session doc (owner may only write signaling fields),
+      // with what the capture actually delivers under the profile
+      await updateDoc(sessionDocRef, {
+        offer: { type: offer.type, sdp: offer.sdp },
+        negotiatedProfile: buildNegotiatedProfile(profile, { ...videoTrack?.getSettings(), hasAudio: stream.getAudioTracks().length > 0 }),
+      });
+
+      // Apply the receiver's answer and ICE candidates as they arrive; candidates that beat the
+      // answer are held until it has been applied
+      const remoteCandidates = createRemoteCandidateQueue(pc, e => console.error("Error adding remote ICE candidate: ", e));
+      signalingUnsubscribersRef.current.push(onSnapshot(sessionDocRef, (docSnap) => {
+        const answer = docSnap.data()?.answer;
+        if (answer) {
+          remoteCandidates.setRemoteDescription(new RTCSessionDescription(answer))
+            .catch(e => console.error("Error applying remote answer: ", e));
+        }
+      }));
+      signalingUnsubscribersRef.current.push(onSnapshot(collection(sessionDocRef, 'receiverCandidates'), (snapshot) => {
+        snapshot.docChanges().forEach(change => {
+          if (change.type === 'added') remoteCandidates.add(new RTCIceCandidate(change.doc.data()));
+        });
+      }));
+    } catch (e) {
+      console.error("Error starting mirroring: ", e);
+      teardownPeerConnection();
+      logEvent('ERROR', `Failed to establish connection for ${device.name}`, {
+        deviceId: device.id,
+        uniqueId: device.uniqueId,
+        reason: e.message,
+      });
+    }
+
+  }, [db, userId, logEvent, teardownPeerConnection]);
+
+
+  const handleStartMirroring = useCallback(async (device) => {
+    if (!db || !userId) return;
+
+    // Capture first, while the click's user activation is still valid: getDisplayMedia is refused
+    // once a callable round-trip has let it expire. The session's profile is applied afterwards.
+    const streamOverrides = sessionProfiles[streamProfileKey(device)] ?? {};
+    const stream = await captureScreen(device, applySessionOverrides(device.streamProfile, streamOverrides));
+    if (!stream) return;
+    const releaseCapture = () => stream.getTracks().forEach(track => track.stop());
+
+    // "Security and Restriction" Check: the startMirroring function re-verifies device ownership
+    // and the user's policy server-side, records the decision, and only then creates the session doc.
+    let decision;
+    try {
+      decision = await MIRRORING.startMirroring(userId, {
+        device,
+        region: clientRegion,
+        senderInstanceId: TAB_INSTANCE_ID, // Only this tab renews the lease
+        streamProfile: streamOverrides,
+      });
+    } catch (e) {
+      releaseCapture();
+      console.error("Error starting mirroring: ", e);
+      logEvent('ERROR', `Failed to establish connection for ${device.name}`, {
+        deviceId: device.id,
+        uniqueId: device.uniqueId,
+        reason: e.message,
+      });
+      return;
+    }
+
+    // The DENIED event (with the rule that fired) was already written by the server. A busy
+    // session or TV can instead be asked to hand over.
+    if (!decision.allowed) {
+      releaseCapture();
+      if (HANDOFF_RULES.includes(decision.rule)) setHandoffOffer({ device, reason: decision.reason });
+      return;
+    }
+
+    await beginSenderHandshake(device, stream, decision.reason, decision.streamProfile);
+  }, [db, userId, clientRegion, sessionProfiles, logEvent, captureScreen, beginSenderHandshake]);
+
+
+  const handleStopMirroring = useCallback(async (reason = 'USER_STOPPED') => {
+    if (!db || !userId) return;
+
+    teardownPeerConnection();
+
+    try {
+      // The stopMirroring function deletes the session doc and its signaling data, which
+      // terminates the mirroring state on both peers, and records the DISCONNECTED event
+      await MIRRORING.stopMirroring(userId, reason);
+    } catch (e) {
+      console.error("Error stopping mirroring: ", e);
+      logEvent('ERROR', 'Failed to terminate session.', { reason: e.message });
+    }
+  }, [db, userId, logEvent, teardownPeerConnection]);
+
+  // Sender heartbeat: the tab that owns the peer connection renews the lease while the session is live.
+  // If another tab already expired this session, release the local capture as well.
+  const isSendingTab = activeSession?.senderInstanceId === TAB_INSTANCE_ID;
+  const isSessionLive = LIVE_SESSION_STATUSES.includes(activeSession?.status);
+  // An expired session no longer occupies its device, so the card offers START again
+  const sessionDeviceId = activeSession?.status === 'Expired' ? null : activeSession?.mirroringDeviceId;
+
+  useEffect(() => {
+    if (!db || !userId || !isSendingTab) return;
+
+    if (!isSessionLive) {
+      if (activeSession?.status === 'Expired') teardownPeerConnection();
+      return;
+    }
+
+    const sessionDocRef = PATHS.session(userId);
+    const heartbeat = setInterval(() => {
+      updateDoc(sessionDocRef, { leaseRenewedAt: serverTimestamp() })
+        .catch(e => console.error("Error renewing session lease: ", e));
+    }, SESSION_HEARTBEAT_MS);
+
+    return () => clearInterval(heartbeat);
+  }, [userId, isSendingTab, isSessionLive, activeSession?.status, teardownPeerConnection]);
+
+  // A session ended or handed over elsewhere (another tab, a handoff, or the TV's owner kicking this guest)
+  // releases the local capture
+  useEffect(() => {
+    if (isSendingTab) {
+      wasSendingRef.current = true;
+    } else if (wasSendingRef.current) {
+      wasSendingRef.current = false;
+      teardownPeerConnection();
+    }
+  }, [isSendingTab, teardownPeerConnection]);
+
+  // Lets capture-track callbacks reach the latest stop handler without re-binding
+  useEffect(() => {
+    stopMirroringRef.current = handleStopMirroring;
+  }, [handleStopMirroring]);
+
+  // The sending tab ends the session at maxEndsAt, which startMirroring set from the TV owner's policy
+  // (the rules refuse lease renewals past it either way)
+  useEffect(() => {
+    if (!isSendingTab || !isSessionLive) return;
+    const maxEndsAtMs = activeSession?.maxEndsAt?.toMillis?.();
+    if (Number.isFinite(maxEndsAtMs) && now >= maxEndsAtMs) {
+      handleStopMirroring('MAX_SESSION_DURATION');
+    }
+  }, [now, isSendingTab, isSessionLive, activeSession, handleStopMirroring]);
+
+  const handleAccountUpgraded = useCallback((providerId) => {
+    refreshAccount();
+    logEvent('ACCOUNT', `Guest account upgraded to a permanent account (${providerId}); registered TVs carried over.`);
+  }, [refreshAccount, logEvent]);
+
+  // Ends any session this tab is sending, forgets this browser, then signs out.
+  // The auth listener immediately starts a fresh guest session.
+  const handleSignOut = useCallback(async () => {
+    if (!auth || !userId) return;
+
+    try {
+      if (isSendingTab && isSessionLive) await handleStopMirroring('SIGNED_OUT');
+      await logEvent('ACCOUNT', `Signed out on ${describeBrowser()}.`);
+      await deleteDoc(doc(db, 'artifacts', appId, 'users', userId, 'browsers', browserId));
+      await signOut(auth);
+    } catch (e) {
+      console.error("Error signing out: ", e);
+      logEvent('ERROR', 'Failed to sign out.', { reason: e.message });
+    }
+  }, [userId, browserId, isSendingTab, isSessionLive, handleStopMirroring, logEvent]);
+
+  const handleSavePolicy = useCallback(async (draft) => {
+    if (!db || !userId) return;
+
+    const nextPolicy = normalizePolicy(draft);
+    try {
+      const policyRef = doc(db, 'artifacts', appId, 'users', userId, 'settings', 'mirroring_policy');
+      await setDoc(policyRef, { ...nextPolicy, updatedAt: serverTimestamp() });
+      logEvent('POLICY_UPDATED', `Mirroring policy updated: ${nextPolicy.timeWindows.length} time window(s), `
+        + `max session ${nextPolicy.maxSessionMinutes ? `${nextPolicy.maxSessionMinutes} min` : 'unlimited'}, `
+        + `regions ${nextPolicy.allowedRegions.join(', ') || 'any'}, `
+        + `max ${nextPolicy.maxConcurrentSessionsPerDevice} session(s) per TV, `
+        + `lockout after ${nextPolicy.maxDeniedAttemptsPerDevice ?? 'unlimited'} denied attempt(s) per TV / `
+        + `${nextPolicy.maxDeniedAttemptsPerUser ?? 'unlimited'} per user in ${nextPolicy.attemptWindowMinutes} min.`);
+    } catch (e) {
+      console.error("Error saving policy: ", e);
+      logEvent('ERROR', 'Failed to save mirroring policy.', { reason: e.message });
+    }
+  }, [db, userId, logEvent]);
+
+  // --- Device Lifecycle (rename, temporary disable, revoke) ---
+
+  const handleRenameDevice = useCallback(async (device, name) => {
+    const newName = name.trim();
+    if (!db || !userId || !newName || newName === device.name) return;
+
+    try {
+      await MIRRORING.renameDevice(userId, device, newName);
+    } catch (e) {
+      console.error("Error renaming device: ", e);
+      logEvent('ERROR', `Failed to rename device: ${device.name}`, { deviceId: device.id, reason: e.message });
+    }
+  }, [db, userId, logEvent]);
+
+  const handleSetDeviceDisabled = useCallback(async (device, disabled) => {
+    if (!db || !userId) return;
+
+    try {
+      // A disabled TV must not keep showing the mirror
+      if (disabled && activeSession?.mirroringDeviceId === device.id) {
+        await handleStopMirroring('DEVICE_DISABLED');
+      }
+
+      await MIRRORING.setDeviceDisabled(userId, device, disabled);
+    } catch (e) {
+      console.error("Error updating device state: ", e);
+      logEvent('ERROR', `Failed to update device state: ${device.name}`, { deviceId: device.id, reason: e.message });
+    }
+  }, [db, userId, activeSession, handleStopMirroring, logEvent]);
+
+  const handleRevokeDevice = useCallback(async (device, reason) => {
+    if (!db || !userId) return;
+
+    try {
+      if (activeSession?.mirroringDeviceId === device.id) {
+        await handleStopMirroring('DEVICE_REVOKED');
+      }
+
+      await MIRRORING.revokeDevice(userId, device, reason);
+    } catch (e) {
+      console.error("Error revoking device: ", e);
+      logEvent('ERROR', `Failed to revoke device: ${device.name}`, { deviceId: device.id, reason: e.message });
+    }
+  }, [db, userId, activeSession, handleStopMirroring, logEvent]);
+
+  // --- Stream Profiles (the TV's profile, plus overrides for the next session on it) ---
+
+  const handleSaveStreamProfile = useCallback(async (device, profile) => {
+    if (!db || !userId) return;
+
+    try {
+      await MIRRORING.updateStreamProfile(userId, device, profile);
+      setProfileEdit(null);
+    } catch (e) {
+      console.error("Error saving stream profile: ", e);
+      logEvent('ERROR', `Failed to save stream profile: ${device.name}`, { deviceId: device.id, reason: e.message });
+    }
+  }, [db, userId, logEvent]);
+
+  // Overrides only tighten the TV's profile; startMirroring enforces that for guests too
+  const handleSetSessionProfile = useCallback((device, overrides) => {
+    const key = streamProfileKey(device);
+    setSessionProfiles(current => {
+      const { [key]: _previous, ...rest } = current;
+      return overrides ? { ...rest, [key]: overrides } : rest;
+    });
+    setProfileEdit(null);
+  }, []);
+
+  const submitDeviceEdit = useCallback(async (device) => {
+    if (!deviceEdit) return;
+    if (deviceEdit.mode === 'rename') await handleRenameDevice(device, deviceEdit.value);
+    if (deviceEdit.mode === 'revoke') await handleRevokeDevice(device, deviceEdit.value);
+    setDeviceEdit(null);
+  }, [deviceEdit, handleRenameDevice, handleRevokeDevice]);
+
+  // --- Household Sharing (owner invites guests; guests cannot take over the owner's session) ---
+
+  const handleCreateInvite = useCallback(async (device) => {
+    if (!db || !userId) return;
+
+    const code = generateShareInviteCode();
+    const expiresAt = Timestamp.fromMillis(Date.now() + SHARE_INVITE_TTL_MS);
+    try {
+      await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'device_invites', code), {
+        ownerId: userId,
+        ownerLabel: account?.email || `User ${userId.slice(0, 6)}`,
+        deviceId: device.id,
+        status: 'Pending',
+        createdAt: serverTimestamp(),
+        expiresAt,
+      });
+      setShareInvite({ deviceId: device.id, code, expiresAt });
+      logEvent('SHARE_INVITED', `Guest invite ${code} created for TV '${device.name}'.`, {
+        deviceId: device.id,
+        uniqueId: device.uniqueId,
+      });
+    } catch (e) {
+      console.error("Error creating share invite: ", e);
+      logEvent('ERROR', `Failed to create a guest invite for ${device.name}`, { deviceId: device.id, reason: e.message });
+    }
+  }, [db, userId, account, logEvent]);
+
+  // The acceptDeviceInvite function grants guest access and logs SHARE_GRANTED for both users
+  const handleAcceptInvite = useCallback(async () => {
+    const code = inviteCode.trim().toUpperCase();
+    if (!db || !userId || !code) return;
+
+    try {
+      await callAcceptDeviceInvite({ appId, code });
+      setInviteStatus('Invite accepted. The shared TV now appears under Authorized Devices.');
+      setInviteCode('');
+    } catch (e) {
+      console.error("Error accepting share invite: ", e);
+      setInviteStatus(`Could not accept invite ${code}: ${e.message}`);
+    }
+  }, [db, userId, inviteCode]);
+
+  const handleRemoveGuest = useCallback(async (device, guestId) => {
+    try {
+      await callRevokeDeviceGuest({ appId, deviceId: device.id, guestId });
+    } catch (e) {
+      console.error("Error revoking guest access: ", e);
+      logEvent('ERROR', `Failed to revoke guest access to ${device.name}`, { deviceId: device.id, reason: e.message });
+    }
+  }, [logEvent]);
+
+  const handleLeaveSharedDevice = useCallback(async (device) => {
+    try {
+      await callRevokeDeviceGuest({ appId, deviceId: device.id, guestId: userId, ownerId: device.ownerId });
+    } catch (e) {
+      console.error("Error leaving shared TV: ", e);
+      logEvent('ERROR', `Failed to leave shared TV ${device.name}`, { deviceId: device.id, reason: e.message });
+    }
+  }, [userId, logEvent]);
+
+  const handleKickGuest = useCallback(async (device, guestId) => {
+    try {
+      await callKickGuestSession({ appId, deviceId: device.id, guestId });
+    } catch (e) {
+      console.error("Error ending guest session: ", e);
+      logEvent('ERROR', `Failed to end the guest session on ${device.name}`, { deviceId: device.id, reason: e.message });
+    }
+  }, [logEvent]);
+
+  // --- Brute-Force & Anomaly Alerts ---
+
+  const activeLockouts = lockouts.filter(lockout => getLockedUntilMs(lockout, now));
+  const deviceLockouts = Object.fromEntries(activeLockouts
+    .filter(lockout => lockout.scope === 'device')
+    .map(lockout => [lockout.subjectId, lockout]));
+  const securityAlerts = usageEvents.filter(event => SECURITY_ALERT_TYPES.includes(event.type)
+    && event.timestamp?.toMillis && now - event.timestamp.toMillis() < SECURITY_ALERT_WINDOW_MS
+    && !dismissedAlertIds.includes(event.id));
+
+  // The clearLockout function deletes the counter and records LOCKOUT_CLEARED
+  const handleClearLockout = useCallback(async (lockout) => {
+    try {
+      await callClearLockout({ appId, lockoutId: lockout.id });
+    } catch (e) {
+      console.error("Error clearing lockout: ", e);
+      logEvent('ERROR', `Failed to clear the lockout of ${lockout.label}`, { reason: e.message });
+    }
+  }, [logEvent]);
+
+  // --- Session Handoff (ask the current sender or its TV instead of taking a flat DENIED) ---
+
+  const incomingHandoffs = usePendingHandoffs('targetSessionId', userId)
+    .filter(handoff => handoff.requesterInstanceId !== TAB_INSTANCE_ID); // This tab's own request for its own session
+
+  const releaseHandoffStream = useCallback(() => {
+    handoffStreamRef.current?.getTracks().forEach(track => track.stop());
+    handoffStreamRef.current = null;
+  }, []);
+
+  // The screen is captured up front, while the click still counts as a user gesture, and held until the answer
+  const handleRequestHandoff = useCallback(async () => {
+    if (!db || !userId || !handoffOffer) return;
+
+    const { device } = handoffOffer;
+    setHandoffOffer(null);
+    // The capture comes before the decision; the approved session's profile is applied to it afterwards
+    const streamOverrides = sessionProfiles[streamProfileKey(device)] ?? {};
+    const stream = await captureScreen(device, applySessionOverrides(device.streamProfile, streamOverrides));
+    if (!stream) return;
+
+    try {
+      const { data } = await callRequestHandoff({
+        appId,
+        deviceId: device.id,
+        ownerId: device.ownerId,
+        region: clientRegion,
+        senderInstanceId: TAB_INSTANCE_ID,
+        browserLabel: describeBrowser(),
+        streamProfile: streamOverrides,
+      });
+      handoffStreamRef.current = stream;
+      setOutgoingHandoff({ id: data.handoffId, device, expiresAt: data.expiresAt });
+      setHandoffStatus(`Waiting for the current sender to hand over '${device.name}'...`);
+    } catch (e) {
+      stream.getTracks().forEach(track => track.stop());
+      console.error("Error requesting handoff: ", e);
+      setHandoffStatus(`Handoff request failed: ${e.message}`);
+      logEvent('ERROR', `Failed to request a handoff for ${device.name}`, { deviceId: device.id, reason: e.message });
+    }
+  }, [db, userId, handoffOffer, clientRegion, sessionProfiles, captureScreen, logEvent]);
+
+  // Requester: wait for the answer. On approval the server has already moved the session to this tab.
+  useEffect(() => {
+    if (!db || !outgoingHandoff) return;
+
+    const { id, device, expiresAt } = outgoingHandoff;
+    const handoffDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'session_handoffs', id);
+    let settled = false;
+
+    const finish = (message) => {
+      settled = true;
+      setOutgoingHandoff(null);
+      setHandoffStatus(message);
+    };
+
+    const unsubscribe = onSnapshot(handoffDocRef, (docSnap) => {
+      if (settled) return;
+      const handoff = docSnap.data();
+      if (!handoff || handoff.status === 'Pending') return;
+
+      if (handoff.status === 'Approved') {
+        const stream = handoffStreamRef.current;
+        handoffStreamRef.current = null;
+        finish(null);
+        beginSenderHandshake(device, stream, handoff.reason, handoff.streamProfile);
+        return;
+      }
+
+      releaseHandoffStream();
+      if (handoff.status === 'Declined') finish(`Your request to take over '${device.name}' was declined.`);
+      else if (handoff.status === 'Expired') finish(`Your request to take over '${device.name}' timed out without an answer.`);
+      else finish(`Handoff approved, but the policy denied the start: ${handoff.reason}`);
+    }, (error) => {
+      console.error("Error watching handoff request:", error);
+    });
+
+    // Nobody answered: settle it as a timeout (ignored by the server if an answer arrived meanwhile)
+    const timeoutTimer = setTimeout(() => {
+      callSettleHandoff({ appId, handoffId: id, decision: 'timeout' })
+        .catch(e => console.error("Error expiring handoff request: ", e));
+    }, Math.max(0, expiresAt - Date.now()) + HANDOFF_COUNTDOWN_MS);
+
+    return () => {
+      unsubscribe();
+      clearTimeout(timeoutTimer);
+      if (!settled) releaseHandoffStream();
+    };
+  }, [outgoingHandoff, beginSenderHandshake, releaseHandoffStream]);
+
+  // Current sender: approving hands the session over (this tab's capture is released once the
+  // session leaves it); declining keeps it.
+  const handleAnswerHandoff = useCallback(async (handoff, decision) => {
+    try {
+      await callSettleHandoff({ appId, handoffId: handoff.id, decision });
+    } catch (e) {
+      console.error("Error answering handoff request: ", e);
+      logEvent('ERROR', `Failed to answer the handoff request from ${handoff.requesterLabel}`, { deviceId: handoff.deviceId, reason: e.message });
+    }
+  }, [logEvent]);
+
+
+  // Every analyzer gets the last week of audit events (unfiltered) and the current policy; the prompt only focuses the question
+  const handleRunAnalysis = useCallback(async () => {
+    const analyzer = ANALYZERS.find(candidate => candidate.id === analyzerId) ?? OFFLINE_ANALYZER;
+
+    setIsGenerating(true);
+    setAnalysisReport(null);
+    setAnalysisError(null);
+
+    try {
+      const report = await analyzeWithFallback(analyzer, OFFLINE_ANALYZER, {
+        prompt: analysisPrompt.trim(),
+        events: analysisEvents.map(toAnalysisEvent),
+        policy,
+      });
+      setAnalysisReport(report);
+    } catch (e) {
+      console.error("Security analysis failed: ", e);
+      setAnalysisError(`Analysis failed: ${e.message}`);
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [analyzerId, analysisPrompt, analysisEvents, policy]);
+
+  const handleApplyRecommendation = useCallback((recommendation) => {
+    handleSavePolicy({ ...policy, ...recommendation.policyPatch });
+  }, [policy, handleSavePolicy]);
+
+  // --- Command Mode (natural-language commands via function calling) ---
+
+  const commandDevices = useMemo(() => [...authorizedDevices, ...sharedDevices], [authorizedDevices, sharedDevices]);
+
+  // Step 1: the model proposes tool calls; nothing runs until the user confirms the plan
+  const handleInterpretCommand = useCallback(async () => {
+    const utterance = commandUtterance.trim();
+    if (!utterance) return;
+
+    setIsGenerating(true);
+    setCommandPlan(null);
+    setCommandStatus(null);
+    try {
+      const { toolCalls, text } = await COMMAND_MODEL.propose(utterance, { deviceNames: commandDevices.map(device => device.name) });
+      setCommandPlan({
+        utterance,
+        reply: text,
+        steps: planCommands(toolCalls, {
+          devices: commandDevices,
+          eventTypes: LOG_EVENT_TYPES,
+          hasActiveSession: Boolean(sessionDeviceId),
+        }),
+      });
+    } catch (e) {
+      console.error("Command interpretation failed: ", e);
+      setCommandStatus(`Could not interpret the command: ${e.message}`);
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [commandUtterance, commandDevices, sessionDeviceId]);
+
+  // Step 2: run the confirmed steps through the regular handlers, logging each with the utterance
+  const handleConfirmCommand = useCallback(async () => {
+    if (!commandPlan) return;
+
+    const { utterance } = commandPlan;
+    setCommandPlan(null);
+    const executed = await runCommandPlan(commandPlan, {
+      register_device: async (step) => {
+        setPairingCode(step.args.pairingCode);
+        setNewDeviceName(step.args.name);
+        await handleAddDevice({ code: step.args.pairingCode, name: step.args.name });
+      },
+      start_mirroring: (step) => handleStartMirroring(step.device),
+      stop_mirroring: () => handleStopMirroring('USER_COMMAND'),
+      query_history: (step) => {
+        const from = step.args.sinceDays ? new Date(Date.now() - step.args.sinceDays * 86400000).toLocaleDateString('en-CA') : '';
+        setLogFilters({ type: step.args.eventType, deviceId: step.device?.id ?? '', from, to: '' });
+        setLogLimit(LOG_PAGE_SIZE);
+      },
+    }, {
+      onExecuted: (step) => logEvent('COMMAND', `"${utterance}" -> ${step.summary}`, {
+        deviceId: step.device?.id ?? null,
+        uniqueId: step.device?.uniqueId ?? null,
+        reason: step.tool,
+      }),
+    });
+    setCommandUtterance('');
+    setCommandStatus(`Ran: ${executed.map(step => step.summary).join('; ') || 'nothing'}.`);
+  }, [commandPlan, handleAddDevice, handleStartMirroring, handleStopMirroring, logEvent]);
+
+
+  const statusText = useMemo(() => {
+    if (!authReady) return 'Initializing...';
+    if (!userId) return 'Awaiting Authentication...';
+    if (activeSession && activeSession.status === 'Connected') {
+      return `ACTIVE: Mirroring to ${activeSession.mirroringDeviceName}`;
+    }
+    if (activeSession && activeSession.status === 'Negotiating') {
+      return `NEGOTIATING: Waiting for ${activeSession.mirroringDeviceName} to answer...`;
+    }
+    if (activeSession && activeSession.status === 'Failed') {
+      return `FAILED: Could not reach ${activeSession.mirroringDeviceName}. Stop and retry.`;
+    }
+    if (activeSession && activeSession.status === 'Expired') {
+      return `EXPIRED: Session on ${activeSession.mirroringDeviceName} lost its sender. Ready to connect.`;
+    }
+    if (authorizedDevices.length === 0 && sharedDevices.length === 0) return 'No TVs registered. Add one to begin.';
+    return 'Idle: Ready to connect.';
+  }, [authReady, userId, activeSession, authorizedDevices, sharedDevices]);
+
+  const statusColor = useMemo(() => {
+    if (!authReady || !userId) return 'bg-yellow-500';
+    if (activeSession && activeSession.status === 'Connected') return 'bg-green-500';
+    if (activeSession && activeSession.status === 'Negotiating') return 'bg-blue-500';
+    if (activeSession && activeSession.status === 'Failed') return 'bg-red-500';
+    if (activeSession && activeSession.status === 'Expired') return 'bg-orange-500';
+    return 'bg-gray-500';
+  }, [authReady, userId, activeSession]);
+
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 font-inter antialiased">
+      <script src="https://cdn.tailwindcss.com"></script>
+      <div className="max-w-7xl mx-auto">
+
+        {/* Header & Status */}
         <header className="mb-8 border-b pb-4">
           <h1 className="text-4xl font-extrabold text-gray-900 flex items-center">
             <Monitor className="w-8 h-8 mr-3 text-indigo-600" />
@@ -319,11 +1616,65 @@ const App = () => {
                 {statusText}
               </div>
             </span>
+            {isSessionLive && activeSession.streamProfile && (
+              <span className="flex items-center text-sm text-gray-600">
+                <SlidersHorizontal className="w-4 h-4 mr-1 text-gray-400" />
+                {activeSession.negotiatedProfile
+                  ? `Stream: ${describeNegotiatedProfile(activeSession.negotiatedProfile)}`
+                  : `Stream (requested): ${describeStreamProfile(activeSession.streamProfile)}`}
+              </span>
+            )}
+            {isSessionLive && (
+              <span className="flex items-center text-sm text-gray-600">
+                Lease renewed {Math.round(getSessionLeaseAgeMs(activeSession, now) / 1000)}s ago
+              </span>
+            )}
             <span className="flex items-center text-sm text-gray-600">
                 <Key className="w-4 h-4 mr-1 text-gray-400" />
                 User ID: <code className="ml-1 font-mono text-xs bg-gray-200 px-2 py-0.5 rounded">{userId || 'N/A'}</code>
             </span>
           </div>
+          {isSessionLive && getSessionLeaseAgeMs(activeSession, now) > SESSION_STALE_WARNING_MS && (
+            <div className="mt-4 p-3 bg-orange-50 border-l-4 border-orange-400 rounded-lg text-sm text-orange-800 flex items-center">
+              <AlertTriangle className="w-4 h-4 mr-2" />
+              Session appears stale: the sending browser has not renewed its lease. It will expire automatically
+              after {SESSION_LEASE_MS / 1000}s without a heartbeat.
+            </div>
+          )}
+          <SecurityAlertBanner
+            lockouts={activeLockouts}
+            alerts={securityAlerts}
+            userId={userId}
+            now={now}
+            formatDate={formatDate}
+            onClearLockout={handleClearLockout}
+            onDismiss={(event) => setDismissedAlertIds(ids => [...ids, event.id])}
+          />
+          {incomingHandoffs.map(handoff => (
+            <HandoffPrompt key={handoff.id} handoff={handoff} onAnswer={handleAnswerHandoff} />
+          ))}
+          {handoffOffer && (
+            <div className="mt-4 p-3 bg-red-50 border-l-4 border-red-400 rounded-lg text-sm text-red-800 flex flex-wrap items-center gap-3">
+              <AlertTriangle className="w-4 h-4" />
+              <span className="flex-1">DENIED: {handoffOffer.reason}</span>
+              <button
+                onClick={handleRequestHandoff}
+                className="text-xs font-bold py-2 px-3 rounded-lg bg-indigo-500 text-white hover:bg-indigo-600"
+              >
+                Request handoff
+              </button>
+              <button onClick={() => setHandoffOffer(null)} className="text-xs text-gray-500 hover:text-gray-700">Dismiss</button>
+            </div>
+          )}
+          {handoffStatus && (
+            <div className="mt-4 p-3 bg-gray-100 rounded-lg text-sm text-gray-700 flex items-center gap-3">
+              {outgoingHandoff && <Loader2 className="w-4 h-4 animate-spin" />}
+              <span className="flex-1">{handoffStatus}</span>
+              {!outgoingHandoff && (
+                <button onClick={() => setHandoffStatus(null)} className="text-xs text-gray-500 hover:text-gray-700">Dismiss</button>
+              )}
+            </div>
+          )}
         </header>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
@@ -331,128 +1682,548 @@ const App = () => {
           {/* Left Column: Device Management */}
           <div className="lg:col-span-1 space-y-8">
 
+            {/* Account */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+              <h2 className="text-2xl font-semibold mb-4 flex items-center text-indigo-600">
+                <User className="w-6 h-6 mr-2" /> Account
+              </h2>
+              <AccountPanel
+                account={account}
+                browsers={browsers}
+                browserId={browserId}
+                onAccountUpgraded={handleAccountUpgraded}
+                onSignOut={handleSignOut}
+              />
+            </div>
+
             {/* Register TV */}
             <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
               <h2 className="text-2xl font-semibold mb-4 flex items-center text-indigo-600">
                 <Monitor className="w-6 h-6 mr-2" /> Register New TV (One-Time Setup)
               </h2>
+              <p className="text-sm text-gray-500 mb-3">
+                Open <code className="bg-gray-100 px-1 rounded">?mode=pair</code> on the TV, then enter the code it shows (or scan its QR code).
+              </p>
               <div className="space-y-3">
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  placeholder="6-digit pairing code"
+                  value={pairingCode}
+                  onChange={(e) => setPairingCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                  className="w-full p-3 border border-gray-300 rounded-lg font-mono tracking-widest focus:ring-indigo-500 focus:border-indigo-500"
+                  disabled={!userId || !!pendingPairing}
+                />
                 <input
                   type="text"
                   placeholder="TV Name (e.g., 'Living Room TV')"
                   value={newDeviceName}
+                  maxLength={MAX_DEVICE_NAME_LENGTH}
                   onChange={(e) => setNewDeviceName(e.target.value)}
                   className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                  disabled={!userId}
+                  disabled={!userId || !!pendingPairing}
                 />
                 <button
-                  onClick={handleAddDevice}
+                  onClick={() => handleAddDevice()}
                   className="w-full bg-indigo-500 text-white p-3 rounded-lg font-semibold hover:bg-indigo-600 transition duration-150 disabled:bg-indigo-300 shadow-md"
-                  disabled={!userId || !newDeviceName.trim()}
+                  disabled={!userId || !newDeviceName.trim() || pairingCode.length !== 6 || !!pendingPairing}
                 >
-                  Register TV
+                  {pendingPairing ? 'Waiting for TV confirmation...' : 'Pair TV'}
                 </button>
+                {pairingStatus && <p className="text-sm text-gray-600">{pairingStatus}</p>}
+              </div>
+
+              <div className="mt-6 pt-4 border-t border-gray-100 space-y-3">
+                <p className="text-sm text-gray-500 flex items-center">
+                  <Users className="w-4 h-4 mr-1" /> Have a guest invite for someone else's TV?
+                </p>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    placeholder="8-character invite code"
+                    value={inviteCode}
+                    onChange={(e) => setInviteCode(e.target.value.replace(/[^a-z0-9]/gi, '').toUpperCase().slice(0, 8))}
+                    className="flex-1 p-3 border border-gray-300 rounded-lg font-mono tracking-widest focus:ring-indigo-500 focus:border-indigo-500"
+                    disabled={!userId}
+                  />
+                  <button
+                    onClick={handleAcceptInvite}
+                    className="bg-indigo-500 text-white px-4 rounded-lg font-semibold hover:bg-indigo-600 transition duration-150 disabled:bg-indigo-300 shadow-md"
+                    disabled={!userId || inviteCode.length !== 8}
+                  >
+                    Join
+                  </button>
+                </div>
+                {inviteStatus && <p className="text-sm text-gray-600">{inviteStatus}</p>}
               </div>
             </div>
 
             {/* Registered Devices List */}
             <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
               <h2 className="text-2xl font-semibold mb-4 flex items-center text-indigo-600">
-                <Lock className="w-6 h-6 mr-2" /> Authorized Devices ({devices.length})
+                <Lock className="w-6 h-6 mr-2" /> Authorized Devices ({authorizedDevices.length + sharedDevices.length})
               </h2>
               <ul className="space-y-3">
-                {devices.length === 0 ? (
+                {authorizedDevices.length === 0 && sharedDevices.length === 0 ? (
                   <li className="text-gray-500 italic">No authorized devices found.</li>
                 ) : (
-                  devices.map(device => (
-                    <li key={device.id} className="p-4 bg-gray-50 rounded-lg flex justify-between items-center shadow-sm hover:shadow-md transition">
+                  authorizedDevices.map(device => (
+                    <li key={device.id} className="p-4 bg-gray-50 rounded-lg shadow-sm hover:shadow-md transition">
+                      <div className="flex justify-between items-center">
+                        <div>
+                          <p className="font-medium text-gray-800 flex items-center">
+                            <span className={`w-2 h-2 rounded-full mr-2 ${isReceiverOnline(receiverPresence[device.uniqueId]) ? 'bg-green-500' : 'bg-gray-400'}`} />
+                            {device.name}
+                            <span className="ml-2 text-xs font-normal text-gray-500">
+                              {isReceiverOnline(receiverPresence[device.uniqueId]) ? 'Online' : 'Offline'}
+                            </span>
+                            {getDeviceState(device) === 'Disabled' && (
+                              <span className="ml-2 text-xs font-semibold text-yellow-700 bg-yellow-100 px-2 py-0.5 rounded-full">Disabled</span>
+                            )}
+                            {deviceLockouts[device.id] && (
+                              <span className="ml-2 text-xs font-semibold text-red-700 bg-red-100 px-2 py-0.5 rounded-full">
+                                Locked {Math.ceil((getLockedUntilMs(deviceLockouts[device.id], now) - now) / 60000)} min
+                              </span>
+                            )}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                              <Zap className="w-3 h-3 mr-1 inline" /> ID: {device.uniqueId} | 
+                              Last Used: <span className='font-semibold'>{formatDate(device.lastConnected)}</span>
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            Stream: {describeStreamProfile(device.streamProfile)}
+                            {sessionProfiles[device.id] && (
+                              <span className="text-indigo-600"> | Next session: {describeStreamProfile(applySessionOverrides(device.streamProfile, sessionProfiles[device.id]))}</span>
+                            )}
+                          </p>
+                          <button
+                            onClick={() => navigator.clipboard?.writeText(buildReceiverLink(device.uniqueId))}
+                            className="text-xs text-indigo-500 hover:text-indigo-700 underline mt-1"
+                          >
+                            Copy TV receiver link
+                          </button>
+                        </div>
+                        <button
+                          onClick={() => sessionDeviceId === device.id ? handleStopMirroring() : handleStartMirroring(device)}
+                          className={`text-xs font-bold py-2 px-3 rounded-full transition duration-150 disabled:opacity-50 ${sessionDeviceId === device.id
+                              ? 'bg-red-500 text-white hover:bg-red-600'
+                              : 'bg-green-500 text-white hover:bg-green-600'
+                            }`}
+                          disabled={!userId || (getDeviceState(device) === 'Disabled' && sessionDeviceId !== device.id)}
+                        >
+                          {sessionDeviceId === device.id ? 'STOP' : 'START MIRROR'}
+                        </button>
+                      </div>
+
+                      {deviceEdit?.deviceId === device.id ? (
+                        <div className="mt-3 flex gap-2">
+                          <input
+                            type="text"
+                            value={deviceEdit.value}
+                            placeholder={deviceEdit.mode === 'rename' ? 'New TV name' : 'Reason for revoking'}
+                            maxLength={deviceEdit.mode === 'rename' ? MAX_DEVICE_NAME_LENGTH : undefined}
+                            onChange={(e) => setDeviceEdit(edit => ({ ...edit, value: e.target.value }))}
+                            className="flex-1 p-2 text-sm border border-gray-300 rounded-lg"
+                          />
+                          <button
+                            onClick={() => submitDeviceEdit(device)}
+                            className={`text-xs font-bold py-2 px-3 rounded-lg text-white ${deviceEdit.mode === 'revoke' ? 'bg-red-500 hover:bg-red-600' : 'bg-indigo-500 hover:bg-indigo-600'}`}
+                          >
+                            {deviceEdit.mode === 'revoke' ? 'Revoke' : 'Save'}
+                          </button>
+                          <button onClick={() => setDeviceEdit(null)} className="text-xs text-gray-500 hover:text-gray-700">Cancel</button>
+                        </div>
+                      ) : (
+                        <div className="mt-2 flex gap-3 text-xs">
+                          <button
+                            onClick={() => setDeviceEdit({ deviceId: device.id, mode: 'rename', value: device.name })}
+                            className="flex items-center text-gray-600 hover:text-indigo-600"
+                          >
+                            <Pencil className="w-3 h-3 mr-1" /> Rename
+                          </button>
+                          <button
+                            onClick={() => handleSetDeviceDisabled(device, getDeviceState(device) !== 'Disabled')}
+                            className="flex items-center text-gray-600 hover:text-yellow-600"
+                          >
+                            <Power className="w-3 h-3 mr-1" /> {getDeviceState(device) === 'Disabled' ? 'Enable' : 'Disable'}
+                          </button>
+                          <button
+                            onClick={() => setDeviceEdit({ deviceId: device.id, mode: 'revoke', value: '' })}
+                            className="flex items-center text-gray-600 hover:text-red-600"
+                          >
+                            <Ban className="w-3 h-3 mr-1" /> Revoke
+                          </button>
+                          {deviceLockouts[device.id] && (
+                            <button
+                              onClick={() => handleClearLockout(deviceLockouts[device.id])}
+                              className="flex items-center text-red-600 hover:text-red-800"
+                            >
+                              <Shield className="w-3 h-3 mr-1" /> Clear lockout
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleCreateInvite(device)}
+                            className="flex items-center text-gray-600 hover:text-indigo-600"
+                          >
+                            <Share2 className="w-3 h-3 mr-1" /> Share
+                          </button>
+                          <button
+                            onClick={() => setProfileEdit({ key: device.id, mode: 'device' })}
+                            className="flex items-center text-gray-600 hover:text-indigo-600"
+                          >
+                            <SlidersHorizontal className="w-3 h-3 mr-1" /> Stream profile
+                          </button>
+                          <button
+                            onClick={() => setProfileEdit({ key: device.id, mode: 'session' })}
+                            className="flex items-center text-gray-600 hover:text-indigo-600"
+                          >
+                            <SlidersHorizontal className="w-3 h-3 mr-1" /> This session
+                          </button>
+                        </div>
+                      )}
+
+                      {profileEdit?.key === device.id && (profileEdit.mode === 'device' ? (
+                        <StreamProfileEditor
+                          key="device"
+                          profile={device.streamProfile}
+                          saveLabel="Save profile"
+                          onSave={(profile) => handleSaveStreamProfile(device, profile)}
+                          onCancel={() => setProfileEdit(null)}
+                        />
+                      ) : (
+                        <StreamProfileEditor
+                          key="session"
+                          profile={applySessionOverrides(device.streamProfile, sessionProfiles[device.id])}
+                          ceiling={normalizeStreamProfile(device.streamProfile)}
+                          saveLabel="Use for next session"
+                          onSave={(overrides) => handleSetSessionProfile(device, overrides)}
+                          onReset={() => handleSetSessionProfile(device, null)}
+                          onCancel={() => setProfileEdit(null)}
+                        />
+                      ))}
+
+                      {shareInvite?.deviceId === device.id && (
+                        <p className="mt-2 text-xs text-gray-600">
+                          Guest invite: <code className="font-mono bg-gray-200 px-1 rounded">{shareInvite.code}</code> (valid until {formatDate(shareInvite.expiresAt)})
+                          <button
+                            onClick={() => navigator.clipboard?.writeText(`${window.location.origin}${window.location.pathname}?invite=${shareInvite.code}`)}
+                            className="ml-2 text-indigo-500 hover:text-indigo-700 underline"
+                          >
+                            Copy invite link
+                          </button>
+                        </p>
+                      )}
+
+                      {Object.keys(device.guests || {}).length > 0 && (
+                        <ul className="mt-2 space-y-1 text-xs text-gray-600">
+                          {Object.entries(device.guests).map(([guestId, guest]) => {
+                            const guestSession = guestSessions.find(session => session.guestId === guestId
+                              && session.mirroringDeviceId === device.id
+                              && LIVE_SESSION_STATUSES.includes(session.status)
+                              && !isSessionStale(session, now));
+                            return (
+                              <li key={guestId} className="flex items-center gap-3">
+                                <Users className="w-3 h-3 text-gray-400" />
+                                <span>{guest.label} <span className="text-gray-400">(guest)</span></span>
+                                {guestSession && <span className="font-semibold text-green-700">Mirroring now</span>}
+                                {guestSession && (
+                                  <button onClick={() => handleKickGuest(device, guestId)} className="text-orange-600 hover:text-orange-800">
+                                    End session
+                                  </button>
+                                )}
+                                <button onClick={() => handleRemoveGuest(device, guestId)} className="flex items-center text-gray-500 hover:text-red-600">
+                                  <UserX className="w-3 h-3 mr-1" /> Remove
+                                </button>
+                              </li>
+                            );
+                          })}
+                        </ul>
+                      )}
+                    </li>
+                  ))
+                )}
+
+                {sharedDevices.map(device => (
+                  <li key={device.sharedId} className="p-4 bg-indigo-50 rounded-lg shadow-sm hover:shadow-md transition">
+                    <div className="flex justify-between items-center">
                       <div>
-                        <p className="font-medium text-gray-800">{device.name}</p>
+                        <p className="font-medium text-gray-800 flex items-center">
+                          <span className={`w-2 h-2 rounded-full mr-2 ${isReceiverOnline(receiverPresence[device.uniqueId]) ? 'bg-green-500' : 'bg-gray-400'}`} />
+                          {device.name}
+                          <span className="ml-2 text-xs font-semibold text-indigo-700 bg-indigo-100 px-2 py-0.5 rounded-full">Guest</span>
+                        </p>
                         <p className="text-xs text-gray-500">
-                            <Zap className="w-3 h-3 mr-1 inline" /> ID: {device.uniqueId} | 
-                            Last Used: <span className='font-semibold'>{formatDate(device.lastConnected)}</span>
+                          <Users className="w-3 h-3 mr-1 inline" /> Shared by {device.ownerLabel || 'the owner'} | ID: {device.uniqueId}
                         </p>
+                        {sessionProfiles[device.sharedId] && (
+                          <p className="text-xs text-indigo-600">
+                            Next session: at most {describeStreamProfile(sessionProfiles[device.sharedId])} (the owner's profile still applies)
+                          </p>
+                        )}
+                        <div className="mt-1 flex gap-3 text-xs">
+                          <button
+                            onClick={() => handleLeaveSharedDevice(device)}
+                            className="flex items-center text-gray-600 hover:text-red-600"
+                          >
+                            <UserX className="w-3 h-3 mr-1" /> Leave
+                          </button>
+                          <button
+                            onClick={() => setProfileEdit({ key: device.sharedId, mode: 'session' })}
+                            className="flex items-center text-gray-600 hover:text-indigo-600"
+                          >
+                            <SlidersHorizontal className="w-3 h-3 mr-1" /> This session
+                          </button>
+                        </div>
                       </div>
                       <button
-                        onClick={() => activeSession?.mirroringDeviceId === device.id ? handleStopMirroring() : handleStartMirroring(device)}
-                        className={`text-xs font-bold py-2 px-3 rounded-full transition duration-150 ${activeSession?.mirroringDeviceId === device.id
+                        onClick={() => sessionDeviceId === device.id ? handleStopMirroring() : handleStartMirroring(device)}
+                        className={`text-xs font-bold py-2 px-3 rounded-full transition duration-150 disabled:opacity-50 ${sessionDeviceId === device.id
                             ? 'bg-red-500 text-white hover:bg-red-600'
                             : 'bg-green-500 text-white hover:bg-green-600'
                           }`}
                         disabled={!userId}
                       >
-                        {activeSession?.mirroringDeviceId === device.id ? 'STOP' : 'START MIRROR'}
+                        {sessionDeviceId === device.id ? 'STOP' : 'START MIRROR'}
                       </button>
-                    </li>
-                  ))
-                )}
+                    </div>
+                    {profileEdit?.key === device.sharedId && (
+                      <StreamProfileEditor
+                        profile={sessionProfiles[device.sharedId]}
+                        saveLabel="Use for next session"
+                        onSave={(overrides) => handleSetSessionProfile(device, overrides)}
+                        onReset={() => handleSetSessionProfile(device, null)}
+                        onCancel={() => setProfileEdit(null)}
+                      />
+                    )}
+                  </li>
+                ))}
               </ul>
+
+              {revokedDevices.length > 0 && (
+                <details className="mt-4 text-sm">
+                  <summary className="cursor-pointer text-gray-500">Revoked devices ({revokedDevices.length})</summary>
+                  <ul className="mt-2 space-y-2">
+                    {revokedDevices.map(device => (
+                      <li key={device.id} className="p-3 bg-red-50 rounded-lg text-xs text-gray-600">
+                        <p className="font-medium text-gray-700 line-through">{device.name}</p>
+                        ID: {device.uniqueId} | Revoked: {formatDate(device.revokedAt)} | Reason: {device.revokedReason}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
             </div>
           </div>
 
           {/* Right Column: Security/Gemini Analysis */}
           <div className="lg:col-span-2 space-y-8">
 
-            {/* Gemini Security Analysis Tool */}
+            {/* Mirroring Policy Editor */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+              <h2 className="text-2xl font-semibold mb-4 flex items-center text-teal-600">
+                <SlidersHorizontal className="w-6 h-6 mr-2" /> Mirroring Policy
+              </h2>
+              <PolicyEditor policy={policy} clientRegion={clientRegion} onSave={handleSavePolicy} disabled={!userId} />
+            </div>
+
+            {/* Security Analysis Tool */}
             <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
               <h2 className="text-2xl font-semibold mb-4 flex items-center text-purple-600">
                 <Shield className="w-6 h-6 mr-2" /> ADK Gemini Security Analyst
               </h2>
-              <p className="text-gray-600 mb-4">
-                Analyze your connection policy or review denial logs instantly.
-              </p>
-
-              <div className="space-y-4">
-                <textarea
-                  placeholder="E.g., 'Analyze the policy: only one user can mirror at a time from a registered device.' or 'Summarize the denial patterns in the log.'"
-                  value={geminiPrompt}
-                  onChange={(e) => setGeminiPrompt(e.target.value)}
-                  rows="3"
-                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500 resize-none"
-                />
-                <button
-                  onClick={handleRunAnalysis}
-                  className="w-full bg-purple-500 text-white p-3 rounded-lg font-semibold hover:bg-purple-600 transition duration-150 shadow-md flex items-center justify-center disabled:bg-purple-300"
-                  disabled={isGenerating || !userId || !geminiPrompt.trim()}
-                >
-                  {isGenerating ? (
-                    <>
-                      <Loader2 className="w-5 h-5 mr-2 animate-spin" />
-                      Generating Analysis...
-                    </>
-                  ) : (
-                    <>
-                      <RefreshCw className="w-5 h-5 mr-2" />
-                      Run Policy Analysis
-                    </>
-                  )}
-                </button>
+              <div className="flex gap-2 mb-4 text-sm">
+                {[['analyze', 'Analyze'], ['command', 'Command']].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => setAssistantMode(mode)}
+                    className={`px-3 py-1 rounded-full font-semibold ${assistantMode === mode ? 'bg-purple-500 text-white' : 'bg-purple-50 text-purple-700 hover:bg-purple-100'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
               </div>
 
-              {geminiResponse && (
-                <div className="mt-6 p-4 bg-purple-50 border-l-4 border-purple-400 rounded-lg">
-                  <h3 className="font-bold text-purple-800 mb-2 flex items-center">
-                    <LogOut className="w-4 h-4 mr-2" /> Gemini Output
-                  </h3>
-                  <p className="text-purple-700 whitespace-pre-wrap">{geminiResponse}</p>
+              {assistantMode === 'command' ? (
+                <div className="space-y-4">
+                  <p className="text-gray-600">
+                    Type what you want, e.g. "mirror to the living room TV" or "show denied attempts this week". You confirm before anything runs.
+                  </p>
+                  <div className="flex gap-3">
+                    <input
+                      type="text"
+                      placeholder="What should I do?"
+                      value={commandUtterance}
+                      onChange={(e) => setCommandUtterance(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleInterpretCommand()}
+                      className="flex-1 p-3 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+                    />
+                    <button
+                      onClick={handleInterpretCommand}
+                      className="bg-purple-500 text-white px-4 rounded-lg font-semibold hover:bg-purple-600 transition duration-150 shadow-md flex items-center disabled:bg-purple-300"
+                      disabled={isGenerating || !userId || !commandUtterance.trim()}
+                    >
+                      {isGenerating ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Interpret'}
+                    </button>
+                  </div>
+
+                  {commandPlan && (
+                    <div className="p-4 bg-purple-50 border-l-4 border-purple-400 rounded-lg text-sm">
+                      <p className="font-semibold text-purple-800">"{commandPlan.utterance}"</p>
+                      {commandPlan.reply && <p className="mt-1 text-purple-700">{commandPlan.reply}</p>}
+                      {commandPlan.steps.length === 0 ? (
+                        <p className="mt-2 text-purple-700 italic">No command was recognized.</p>
+                      ) : (
+                        <ol className="mt-2 space-y-1 list-decimal list-inside">
+                          {commandPlan.steps.map(step => (
+                            <li key={step.id} className={step.error ? 'text-red-600' : 'text-purple-900'}>
+                              {step.summary}{step.error && ` (skipped: ${step.error})`}
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+                      <div className="mt-3 flex gap-3">
+                        <button
+                          onClick={handleConfirmCommand}
+                          className="text-xs font-bold py-2 px-3 rounded-lg bg-purple-500 text-white hover:bg-purple-600 disabled:bg-purple-300"
+                          disabled={!commandPlan.steps.some(step => !step.error)}
+                        >
+                          Confirm & run
+                        </button>
+                        <button onClick={() => setCommandPlan(null)} className="text-xs text-gray-500 hover:text-gray-700">Cancel</button>
+                      </div>
+                    </div>
+                  )}
+                  {commandStatus && <p className="text-sm text-gray-600">{commandStatus}</p>}
                 </div>
+              ) : (
+                <>
+                  <p className="text-gray-600 mb-4">
+                    Score your policy and the loaded log entries, with findings and recommended policy changes.
+                  </p>
+
+                  <div className="space-y-4">
+                    <textarea
+                      placeholder="Optional focus, e.g. 'Is anyone trying to use a revoked TV?' or 'Should I restrict mirroring at night?'"
+                      value={analysisPrompt}
+                      onChange={(e) => setAnalysisPrompt(e.target.value)}
+                      rows="3"
+                      className="w-full p-3 border border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500 resize-none"
+                    />
+                    <div className="flex gap-3">
+                      <select
+                        value={analyzerId}
+                        onChange={(e) => setAnalyzerId(e.target.value)}
+                        className="p-3 border border-gray-300 rounded-lg text-sm"
+                      >
+                        {ANALYZERS.map(analyzer => <option key={analyzer.id} value={analyzer.id}>{analyzer.label}</option>)}
+                      </select>
+                      <button
+                        onClick={handleRunAnalysis}
+                        className="flex-1 bg-purple-500 text-white p-3 rounded-lg font-semibold hover:bg-purple-600 transition duration-150 shadow-md flex items-center justify-center disabled:bg-purple-300"
+                        disabled={isGenerating || !userId}
+                      >
+                        {isGenerating ? (
+                          <>
+                            <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                            Generating Analysis...
+                          </>
+                        ) : (
+                          <>
+                            <RefreshCw className="w-5 h-5 mr-2" />
+                            Run Policy Analysis
+                          </>
+                        )}
+                      </button>
+                    </div>
+                  </div>
+
+                  {analysisError && <p className="mt-4 text-sm text-red-600">{analysisError}</p>}
+                  {analysisReport && (
+                    <AnalysisReport
+                      report={analysisReport}
+                      events={analysisEvents}
+                      formatDate={formatDate}
+                      onApplyRecommendation={handleApplyRecommendation}
+                    />
+                  )}
+                </>
               )}
             </div>
 
+            {/* Usage Dashboard */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+              <h2 className="text-2xl font-semibold mb-4 flex items-center text-sky-600">
+                <Monitor className="w-6 h-6 mr-2" /> Usage and Session History
+              </h2>
+              <UsageDashboard records={sessionHistory} events={usageEvents} devices={[...devices, ...sharedDevices]} />
+            </div>
+
             {/* Simulated Security Log */}
             <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
               <h2 className="text-2xl font-semibold mb-4 flex items-center text-red-600">
                 <AlertTriangle className="w-6 h-6 mr-2" /> Security and Connection Log
               </h2>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3 text-sm">
+                <select
+                  value={logFilters.type}
+                  onChange={(e) => updateLogFilter('type', e.target.value)}
+                  className="p-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="">All event types</option>
+                  {LOG_EVENT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+                <select
+                  value={logFilters.deviceId}
+                  onChange={(e) => updateLogFilter('deviceId', e.target.value)}
+                  className="p-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="">All devices</option>
+                  {devices.map(device => <option key={device.id} value={device.id}>{device.name}</option>)}
+                  {sharedDevices.map(device => <option key={device.sharedId} value={device.id}>{device.name} (shared)</option>)}
+                </select>
+                <input
+                  type="date"
+                  value={logFilters.from}
+                  onChange={(e) => updateLogFilter('from', e.target.value)}
+                  className="p-2 border border-gray-300 rounded-lg"
+                  aria-label="From date"
+                />
+                <input
+                  type="date"
+                  value={logFilters.to}
+                  onChange={(e) => updateLogFilter('to', e.target.value)}
+                  className="p-2 border border-gray-300 rounded-lg"
+                  aria-label="To date"
+                />
+              </div>
               <div className="h-64 overflow-y-scroll bg-gray-800 text-green-400 font-mono text-xs p-3 rounded-lg shadow-inner">
-                {simulatedLog.trim() === '' ? (
+                {auditEvents.length === 0 ? (
                   <p className="text-gray-500 italic">Log is empty. Start adding devices or connections to generate entries.</p>
                 ) : (
-                  simulatedLog.split('\n').map((line, index) => (
-                    <pre key={index} className={line.includes('DENIED') ? 'text-red-400' : ''}>{line}</pre>
+                  auditEvents.map(event => (
+                    <pre key={event.id} className={event.type === 'DENIED' ? 'text-red-400' : ''}>
+                      [{formatDate(event.timestamp)}] {event.type}: {event.message}{event.reason ? ` (reason: ${event.reason})` : ''}
+                    </pre>
                   ))
                 )}
+                {hasMoreLogs && (
+                  <button
+                    onClick={() => setLogLimit(current => current + LOG_PAGE_SIZE)}
+                    className="mt-2 text-indigo-300 hover:text-indigo-200 underline"
+                  >
+                    Load older entries
+                  </button>
+                )}
               </div>
+              <LogExportPanel
+                webhook={webhook}
+                webhookStatus={webhookStatus}
+                onExport={handleExport}
+                onSaveWebhook={handleSaveWebhook}
+                onTestWebhook={handleTestWebhook}
+                formatDate={formatDate}
+                disabled={!userId}
+              />
             </div>
           </div>
         </div>
@@ -461,4 +2232,1037 @@ const App = () => {
   );
 };
 
-export default App;
\ No newline at end of file
+// --- Account Panel Component ---
+// Upgrades an anonymous user to a permanent account (linking keeps the same uid, so registered
+// TVs carry over), signs in to existing accounts, and lists this user's signed-in browsers.
+const AccountPanel = ({ account, browsers, browserId, onAccountUpgraded, onSignOut }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runAuthAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      setPassword('');
+    } catch (e) {
+      console.error("Account action failed: ", e);
+      setError(AUTH_ERROR_MESSAGES[e.code] || e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreateAccount = () => runAuthAction(async () => {
+    if (auth.currentUser?.isAnonymous) {
+      await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email.trim(), password));
+      onAccountUpgraded('password');
+    } else {
+      await createUserWithEmailAndPassword(auth, email.trim(), password);
+    }
+  });
+
+  const handleEmailSignIn = () => runAuthAction(() => signInWithEmailAndPassword(auth, email.trim(), password));
+
+  const handleGoogleSignIn = () => runAuthAction(async () => {
+    const provider = new GoogleAuthProvider();
+    if (!auth.currentUser?.isAnonymous) {
+      await signInWithPopup(auth, provider);
+      return;
+    }
+    try {
+      await linkWithPopup(auth.currentUser, provider);
+      onAccountUpgraded('google.com');
+    } catch (e) {
+      // The Google account already exists: switch to it (this guest session's TVs stay behind)
+      if (e.code !== 'auth/credential-already-in-use') throw e;
+      await signInWithCredential(auth, GoogleAuthProvider.credentialFromError(e));
+    }
+  });
+
+  if (!account) {
+    return <p className="text-gray-500 italic">Signing in...</p>;
+  }
+
+  if (account.isAnonymous) {
+    return (
+      <div className="space-y-3 text-sm">
+        <p className="text-gray-600">
+          You are using a guest session, so your TVs are tied to this browser. Create an account to keep them
+          and use them from any browser.
+        </p>
+        <input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <input
+          type="password"
+          placeholder="Password (6+ characters)"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            onClick={handleCreateAccount}
+            className="bg-indigo-500 text-white p-2 rounded-lg font-semibold hover:bg-indigo-600 disabled:bg-indigo-300"
+            disabled={busy || !email.trim() || password.length < 6}
+          >
+            Create account & keep TVs
+          </button>
+          <button
+            onClick={handleEmailSignIn}
+            className="bg-gray-100 text-gray-700 p-2 rounded-lg font-semibold hover:bg-gray-200 disabled:opacity-50"
+            disabled={busy || !email.trim() || !password}
+          >
+            Sign in
+          </button>
+        </div>
+        <button
+          onClick={handleGoogleSignIn}
+          className="w-full bg-white border border-gray-300 text-gray-700 p-2 rounded-lg font-semibold hover:bg-gray-50 disabled:opacity-50"
+          disabled={busy}
+        >
+          Continue with Google
+        </button>
+        <p className="text-xs text-gray-500">
+          Signing in to an existing account switches to that account's TVs; TVs paired in this guest session stay behind.
+        </p>
+        {error && <p className="text-red-600">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex justify-between items-center">
+        <div>
+          <p className="font-medium text-gray-800">{account.displayName || account.email}</p>
+          <p className="text-xs text-gray-500">Signed in with {account.providers.join(', ')}</p>
+        </div>
+        <button
+          onClick={onSignOut}
+          className="flex items-center text-xs font-bold py-2 px-3 rounded-full bg-gray-100 text-gray-700 hover:bg-gray-200"
+        >
+          <LogOut className="w-4 h-4 mr-1" /> Sign out
+        </button>
+      </div>
+
+      <div>
+        <p className="font-semibold text-gray-700 mb-2">Your browsers ({browsers.length})</p>
+        <ul className="space-y-2">
+          {browsers.map(browser => (
+            <li key={browser.id} className="p-2 bg-gray-50 rounded-lg flex justify-between items-center text-xs">
+              <span className="text-gray-700">
+                {browser.label}
+                {browser.id === browserId && <span className="ml-2 font-semibold text-indigo-600">(this browser)</span>}
+              </span>
+              <span className={isReceiverOnline({ online: true, lastSeen: browser.lastSeen }) ? 'text-green-600' : 'text-gray-400'}>
+                {isReceiverOnline({ online: true, lastSeen: browser.lastSeen }) ? 'Active now' : `Last seen ${browser.lastSeen?.toDate ? browser.lastSeen.toDate().toLocaleString() : 'N/A'}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+
+// --- Policy Editor Component ---
+// Edits a local draft of the user's mirroring policy; nothing is written until Save.
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const PolicyEditor = ({ policy, clientRegion, onSave, disabled }) => {
+  const [draft, setDraft] = useState(policy);
+  const [regionsText, setRegionsText] = useState(policy.allowedRegions.join(', '));
+
+  // Reset the draft whenever the stored policy changes (e.g. saved from another tab)
+  useEffect(() => {
+    setDraft(policy);
+    setRegionsText(policy.allowedRegions.join(', '));
+  }, [policy]);
+
+  const updateWindow = (index, changes) => {
+    setDraft(current => ({
+      ...current,
+      timeWindows: current.timeWindows.map((timeWindow, i) => (i === index ? { ...timeWindow, ...changes } : timeWindow)),
+    }));
+  };
+
+  const toggleDay = (index, day) => {
+    const days = draft.timeWindows[index].days || ALL_DAYS;
+    updateWindow(index, { days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort() });
+  };
+
+  const handleSave = () => {
+    onSave({
+      ...draft,
+      // Time windows are evaluated in the editor's time zone, wherever the evaluator runs
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      allowedRegions: regionsText.split(',').map(region => region.trim().toUpperCase()).filter(Boolean),
+    });
+  };
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div>
+        <p className="font-semibold text-gray-700 mb-2">Allowed time windows <span className="font-normal text-gray-500">(none = any time)</span></p>
+        {draft.timeWindows.map((timeWindow, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+            {DAY_LABELS.map((label, day) => (
+              <button
+                key={day}
+                onClick={() => toggleDay(index, day)}
+                className={`w-7 h-7 rounded-full text-xs font-bold ${(timeWindow.days || ALL_DAYS).includes(day) ? 'bg-teal-500 text-white' : 'bg-gray-200 text-gray-500'}`}
+              >
+                {label}
+              </button>
+            ))}
+            <input type="time" value={timeWindow.start} onChange={(e) => updateWindow(index, { start: e.target.value })} className="p-1 border border-gray-300 rounded" />
+            <span>to</span>
+            <input type="time" value={timeWindow.end} onChange={(e) => updateWindow(index, { end: e.target.value })} className="p-1 border border-gray-300 rounded" />
+            <button
+              onClick={() => setDraft(current => ({ ...current, timeWindows: current.timeWindows.filter((_, i) => i !== index) }))}
+              className="text-red-500 hover:text-red-700 text-xs"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() => setDraft(current => ({ ...current, timeWindows: [...current.timeWindows, { days: ALL_DAYS, start: '08:00', end: '18:00' }] }))}
+          className="text-teal-600 hover:text-teal-800 text-xs underline"
+        >
+          Add time window
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <label className="block">
+          <span className="text-gray-700">Max session (minutes)</span>
+          <input
+            type="number"
+            min="1"
+            placeholder="Unlimited"
+            value={draft.maxSessionMinutes ?? ''}
+            onChange={(e) => setDraft(current => ({ ...current, maxSessionMinutes: e.target.value === '' ? null : Number(e.target.value) }))}
+            className="w-full p-2 mt-1 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Allowed regions</span>
+          <input
+            type="text"
+            placeholder="Any (e.g. US, CA)"
+            value={regionsText}
+            onChange={(e) => setRegionsText(e.target.value)}
+            className="w-full p-2 mt-1 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Max sessions per TV</span>
+          <input
+            type="number"
+            min="1"
+            value={draft.maxConcurrentSessionsPerDevice}
+            onChange={(e) => setDraft(current => ({ ...current, maxConcurrentSessionsPerDevice: Number(e.target.value) || 1 }))}
+            className="w-full p-2 mt-1 border border-gray-300 rounded-lg"
+          />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500">This browser's region: <span className="font-semibold">{clientRegion || 'Unknown'}</span></p>
+
+      <div>
+        <p className="font-semibold text-gray-700 mb-2">Lockouts <span className="font-normal text-gray-500">(denied attempts within the window; empty = never lock)</span></p>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {[
+            ['maxDeniedAttemptsPerDevice', 'Per TV', true],
+            ['maxDeniedAttemptsPerUser', 'Per user', true],
+            ['attemptWindowMinutes', 'Window (minutes)', false],
+            ['lockoutMinutes', 'Lockout (minutes)', false],
+          ].map(([field, label, optional]) => (
+            <label key={field} className="block">
+              <span className="text-gray-700">{label}</span>
+              <input
+                type="number"
+                min="1"
+                placeholder={optional ? 'Never' : undefined}
+                value={draft[field] ?? ''}
+                onChange={(e) => setDraft(current => ({
+                  ...current,
+                  [field]: e.target.value === '' ? (optional ? null : DEFAULT_POLICY[field]) : Number(e.target.value),
+                }))}
+                className="w-full p-2 mt-1 border border-gray-300 rounded-lg"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <button
+        onClick={handleSave}
+        className="w-full bg-teal-500 text-white p-3 rounded-lg font-semibold hover:bg-teal-600 transition duration-150 shadow-md disabled:bg-teal-300"
+        disabled={disabled}
+      >
+        Save Policy
+      </button>
+    </div>
+  );
+};
+
+
+// --- Stream Profile Editor Component ---
+// Edits a draft stream profile. With a `ceiling` (the TV's own profile), only settings at or
+// below it are offered, as used for per-session overrides.
+const StreamProfileEditor = ({ profile, ceiling = null, saveLabel, onSave, onCancel, onReset = null }) => {
+  const [draft, setDraft] = useState(() => normalizeStreamProfile(profile));
+  const resolutions = Object.keys(RESOLUTIONS).filter((resolution, index, all) => !ceiling || index <= all.indexOf(ceiling.maxResolution));
+  const frameRates = FRAME_RATES.filter(fps => !ceiling || fps <= ceiling.maxFps);
+
+  return (
+    <div className="mt-3 p-3 bg-white border border-gray-200 rounded-lg space-y-3 text-xs">
+      <div className="grid grid-cols-3 gap-2">
+        <label className="block">
+          <span className="text-gray-700">Max resolution</span>
+          <select
+            value={draft.maxResolution}
+            onChange={(e) => setDraft(current => ({ ...current, maxResolution: e.target.value }))}
+            className="w-full p-2 mt-1 border border-gray-300 rounded-lg"
+          >
+            {resolutions.map(resolution => <option key={resolution} value={resolution}>{resolution}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Max frame rate</span>
+          <select
+            value={draft.maxFps}
+            onChange={(e) => setDraft(current => ({ ...current, maxFps: Number(e.target.value) }))}
+            className="w-full p-2 mt-1 border border-gray-300 rounded-lg"
+          >
+            {frameRates.map(fps => <option key={fps} value={fps}>{fps} fps</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Bitrate cap (kbps)</span>
+          <input
+            type="number"
+            min={MIN_BITRATE_KBPS}
+            max={ceiling?.maxBitrateKbps ?? MAX_BITRATE_KBPS}
+            step="250"
+            placeholder={ceiling?.maxBitrateKbps ? String(ceiling.maxBitrateKbps) : 'Uncapped'}
+            value={draft.maxBitrateKbps ?? ''}
+            onChange={(e) => setDraft(current => ({ ...current, maxBitrateKbps: e.target.value === '' ? null : Number(e.target.value) }))}
+            onBlur={() => setDraft(current => normalizeStreamProfile(current))}
+            className="w-full p-2 mt-1 border border-gray-300 rounded-lg"
+          />
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-4">
+        <label className="flex items-center gap-1 text-gray-700">
+          <input
+            type="checkbox"
+            checked={draft.audio}
+            disabled={Boolean(ceiling && !ceiling.audio)}
+            onChange={(e) => setDraft(current => ({ ...current, audio: e.target.checked }))}
+          />
+          Audio
+        </label>
+        <label className="flex items-center gap-1 text-gray-700">
+          <input
+            type="checkbox"
+            checked={draft.privacyBlur}
+            disabled={ceiling?.privacyBlur}
+            onChange={(e) => setDraft(current => ({ ...current, privacyBlur: e.target.checked }))}
+          />
+          Privacy blur on notifications <span className="text-gray-500">(window or tab capture only)</span>
+        </label>
+      </div>
+      <div className="flex gap-2">
+        <button
+          onClick={() => onSave(draft)}
+          className="font-bold py-2 px-3 rounded-lg text-white bg-indigo-500 hover:bg-indigo-600"
+        >
+          {saveLabel}
+        </button>
+        {onReset && <button onClick={onReset} className="text-gray-600 hover:text-indigo-600">Use TV profile</button>}
+        <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+
+// --- Analysis Report Component ---
+// Renders a structured analyzer report as cards: overall risk, findings with the log events they
+// cite, and recommended policy changes that can be applied in one click.
+const AnalysisReport = ({ report, events, formatDate, onApplyRecommendation }) => {
+  const eventsById = Object.fromEntries(events.map(event => [event.id, event]));
+
+  return (
+    <div className="mt-6 space-y-4">
+      <div className={`p-4 border-l-4 rounded-lg ${RISK_LEVEL_STYLES[report.riskLevel]}`}>
+        <div className="flex items-center justify-between">
+          <h3 className="font-bold flex items-center">
+            <Shield className="w-4 h-4 mr-2" /> Risk score {report.riskScore}/100 ({report.riskLevel})
+          </h3>
+          <span className="text-xs uppercase tracking-wide">{ANALYZERS.find(analyzer => analyzer.id === report.provider)?.label}</span>
+        </div>
+        <p className="mt-2 text-sm whitespace-pre-wrap">{report.summary}</p>
+        {report.fallbackReason && <p className="mt-2 text-xs italic">{report.fallbackReason}</p>}
+      </div>
+
+      {report.findings.map(finding => (
+        <div key={finding.id} className="p-4 bg-white border border-gray-200 rounded-lg shadow-sm">
+          <div className="flex items-center gap-2">
+            <span className={`text-xs font-semibold px-2 py-0.5 rounded-full border ${RISK_LEVEL_STYLES[finding.severity]}`}>{finding.severity}</span>
+            <h4 className="font-semibold text-gray-800">{finding.title}</h4>
+          </div>
+          <p className="mt-1 text-sm text-gray-600">{finding.detail}</p>
+          {finding.eventIds.length > 0 && (
+            <ul className="mt-2 space-y-1 font-mono text-xs text-gray-500">
+              {finding.eventIds.filter(id => eventsById[id]).map(id => (
+                <li key={id}>[{formatDate(eventsById[id].timestamp)}] {eventsById[id].type}: {eventsById[id].message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+
+      {report.recommendations.map(recommendation => (
+        <div key={recommendation.id} className="p-4 bg-teal-50 border border-teal-200 rounded-lg">
+          <h4 className="font-semibold text-teal-800 flex items-center">
+            <SlidersHorizontal className="w-4 h-4 mr-2" /> {recommendation.title}
+          </h4>
+          <p className="mt-1 text-sm text-teal-700">{recommendation.rationale}</p>
+          {Object.keys(recommendation.policyPatch).length > 0 && (
+            <div className="mt-2 flex items-center gap-3">
+              <code className="text-xs bg-white px-2 py-1 rounded border border-teal-100">{JSON.stringify(recommendation.policyPatch)}</code>
+              <button
+                onClick={() => onApplyRecommendation(recommendation)}
+                className="text-xs font-bold py-1 px-3 rounded-lg bg-teal-500 text-white hover:bg-teal-600"
+              >
+                Apply to policy
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+
+// --- Log Export Component ---
+// Downloads the audit log or session history for a date range, and configures the webhook that
+// forwards live DENIED/CONNECTED events to a SIEM or chat integration. The saved URL is never sent
+// back to the browser, so the URL field is only for entering a new one.
+const LogExportPanel = ({ webhook, webhookStatus, onExport, onSaveWebhook, onTestWebhook, formatDate, disabled }) => {
+  const [options, setOptions] = useState({ kind: 'audit', format: EXPORT_FORMATS[0].id, from: '', to: '' });
+  const [exportStatus, setExportStatus] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [webhookDraft, setWebhookDraft] = useState({ url: '', enabled: webhook.enabled });
+
+  // Reset the draft whenever the stored settings change (e.g. saved from another tab)
+  useEffect(() => {
+    setWebhookDraft({ url: '', enabled: webhook.enabled });
+  }, [webhook.enabled, webhook.target]);
+
+  const draftUrl = webhookDraft.url.trim();
+  const { lastDelivery } = webhook;
+
+  const updateOption = (field, value) => setOptions(current => ({ ...current, [field]: value }));
+
+  const handleExportClick = async () => {
+    setIsExporting(true);
+    setExportStatus(await onExport(options));
+    setIsExporting(false);
+  };
+
+  return (
+    <div className="mt-4 space-y-4 text-sm">
+      <div>
+        <h3 className="font-semibold text-gray-700 mb-2">Export</h3>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+          <select value={options.kind} onChange={(e) => updateOption('kind', e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+            <option value="audit">Audit log</option>
+            <option value="sessions">Session history</option>
+          </select>
+          <select value={options.format} onChange={(e) => updateOption('format', e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+            {EXPORT_FORMATS.map(format => <option key={format.id} value={format.id}>{format.label}</option>)}
+          </select>
+          <input
+            type="date"
+            value={options.from}
+            onChange={(e) => updateOption('from', e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg"
+            aria-label="Export from date"
+          />
+          <input
+            type="date"
+            value={options.to}
+            onChange={(e) => updateOption('to', e.target.value)}
+            className="p-2 border border-gray-300 rounded-lg"
+            aria-label="Export to date"
+          />
+          <button
+            onClick={handleExportClick}
+            disabled={disabled || isExporting}
+            className={`font-bold py-2 px-3 rounded-lg text-white ${disabled || isExporting ? 'bg-gray-400' : 'bg-red-500 hover:bg-red-600'}`}
+          >
+            {isExporting ? 'Exporting...' : 'Download'}
+          </button>
+        </div>
+        {exportStatus && <p className="mt-2 text-xs text-gray-600">{exportStatus}</p>}
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-700 mb-2">Webhook ({WEBHOOK_EVENT_TYPES.join(' and ')} events)</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="url"
+            value={webhookDraft.url}
+            onChange={(e) => setWebhookDraft(current => ({ ...current, url: e.target.value }))}
+            placeholder={webhook.target ? `${webhook.target}/… (enter a URL to replace it)` : 'https://siem.example.com/hooks/mirroring'}
+            className="flex-1 min-w-[16rem] p-2 border border-gray-300 rounded-lg"
+          />
+          <label className="flex items-center gap-1 text-gray-700">
+            <input
+              type="checkbox"
+              checked={webhookDraft.enabled}
+              onChange={(e) => setWebhookDraft(current => ({ ...current, enabled: e.target.checked }))}
+            />
+            Enabled
+          </label>
+          <button
+            onClick={() => onSaveWebhook(webhookDraft)}
+            disabled={disabled || (!draftUrl && !webhook.target)}
+            className="font-bold py-2 px-3 rounded-lg bg-gray-700 text-white hover:bg-gray-800"
+          >
+            Save
+          </button>
+          <button
+            onClick={onTestWebhook}
+            disabled={disabled || !webhook.target}
+            className="font-bold py-2 px-3 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            Send test
+          </button>
+        </div>
+        {webhookStatus && <p className="mt-2 text-xs text-gray-600">{webhookStatus}</p>}
+        {lastDelivery && (
+          <p className="mt-2 text-xs text-gray-600">
+            Last delivery [{formatDate(lastDelivery.settledAt)}]: {lastDelivery.type} event {lastDelivery.status === 'Delivered'
+              ? `delivered (HTTP ${lastDelivery.httpStatus})`
+              : `failed: ${lastDelivery.error}`}.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+// --- Usage Dashboard Component ---
+// Summarizes archived sessions (mirroring time per device, day and week) and start-attempt denial
+// rates, with a filterable table of recent sessions ("who used the boardroom TV yesterday?").
+const toDateInputValue = (ms) => {
+  const date = new Date(ms);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const UsageBars = ({ title, buckets, formatLabel }) => {
+  const max = Math.max(1, ...buckets.map(bucket => bucket.connectedSeconds));
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+      <ul className="space-y-1 text-xs">
+        {buckets.map(bucket => (
+          <li key={bucket.startMs} className="flex items-center gap-2">
+            <span className="w-20 text-gray-500">{formatLabel(bucket.startMs)}</span>
+            <span className="flex-1 h-3 bg-gray-100 rounded">
+              <span className="block h-3 bg-sky-400 rounded" style={{ width: `${(bucket.connectedSeconds / max) * 100}%` }} />
+            </span>
+            <span className="w-16 text-right text-gray-700">{formatDuration(bucket.connectedSeconds)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const UsageDashboard = ({ records, events, devices }) => {
+  const [deviceFilter, setDeviceFilter] = useState('');
+  const [dayFilter, setDayFilter] = useState(''); // YYYY-MM-DD in local time
+  const usage = useMemo(() => summarizeUsage(records), [records]);
+  const denials = useMemo(() => summarizeDenials(events), [events]);
+
+  const deviceNames = Object.fromEntries([
+    ...usage.perDevice.map(device => [device.deviceId, device.deviceName]),
+    ...devices.map(device => [device.id, device.name]),
+  ]);
+  const denialRates = Object.fromEntries(denials.perDevice.map(device => [device.deviceId, device]));
+  const deviceIds = [...new Set([...usage.perDevice.map(device => device.deviceId), ...denials.perDevice.map(device => device.deviceId)])]
+    .filter(deviceId => deviceId && deviceId !== 'unknown');
+
+  const recentSessions = records
+    .filter(record => !deviceFilter || record.deviceId === deviceFilter)
+    .filter(record => !dayFilter || (record.startedAtMs && toDateInputValue(record.startedAtMs) === dayFilter))
+    .slice(0, RECENT_SESSIONS_SHOWN);
+  const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : 'N/A');
+  const thisWeek = usage.perWeek[usage.perWeek.length - 1];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div className="p-3 bg-sky-50 rounded-lg">
+          <p className="text-xs text-sky-700 uppercase tracking-wide">Mirroring this week</p>
+          <p className="text-2xl font-bold text-sky-900">{formatDuration(thisWeek?.connectedSeconds)}</p>
+        </div>
+        <div className="p-3 bg-sky-50 rounded-lg">
+          <p className="text-xs text-sky-700 uppercase tracking-wide">Sessions (30 days)</p>
+          <p className="text-2xl font-bold text-sky-900">{records.length}</p>
+        </div>
+        <div className="p-3 bg-sky-50 rounded-lg">
+          <p className="text-xs text-sky-700 uppercase tracking-wide">Denial rate (30 days)</p>
+          <p className="text-2xl font-bold text-sky-900">{Math.round(denials.denialRate * 100)}%</p>
+          <p className="text-xs text-sky-700">{denials.denied} of {denials.attempts} start attempts</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <UsageBars title="Mirroring time per day" buckets={usage.perDay} formatLabel={(ms) => new Date(ms).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })} />
+        <UsageBars title="Mirroring time per week" buckets={usage.perWeek} formatLabel={(ms) => `w/c ${new Date(ms).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`} />
+      </div>
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Per TV</h3>
+        {deviceIds.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">No sessions or start attempts in the last 30 days.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b">
+                <th className="py-1">TV</th><th>Sessions</th><th>Mirroring time</th><th>Users</th><th>Denial rate</th><th>Last used</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deviceIds.map(deviceId => {
+                const device = usage.perDevice.find(candidate => candidate.deviceId === deviceId);
+                const denial = denialRates[deviceId];
+                return (
+                  <tr key={deviceId} className="border-b border-gray-100">
+                    <td className="py-1 font-medium text-gray-800">{deviceNames[deviceId] ?? deviceId}</td>
+                    <td>{device?.sessions ?? 0}</td>
+                    <td>{formatDuration(device?.connectedSeconds)}</td>
+                    <td>{device?.users ?? 0}</td>
+                    <td>{denial ? `${Math.round(denial.denialRate * 100)}% of ${denial.attempts}` : 'N/A'}</td>
+                    <td>{device?.lastUsedMs ? formatTime(device.lastUsedMs) : 'Never'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h3 className="text-sm font-semibold text-gray-700">Recent sessions</h3>
+          <div className="flex flex-wrap gap-2 text-sm">
+            <select value={deviceFilter} onChange={(e) => setDeviceFilter(e.target.value)} className="p-1 border border-gray-300 rounded-lg">
+              <option value="">All TVs</option>
+              {deviceIds.map(deviceId => <option key={deviceId} value={deviceId}>{deviceNames[deviceId] ?? deviceId}</option>)}
+            </select>
+            <input
+              type="date"
+              value={dayFilter}
+              onChange={(e) => setDayFilter(e.target.value)}
+              className="p-1 border border-gray-300 rounded-lg"
+              aria-label="Session day"
+            />
+            <button
+              onClick={() => setDayFilter(toDateInputValue(Date.now() - 24 * 60 * 60 * 1000))}
+              className="px-2 py-1 rounded-lg bg-sky-50 text-sky-700 hover:bg-sky-100"
+            >
+              Yesterday
+            </button>
+          </div>
+        </div>
+        {recentSessions.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">No matching sessions.</p>
+        ) : (
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1">Who</th><th>TV</th><th>Start</th><th>End</th><th>Duration</th><th>Outcome</th><th>Ended by</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recentSessions.map(record => (
+                <tr key={record.id} className="border-b border-gray-100">
+                  <td className="py-1 text-gray-800">{record.senderLabel || `User ${record.sessionOwnerId.slice(0, 6)}`}</td>
+                  <td>{record.deviceName ?? record.deviceId}</td>
+                  <td>{formatTime(record.startedAtMs)}</td>
+                  <td>{formatTime(record.endedAtMs)}</td>
+                  <td>{formatDuration(record.durationSeconds)}</td>
+                  <td><span className={`px-2 py-0.5 rounded-full ${OUTCOME_STYLES[record.outcome] ?? ''}`}>{record.outcome}</span></td>
+                  <td className="font-mono">{record.endReason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+// --- Security Alert Banner Component ---
+// Active lockouts on the user's TVs (clearable by the owner) and recent LOCKOUT/ANOMALY events.
+// Lockouts of the user's own account (start attempts, or pairing) are shown but cannot be cleared by them.
+const SecurityAlertBanner = ({ lockouts, alerts, userId, now, formatDate, onClearLockout, onDismiss }) => {
+  if (lockouts.length === 0 && alerts.length === 0) return null;
+
+  return (
+    <div className="mt-4 p-3 bg-red-50 border-l-4 border-red-500 rounded-lg text-sm text-red-900 shadow-md space-y-2">
+      <p className="font-semibold flex items-center">
+        <Shield className="w-4 h-4 mr-2" /> Security alerts
+      </p>
+      {lockouts.map(lockout => (
+        <div key={lockout.id} className="flex flex-wrap items-center gap-3">
+          <span className="flex-1">
+            {lockout.scope === 'device' ? `TV '${lockout.label}'` : lockout.scope === 'pairing' ? 'Pairing' : `User ${lockout.label}`} is locked out for another{' '}
+            {Math.ceil((getLockedUntilMs(lockout, now) - now) / 60000)} min after repeated denied attempts
+            {lockout.lockedAfterRule ? ` (last: ${lockout.lockedAfterRule})` : ''}.
+          </span>
+          {!(lockout.scope !== 'device' && lockout.subjectId === userId) && (
+            <button
+              onClick={() => onClearLockout(lockout)}
+              className="text-xs font-bold py-1 px-3 rounded-lg bg-red-500 text-white hover:bg-red-600"
+            >
+              Clear lockout
+            </button>
+          )}
+        </div>
+      ))}
+      {alerts.map(event => (
+        <div key={event.id} className="flex flex-wrap items-center gap-3">
+          <span className="flex-1">
+            <span className="font-mono text-xs">[{formatDate(event.timestamp)}] {event.type}:</span> {event.message}
+          </span>
+          <button onClick={() => onDismiss(event)} className="text-xs text-gray-500 hover:text-gray-700">Dismiss</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+
+// --- Handoff Prompt Component ---
+// Approve/decline card for a pending handoff, shown to the current sender and on its TV.
+const HandoffPrompt = ({ handoff, onAnswer }) => (
+  <div className="mt-4 p-3 bg-amber-50 border-l-4 border-amber-400 rounded-lg text-sm text-amber-900 shadow-md">
+    <p className="font-semibold flex items-center">
+      <AlertTriangle className="w-4 h-4 mr-2" /> Handoff requested
+    </p>
+    <p className="mt-1">
+      {handoff.requesterLabel} wants to take over the session on '{handoff.targetDeviceName}' to mirror to '{handoff.deviceName}'.
+    </p>
+    <div className="mt-2 flex items-center gap-3">
+      <button
+        onClick={() => onAnswer(handoff, 'approve')}
+        className="text-xs font-bold py-2 px-3 rounded-lg bg-green-500 text-white hover:bg-green-600"
+      >
+        Approve
+      </button>
+      <button
+        onClick={() => onAnswer(handoff, 'decline')}
+        className="text-xs font-bold py-2 px-3 rounded-lg bg-red-500 text-white hover:bg-red-600"
+      >
+        Decline
+      </button>
+      <span className="text-xs text-amber-700">Times out in {handoff.secondsLeft}s</span>
+    </div>
+  </div>
+);
+
+
+// --- TV Receiver Component ---
+// Opened on the TV browser via ?mode=receiver&device={uniqueId}. Publishes presence,
+// answers sessions addressed to this uniqueId and plays the mirror full-screen.
+const ReceiverView = () => {
+  const { authReady, userId } = useFirebaseAuth();
+  const [uniqueId] = useState(getReceiverUniqueId);
+  const [incomingStream, setIncomingStream] = useState(null);
+  const [session, setSession] = useState(null);
+  const handoffs = usePendingHandoffs('targetReceiverUserId', userId);
+  const videoRef = useRef(null);
+  const answerCleanupRef = useRef(null);
+  const handledOfferRef = useRef(null);
+
+  const endPlayback = useCallback(() => {
+    answerCleanupRef.current?.();
+    answerCleanupRef.current = null;
+    handledOfferRef.current = null;
+    setIncomingStream(null);
+    setSession(null);
+  }, []);
+
+  // 1. Presence: online heartbeat while the page is open, offline on unload
+  useEffect(() => {
+    if (!db || !authReady || !userId) return;
+
+    // Path: /artifacts/{appId}/public/data/receivers/{uniqueId}
+    const presenceRef = doc(db, 'artifacts', appId, 'public', 'data', 'receivers', uniqueId);
+    const markPresence = (online) => setDoc(presenceRef, {
+      uniqueId,
+      online,
+      lastSeen: serverTimestamp(),
+      receiverUserId: userId,
+    }, { merge: true }).catch(e => console.error("Error updating receiver presence: ", e));
+
+    markPresence(true);
+    const heartbeat = setInterval(() => markPresence(true), PRESENCE_HEARTBEAT_MS);
+    const goOffline = () => markPresence(false);
+    window.addEventListener('beforeunload', goOffline);
+
+    return () => {
+      clearInterval(heartbeat);
+      window.removeEventListener('beforeunload', goOffline);
+      goOffline();
+    };
+  }, [authReady, userId, uniqueId]);
+
+  // 2. Listen for sessions addressed to this TV and answer new offers
+  useEffect(() => {
+    if (!db || !authReady || !userId) return;
+
+    // Security rules only let a TV read sessions whose receiverUserId (set at pairing) is its own auth uid
+    const sessionsRef = PATHS.sessions();
+    const q = query(sessionsRef, where('receiverUserId', '==', userId));
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const liveDoc = snapshot.docs.find(d => d.data().mirroringUniqueId === uniqueId && LIVE_SESSION_STATUSES.includes(d.data().status));
+      if (!liveDoc) {
+        endPlayback();
+        return;
+      }
+
+      const sessionData = liveDoc.data();
+      setSession(sessionData);
+
+      // Each new offer (a fresh START MIRROR) is answered exactly once
+      const offerSdp = sessionData.offer?.sdp;
+      if (!offerSdp || sessionData.answer || handledOfferRef.current === offerSdp) return;
+
+      answerCleanupRef.current?.();
+      handledOfferRef.current = offerSdp;
+      answerMirroringSession(liveDoc.ref, setIncomingStream)
+        .then(cleanup => { answerCleanupRef.current = cleanup; })
+        .catch(e => console.error("Error answering mirroring session: ", e));
+    }, (error) => {
+      console.error("Error listening for mirroring sessions:", error);
+    });
+
+    return () => {
+      unsubscribe();
+      endPlayback();
+    };
+  }, [authReady, userId, uniqueId, endPlayback]);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = incomingStream;
+  }, [incomingStream]);
+
+  // The TV may answer handoff requests for the session it is showing
+  const answerHandoff = useCallback((handoff, decision) => {
+    callSettleHandoff({ appId, handoffId: handoff.id, decision })
+      .catch(e => console.error("Error answering handoff request: ", e));
+  }, []);
+
+  const handoffPrompts = handoffs.length > 0 && (
+    <div className="fixed bottom-6 right-6 w-96 space-y-3 z-10">
+      {handoffs.map(handoff => <HandoffPrompt key={handoff.id} handoff={handoff} onAnswer={answerHandoff} />)}
+    </div>
+  );
+
+  if (incomingStream) {
+    return (
+      <div className="fixed inset-0 bg-black">
+        <video ref={videoRef} autoPlay playsInline className="w-full h-full object-contain" />
+        {handoffPrompts}
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center font-inter antialiased">
+      <script src="https://cdn.tailwindcss.com"></script>
+      <Monitor className="w-24 h-24 text-indigo-400 mb-6" />
+      <h1 className="text-4xl font-extrabold mb-2">Standby</h1>
+      <p className="text-lg text-gray-400 mb-8">
+        {session ? `Connecting to ${session.mirroringDeviceName}...` : 'Waiting for a mirroring session.'}
+      </p>
+      <p className="text-sm text-gray-500 uppercase tracking-widest">Device ID</p>
+      <code className="text-5xl font-mono font-bold tracking-widest text-indigo-300 mt-2">{uniqueId}</code>
+      <p className="mt-8 text-sm text-gray-500 flex items-center">
+        <span className={`w-2 h-2 rounded-full mr-2 ${userId ? 'bg-green-400' : 'bg-yellow-400'}`} />
+        {userId ? 'Online' : 'Connecting to cloud...'}
+      </p>
+      {handoffPrompts}
+    </div>
+  );
+};
+
+
+// --- TV Pairing Component ---
+// Opened on the TV via ?mode=pair. Shows a short-lived PIN/QR code, asks for on-screen
+// confirmation once a manager claims it, then switches to receiver mode.
+const PairingView = () => {
+  const { authReady, userId } = useFirebaseAuth();
+  const [uniqueId] = useState(getReceiverUniqueId);
+  const [code, setCode] = useState(null);
+  const [pairing, setPairing] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const rotatingRef = useRef(false);
+
+  // Publish a fresh code, replacing any code this TV published before
+  const publishCode = useCallback(async (previousCode) => {
+    if (!db || !userId) return;
+
+    const pairingsRef = collection(db, 'artifacts', appId, 'public', 'data', 'pairing_requests');
+    try {
+      if (previousCode) await deleteDoc(doc(pairingsRef, previousCode));
+
+      // Other TVs' PINs are unreadable, so a PIN another TV is still displaying shows up as a
+      // refused write; an expired one may be taken over
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const nextCode = generatePairingCode();
+        try {
+          await setDoc(doc(pairingsRef, nextCode), {
+            uniqueId,
+            tvUserId: userId,
+            status: 'Waiting',
+            createdAt: serverTimestamp(),
+            expiresAt: Timestamp.fromMillis(Date.now() + PAIRING_CODE_TTL_MS),
+          });
+          setCode(nextCode);
+          return;
+        } catch (e) {
+          if (e.code !== 'permission-denied') throw e;
+        }
+      }
+      throw new Error('No free pairing code found.');
+    } catch (e) {
+      console.error("Error publishing pairing code: ", e);
+    }
+  }, [userId, uniqueId]);
+
+  useEffect(() => {
+    if (authReady && userId) publishCode(null);
+  }, [authReady, userId, publishCode]);
+
+  // Follow the pairing doc; once completed, hand over to the receiver view
+  useEffect(() => {
+    if (!db || !code) return;
+
+    const pairingRef = doc(db, 'artifacts', appId, 'public', 'data', 'pairing_requests', code);
+    const unsubscribe = onSnapshot(pairingRef, (docSnap) => {
+      const data = docSnap.data() || null;
+      // Tag the snapshot with its code so a rotated code never inherits the old expiry
+      setPairing(data ? { ...data, code } : null);
+      if (data?.status === 'Completed') {
+        window.location.replace(buildReceiverLink(uniqueId));
+      }
+    }, (error) => {
+      console.error("Error watching pairing request:", error);
+    });
+
+    return () => unsubscribe();
+  }, [code, uniqueId]);
+
+  // Countdown ticker; rotates the code when it expires unconfirmed
+  useEffect(() => {
+    const ticker = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(ticker);
+  }, []);
+
+  useEffect(() => {
+    if (rotatingRef.current || !code || pairing?.code !== code) return;
+    if (pairing.status !== 'Completed' && isPairingExpired(pairing)) {
+      rotatingRef.current = true;
+      publishCode(code).finally(() => { rotatingRef.current = false; });
+    }
+  }, [now, code, pairing, publishCode]);
+
+  const respondToClaim = useCallback(async (accept) => {
+    if (!db || !code || isPairingExpired(pairing)) return;
+    try {
+      const pairingRef = doc(db, 'artifacts', appId, 'public', 'data', 'pairing_requests', code);
+      await updateDoc(pairingRef, { status: accept ? 'Confirmed' : 'Rejected' });
+      if (!accept) publishCode(code);
+    } catch (e) {
+      console.error("Error answering pairing claim: ", e);
+    }
+  }, [code, pairing, publishCode]);
+
+  const secondsLeft = pairing?.expiresAt?.toMillis ? Math.max(0, Math.ceil((pairing.expiresAt.toMillis() - now) / 1000)) : 0;
+  const managerLink = code ? `${window.location.origin}${window.location.pathname}?pair=${code}` : '';
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center font-inter antialiased">
+      <script src="https://cdn.tailwindcss.com"></script>
+      <Key className="w-16 h-16 text-indigo-400 mb-4" />
+      <h1 className="text-4xl font-extrabold mb-2">Pair this TV</h1>
+
+      {!code ? (
+        <p className="text-lg text-gray-400 flex items-center">
+          <Loader2 className="w-5 h-5 mr-2 animate-spin" /> Generating pairing code...
+        </p>
+      ) : pairing?.status === 'Claimed' ? (
+        <div className="text-center">
+          <p className="text-lg text-gray-300 mb-6">
+            Register this TV as <span className="font-bold">'{pairing.deviceName}'</span>?
+          </p>
+          <div className="flex gap-4 justify-center">
+            <button onClick={() => respondToClaim(true)} className="bg-green-500 hover:bg-green-600 px-6 py-3 rounded-lg font-semibold">Confirm</button>
+            <button onClick={() => respondToClaim(false)} className="bg-red-500 hover:bg-red-600 px-6 py-3 rounded-lg font-semibold">Reject</button>
+          </div>
+        </div>
+      ) : pairing?.status === 'Confirmed' ? (
+        <p className="text-lg text-gray-300 flex items-center">
+          <Loader2 className="w-5 h-5 mr-2 animate-spin" /> Finishing registration...
+        </p>
+      ) : (
+        <div className="text-center">
+          <p className="text-lg text-gray-400 mb-6">Enter this code in the Screen Mirroring Manager, or scan the QR code.</p>
+          <code className="text-6xl font-mono font-bold tracking-[0.3em] text-indigo-300">{code}</code>
+          <div className="bg-white p-4 rounded-lg inline-block mt-8">
+            <QRCodeSVG value={managerLink} size={192} />
+          </div>
+          <p className="mt-4 text-sm text-gray-500">Expires in {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}</p>
+        </div>
+      )}
+
+      <p className="mt-8 text-sm text-gray-500">Device ID: <code className="font-mono">{uniqueId}</code></p>
+    </div>
+  );
+};
+
+
+// --- Root Component: picks the manager, TV receiver or TV pairing screen from the URL ---
+const App = () => {
+  const mode = getAppMode();
+  if (mode === 'receiver') return <ReceiverView />;
+  if (mode === 'pair') return <PairingView />;
+  return <ManagerView />;
+};
+
+export default App;
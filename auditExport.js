@@ -0,0 +1,246 @@
+// --- Audit Export ---
+// Serializes audit events and archived sessions for the security team: CSV, JSON Lines (NDJSON),
+// RFC 5424 syslog and ArcSight CEF. Also builds the outbound webhook sender the Cloud Functions
+// use for live DENIED and CONNECTED events.
+//
+// kind: 'audit' (audit_log events) | 'sessions' (session_history records with startedAtMs/endedAtMs)
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'ndjson', label: 'JSON Lines (NDJSON)', extension: 'ndjson', mimeType: 'application/x-ndjson' },
+  { id: 'syslog', label: 'Syslog (RFC 5424)', extension: 'log', mimeType: 'text/plain' },
+  { id: 'cef', label: 'CEF', extension: 'cef', mimeType: 'text/plain' },
+];
+
+export const WEBHOOK_EVENT_TYPES = ['DENIED', 'CONNECTED'];
+
+const APP_NAME = 'screen-mirroring';
+const CEF_VENDOR = 'ScreenMirroring';
+const CEF_PRODUCT = 'Secure Screen Mirroring Manager';
+const CEF_VERSION = '1.0';
+const SYSLOG_FACILITY = 13; // log audit
+const SD_ID = 'mirroring@32473'; // 32473 is the private enterprise number reserved for examples (RFC 5612)
+
+const toIso = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : null);
+const toMillis = (timestamp) => timestamp?.toMillis?.() ?? null;
+
+// Flat, serializable rows; these are also the webhook payloads
+export const toAuditRow = (event) => ({
+  id: event.id,
+  timestamp: toIso(toMillis(event.timestamp)),
+  type: event.type,
+  message: event.message ?? '',
+  deviceId: event.deviceId ?? null,
+  uniqueId: event.uniqueId ?? null,
+  reason: event.reason ?? null,
+  userId: event.userId ?? null,
+  source: event.source ?? 'client',
+});
+
+export const toSessionRow = (record) => ({
+  id: record.id,
+  startTime: toIso(record.startedAtMs),
+  endTime: toIso(record.endedAtMs),
+  sessionOwnerId: record.sessionOwnerId,
+  senderLabel: record.senderLabel ?? null,
+  deviceOwnerId: record.deviceOwnerId ?? null,
+  deviceId: record.deviceId ?? null,
+  deviceName: record.deviceName ?? null,
+  uniqueId: record.uniqueId ?? null,
+  durationSeconds: record.durationSeconds ?? 0,
+  connectedSeconds: record.connectedSeconds ?? 0,
+  outcome: record.outcome,
+  endReason: record.endReason ?? null,
+});
+
+const COLUMNS = {
+  audit: ['id', 'timestamp', 'type', 'message', 'deviceId', 'uniqueId', 'reason', 'userId', 'source'],
+  sessions: ['id', 'startTime', 'endTime', 'sessionOwnerId', 'senderLabel', 'deviceOwnerId', 'deviceId', 'deviceName', 'uniqueId', 'durationSeconds', 'connectedSeconds', 'outcome', 'endReason'],
+};
+
+// Time an item is filtered and sorted by, in ms
+export const getExportTime = (kind, item) => (kind === 'audit' ? toMillis(item.timestamp) : item.startedAtMs);
+
+// Inclusive range; a missing bound is open
+export const isWithinRange = (ms, { fromMs = null, toMs = null } = {}) =>
+  Number.isFinite(ms) && (fromMs === null || ms >= fromMs) && (toMs === null || ms <= toMs);
+
+// --- CSV (RFC 4180) ---
+
+// Spreadsheets run cells starting with these as formulas; event messages and device names are
+// user-controlled, so such cells get a leading ' (OWASP CSV injection guidance)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = FORMULA_PREFIX.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))].map(cells => cells.map(csvCell).join(',')).join('\r\n');
+
+// --- Severity ---
+// Syslog severities (RFC 5424 numbering) and their CEF (0-10) equivalents
+
+const SYSLOG_TO_CEF_SEVERITY = { 3: 8, 4: 6, 5: 4, 6: 2 };
+
+const auditSeverity = (type) => {
+  if (type === 'ERROR') return 3;
+  if (type === 'DENIED' || type === 'PAIRING_FAILED') return 4;
+  if (['REVOKED', 'EXPIRED', 'KICKED', 'SHARE_REVOKED'].includes(type)) return 5;
+  return 6;
+};
+
+const sessionSeverity = (outcome) => ({ Failed: 4, Expired: 5 }[outcome] ?? 6);
+
+// Common shape the syslog and CEF writers share
+const toEvent = (kind, row) => (kind === 'audit' ? {
+  ms: Date.parse(row.timestamp),
+  msgId: row.type,
+  severity: auditSeverity(row.type),
+  message: row.message,
+  fields: { eventId: row.id, userId: row.userId, deviceId: row.deviceId, uniqueId: row.uniqueId, reason: row.reason, source: row.source },
+} : {
+  ms: Date.parse(row.startTime),
+  msgId: 'SESSION',
+  severity: sessionSeverity(row.outcome),
+  message: `Session by ${row.senderLabel || row.sessionOwnerId} on '${row.deviceName ?? row.deviceId}' ended ${row.outcome} (${row.endReason}) after ${row.durationSeconds}s.`,
+  fields: {
+    sessionId: row.id, userId: row.sessionOwnerId, deviceId: row.deviceId, uniqueId: row.uniqueId, reason: row.endReason,
+    outcome: row.outcome, endTime: row.endTime, connectedSeconds: row.connectedSeconds,
+  },
+});
+
+// --- Syslog (RFC 5424) ---
+
+const sdValue = (value) => String(value).replace(/["\\\]]/g, match => `\\${match}`);
+const syslogToken = (value) => (value ? String(value).replace(/[^\x21-\x7e]/g, '_').slice(0, 255) : '-');
+
+const toSyslogLine = (event, hostname) => {
+  const params = Object.entries(event.fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${sdValue(value)}"`)
+    .join('');
+  return `<${SYSLOG_FACILITY * 8 + event.severity}>1 ${toIso(event.ms) ?? '-'} ${syslogToken(hostname)} ${APP_NAME} - ${syslogToken(event.msgId).slice(0, 32)} `
+    + `[${SD_ID}${params}] ${event.message.replace(/[\r\n]+/g, ' ')}`;
+};
+
+// --- CEF ---
+
+const cefHeader = (value) => String(value).replace(/[\\|]/g, match => `\\${match}`).replace(/[\r\n]+/g, ' ');
+const cefValue = (value) => String(value).replace(/[\\=]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+
+const toCefLine = (event, hostname) => {
+  const extension = {
+    rt: Number.isFinite(event.ms) ? event.ms : null,
+    dvchost: hostname || null,
+    suid: event.fields.userId,
+    externalId: event.fields.eventId ?? event.fields.sessionId,
+    ...(event.fields.deviceId ? { cs1Label: 'deviceId', cs1: event.fields.deviceId } : {}),
+    ...(event.fields.uniqueId ? { cs2Label: 'uniqueId', cs2: event.fields.uniqueId } : {}),
+    reason: event.fields.reason,
+    outcome: event.fields.outcome,
+    msg: event.message,
+  };
+  const pairs = Object.entries(extension)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}=${cefValue(value)}`)
+    .join(' ');
+  const name = event.msgId === 'SESSION' ? 'Mirroring session ended' : `Mirroring ${event.msgId.toLowerCase().replace(/_/g, ' ')}`;
+  return `CEF:0|${cefHeader(CEF_VENDOR)}|${cefHeader(CEF_PRODUCT)}|${CEF_VERSION}|${cefHeader(event.msgId)}|${cefHeader(name)}|${SYSLOG_TO_CEF_SEVERITY[event.severity]}|${pairs}`;
+};
+
+// Serializes `items` (audit events or session records, newest first as queried) oldest first.
+// options: { hostname } names the reporting host in syslog and CEF lines
+export const formatExport = (kind, items, format, { hostname = '' } = {}) => {
+  const rows = [...items]
+    .sort((a, b) => (getExportTime(kind, a) ?? 0) - (getExportTime(kind, b) ?? 0))
+    .map(kind === 'audit' ? toAuditRow : toSessionRow);
+
+  if (format === 'csv') return toCsv(rows, COLUMNS[kind]);
+  if (format === 'ndjson') return rows.map(row => JSON.stringify(row)).join('\n');
+  if (format === 'syslog') return rows.map(row => toSyslogLine(toEvent(kind, row), hostname)).join('\n');
+  if (format === 'cef') return rows.map(row => toCefLine(toEvent(kind, row), hostname)).join('\n');
+  throw new Error(`Unknown export format '${format}'.`);
+};
+
+// { filename, mimeType, content } ready for a download link
+export const buildExportFile = (kind, items, formatId, { hostname = '', range = {} } = {}) => {
+  const format = EXPORT_FORMATS.find(candidate => candidate.id === formatId);
+  if (!format) throw new Error(`Unknown export format '${formatId}'.`);
+
+  const inRange = items.filter(item => isWithinRange(getExportTime(kind, item), range));
+  const day = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 10) : null);
+  const span = [range.fromMs, range.toMs].some(Number.isFinite)
+    ? `${day(range.fromMs) ?? 'start'}_to_${day(range.toMs) ?? 'now'}`
+    : 'all';
+  return {
+    filename: `${kind === 'audit' ? 'audit-log' : 'session-history'}-${span}.${format.extension}`,
+    mimeType: format.mimeType,
+    content: formatExport(kind, inRange, formatId, { hostname }),
+    count: inRange.length,
+  };
+};
+
+// --- Webhook ---
+
+// POSTs one audit event as JSON. A non-2xx response counts as a failure, so `retry`
+// (e.g. withExponentialBackoff) retries it; the last error is thrown once retries run out.
+export const createWebhookSender = ({ url, fetchImpl = (...args) => fetch(...args), retry = (fn) => fn() }) => ({
+  send: (event) => retry(async () => {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ app: APP_NAME, event: toAuditRow(event) }),
+      redirect: 'manual', // A redirect could point the POST at a private host
+    });
+    if (!response.ok) throw new Error(`Webhook responded with status: ${response.status}`);
+    return response.status;
+  }),
+});
+
+// What the manager is shown of a saved webhook URL, whose path and query may carry a token
+export const describeWebhookTarget = (url) => new URL(url).origin;
+
+const ipv4ToNumber = (address) => {
+  const parts = address.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+};
+
+// "This network", private (RFC 1918), carrier-grade NAT, loopback, link-local (cloud metadata),
+// IETF protocol, benchmarking, multicast and reserved ranges
+const PRIVATE_IPV4_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+  '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4',
+].map((cidr) => {
+  const [base, bits] = cidr.split('/');
+  return { base: ipv4ToNumber(base), size: 2 ** (32 - Number(bits)) };
+});
+
+// True for localhost names and for IP addresses a webhook must never reach: private, loopback,
+// link-local and the like, in IPv4 or IPv6 (unique local, link-local, IPv4-mapped). Takes a URL
+// hostname (IPv6 in brackets) or a resolved address; other DNS names are not private by themselves.
+export const isPrivateHost = (host) => {
+  const address = host.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (address === 'localhost' || address.endsWith('.localhost')) return true;
+  const ipv4 = ipv4ToNumber(address);
+  if (ipv4 !== null) return PRIVATE_IPV4_RANGES.some(({ base, size }) => ipv4 >= base && ipv4 < base + size);
+  if (!address.includes(':')) return false;
+  return ['::', '::1'].includes(address) || /^f[cd]/.test(address) || /^fe[89ab]/.test(address) || address.startsWith('::ffff:');
+};
+
+// Webhook targets must be https URLs on public hosts: the Cloud Functions POST to them, so a
+// private, loopback or link-local host would let any user reach the functions' network (SSRF).
+// `allowLocal` also admits http and local hosts, for the emulator suite.
+export const isValidWebhookUrl = (value, { allowLocal = false } = {}) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (allowLocal) return ['http:', 'https:'].includes(url.protocol);
+  return url.protocol === 'https:' && !isPrivateHost(url.hostname);
+};
@@ -0,0 +1,18 @@
+// --- Retry Helper ---
+// Retries a failing async call with doubling delays. The manager uses it for Gemini calls and the
+// Cloud Functions for webhook deliveries.
+
+// Calls fn, then up to `retries` more times, waiting `delay` ms before the first retry and twice
+// as long before each later one. The last error is rethrown.
+export const withExponentialBackoff = async (fn, retries = 3, delay = 1000) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (retries > 0) {
+      console.warn(`Attempt failed. Retrying in ${delay / 1000}s...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return withExponentialBackoff(fn, retries - 1, delay * 2);
+    }
+    throw error;
+  }
+};
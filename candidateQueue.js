@@ -0,0 +1,25 @@
+// --- Remote ICE Candidates ---
+// addIceCandidate rejects candidates that arrive before the remote description is set. The sender
+// listens for receiverCandidates before the answer lands, so it holds them here until the answer
+// is applied; the receiver only subscribes after applying the offer and needs no queue.
+
+// Wraps a peer connection: add() applies or holds a remote candidate, and setRemoteDescription()
+// applies the description once (later calls return the same promise), then the held candidates.
+// Candidates that still fail are reported to onError.
+export const createRemoteCandidateQueue = (pc, onError) => {
+  let held = [];
+  let described = null;
+  const apply = (candidate) => pc.addIceCandidate(candidate).catch(onError);
+
+  return {
+    add: (candidate) => (held ? held.push(candidate) : apply(candidate)),
+    setRemoteDescription: (description) => {
+      described ??= pc.setRemoteDescription(description).then(() => {
+        const candidates = held;
+        held = null;
+        candidates.forEach(apply);
+      });
+      return described;
+    },
+  };
+};
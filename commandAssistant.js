@@ -0,0 +1,169 @@
+// --- Natural-Language Command Assistant ---
+// Turns an utterance like "mirror to the living room TV" into tool calls via Gemini function calling,
+// then into a confirmable plan. Parsing and planning are pure, so a stubbed model response (or a
+// stubbed fetchImpl) exercises the whole path without the network; the manager confirms the plan and
+// runs it with runCommandPlan.
+//
+// plan step: { id, tool, args, device, summary, error }   // error set = step will not run
+import { DEFAULT_GEMINI_BASE_URL, DEFAULT_GEMINI_MODEL } from './securityAnalysis.js';
+
+export const COMMAND_TOOLS = [
+  {
+    name: 'register_device',
+    description: 'Pair a new TV using the 6-digit code shown on its screen.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        pairingCode: { type: 'STRING', description: 'The 6-digit pairing code shown on the TV.' },
+        name: { type: 'STRING', description: 'Name to give the TV, e.g. "Living Room TV".' },
+      },
+      required: ['pairingCode', 'name'],
+    },
+  },
+  {
+    name: 'start_mirroring',
+    description: 'Start mirroring this screen to one of the user\'s TVs.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        deviceName: { type: 'STRING', description: 'Name of the TV, as listed in the available TVs.' },
+      },
+      required: ['deviceName'],
+    },
+  },
+  {
+    name: 'stop_mirroring',
+    description: 'Stop the current mirroring session.',
+    parameters: { type: 'OBJECT', properties: {} },
+  },
+  {
+    name: 'query_history',
+    description: 'Show audit log history, optionally filtered by event type, TV and recent days.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        eventType: { type: 'STRING', description: 'Audit event type, e.g. DENIED or CONNECTED.' },
+        deviceName: { type: 'STRING', description: 'Name of the TV to filter by.' },
+        sinceDays: { type: 'INTEGER', description: 'Only include events from the last N days.' },
+      },
+    },
+  },
+];
+
+const TOOL_NAMES = COMMAND_TOOLS.map(tool => tool.name);
+
+// Extracts function calls (and any plain-text reply) from a generateContent response
+export const parseModelResponse = (response) => {
+  const parts = response?.candidates?.[0]?.content?.parts ?? [];
+  return {
+    toolCalls: parts.filter(part => part.functionCall?.name).map(part => ({
+      name: part.functionCall.name,
+      args: part.functionCall.args ?? {},
+    })),
+    text: parts.map(part => part.text).filter(Boolean).join('\n') || null,
+  };
+};
+
+// Exact (case-insensitive) name match first, then a unique partial match
+export const resolveDevice = (devices, deviceName) => {
+  const wanted = String(deviceName ?? '').trim().toLowerCase();
+  if (!wanted) return { error: 'No TV name was given.' };
+
+  const exact = devices.filter(device => device.name.toLowerCase() === wanted);
+  if (exact.length === 1) return { device: exact[0] };
+
+  const partial = devices.filter(device => device.name.toLowerCase().includes(wanted) || wanted.includes(device.name.toLowerCase()));
+  if (partial.length === 1) return { device: partial[0] };
+  if (partial.length > 1 || exact.length > 1) {
+    return { error: `'${deviceName}' matches several TVs: ${(exact.length > 1 ? exact : partial).map(device => device.name).join(', ')}.` };
+  }
+  return { error: `No TV named '${deviceName}'.` };
+};
+
+// Validates each tool call against the app's state and describes it for confirmation.
+// context: { devices, eventTypes, hasActiveSession }
+export const planCommands = (toolCalls, { devices = [], eventTypes = [], hasActiveSession = false } = {}) =>
+  toolCalls.map((call, index) => {
+    const step = { id: `${index}-${call.name}`, tool: call.name, args: {}, device: null, summary: call.name, error: null };
+    if (!TOOL_NAMES.includes(call.name)) return { ...step, error: `Unknown command '${call.name}'.` };
+
+    if (call.name === 'register_device') {
+      const pairingCode = String(call.args.pairingCode ?? '').replace(/\D/g, '');
+      const name = String(call.args.name ?? '').trim();
+      return {
+        ...step,
+        args: { pairingCode, name },
+        summary: `Pair TV '${name}' using code ${pairingCode}`,
+        error: pairingCode.length !== 6 ? 'A 6-digit pairing code is required.' : !name ? 'A TV name is required.' : null,
+      };
+    }
+
+    if (call.name === 'start_mirroring') {
+      const { device, error } = resolveDevice(devices, call.args.deviceName);
+      return { ...step, args: { deviceName: call.args.deviceName }, device: device ?? null, summary: `Start mirroring to '${device?.name ?? call.args.deviceName}'`, error: error ?? null };
+    }
+
+    if (call.name === 'stop_mirroring') {
+      return { ...step, summary: 'Stop the current mirroring session', error: hasActiveSession ? null : 'There is no active session to stop.' };
+    }
+
+    // query_history
+    const eventType = call.args.eventType ? String(call.args.eventType).toUpperCase() : '';
+    const sinceDays = Number.isInteger(Number(call.args.sinceDays)) && Number(call.args.sinceDays) > 0 ? Number(call.args.sinceDays) : null;
+    const resolved = call.args.deviceName ? resolveDevice(devices, call.args.deviceName) : {};
+    return {
+      ...step,
+      args: { eventType, sinceDays },
+      device: resolved.device ?? null,
+      summary: `Show ${eventType || 'all'} events${resolved.device ? ` for '${resolved.device.name}'` : ''}${sinceDays ? ` from the last ${sinceDays} day(s)` : ''}`,
+      error: resolved.error ?? (eventType && !eventTypes.includes(eventType) ? `Unknown event type '${eventType}'.` : null),
+    };
+  });
+
+// Runs a confirmed plan: each valid step goes to its tool's handler, in order, and `onExecuted`
+// is called after it (the manager logs the step with the utterance there). Steps with an error are
+// skipped. handlers: { [tool]: (step) => Promise }  ->  the steps that ran
+export const runCommandPlan = async ({ steps }, handlers, { onExecuted = () => {} } = {}) => {
+  const executed = [];
+  for (const step of steps.filter(candidate => !candidate.error && handlers[candidate.tool])) {
+    await handlers[step.tool](step);
+    await onExecuted(step);
+    executed.push(step);
+  }
+  return executed;
+};
+
+// The model side: sends the utterance with the tool definitions and returns parsed tool calls.
+// baseUrl, fetchImpl and retry work as in createGeminiAnalyzer.
+export const createGeminiCommandModel = ({
+  apiKey = '',
+  baseUrl = DEFAULT_GEMINI_BASE_URL,
+  model = DEFAULT_GEMINI_MODEL,
+  fetchImpl = (...args) => fetch(...args),
+  retry = (fn) => fn(),
+} = {}) => ({
+  propose: async (utterance, { deviceNames = [] } = {}) => {
+    const apiUrl = `${baseUrl.replace(/\/+$/, '')}/v1beta/models/${model}:generateContent?key=${encodeURIComponent(apiKey)}`;
+    const systemPrompt = `You control a secure screen mirroring app. Translate the user's request into calls to the provided tools. `
+      + `Available TVs: ${deviceNames.length ? deviceNames.map(name => `"${name}"`).join(', ') : 'none'}. `
+      + `Only use TV names from that list. If the request cannot be done with the tools, reply briefly in text instead.`;
+
+    const payload = {
+      contents: [{ role: 'user', parts: [{ text: utterance }] }],
+      systemInstruction: { parts: [{ text: systemPrompt }] },
+      tools: [{ functionDeclarations: COMMAND_TOOLS }],
+      toolConfig: { functionCallingConfig: { mode: 'AUTO' } },
+    };
+
+    const result = await retry(async () => {
+      const response = await fetchImpl(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      if (!response.ok) throw new Error(`API call failed with status: ${response.status}`);
+      return response.json();
+    });
+    return parseModelResponse(result);
+  },
+});
@@ -0,0 +1,88 @@
+// --- Connection Guard ---
+// Brute-force and anomaly protection for start attempts. Denied attempts are counted per TV and
+// per requesting user in a sliding window; reaching the policy's threshold locks that TV or user
+// out for a while. Starts that look unusual for a TV (a new hour of day, rapid connect/disconnect
+// cycling) are flagged. Failed pairing claims are counted the same way, per claiming user.
+//
+// counter: { scope: 'device' | 'user' | 'pairing', subjectId, label, attemptsMs: [ms], lockedUntil: Timestamp | null }
+import { normalizePolicy } from './policyEngine.js';
+
+// A busy TV is contention, not guessing, and attempts made while locked out do not extend the lockout
+export const LOCKOUT_EXEMPT_RULES = ['SESSION_ALREADY_ACTIVE', 'OWNER_SESSION_ACTIVE', 'DEVICE_CONCURRENCY_LIMIT', 'LOCKED_OUT'];
+
+export const ANOMALY_THRESHOLDS = {
+  minBaselineSessions: 10, // New-hour detection needs this many earlier sessions on the TV
+  rapidCycleCount: 3, // Short sessions on one TV within rapidCycleWindowMs that count as cycling
+  rapidCycleWindowMs: 10 * 60 * 1000,
+  shortSessionSeconds: 60,
+};
+
+const toMillis = (timestamp) => timestamp?.toMillis?.() ?? null;
+
+export const lockoutId = (scope, subjectId) => `${scope}_${subjectId}`;
+
+// Failed claims of unknown, expired or already claimed PINs one user may make before pairing is
+// locked for them. Six-digit PINs are only safe while guessing them is this slow.
+export const PAIRING_ATTEMPT_LIMITS = { threshold: 5, windowMs: 10 * 60 * 1000, lockoutMs: 15 * 60 * 1000 };
+
+// Thresholds from the TV owner's policy; a null per-scope maximum never locks that scope
+export const getLockoutLimits = (policy) => {
+  const rules = normalizePolicy(policy);
+  const positive = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null);
+  return {
+    device: positive(rules.maxDeniedAttemptsPerDevice),
+    user: positive(rules.maxDeniedAttemptsPerUser),
+    windowMs: (positive(rules.attemptWindowMinutes) ?? 10) * 60 * 1000,
+    lockoutMs: (positive(rules.lockoutMinutes) ?? 15) * 60 * 1000,
+  };
+};
+
+export const getLockedUntilMs = (counter, nowMs) => {
+  const untilMs = toMillis(counter?.lockedUntil);
+  return untilMs && untilMs > nowMs ? untilMs : null;
+};
+
+// Adds a denied attempt at nowMs, dropping attempts that fell out of the window. Reaching the
+// threshold locks the subject and resets the count, so the next lockout needs a fresh run.
+// -> { attemptsMs, lockedUntilMs, lockedNow, deniedAttempts }
+export const registerDeniedAttempt = (counter, { nowMs, threshold, windowMs, lockoutMs }) => {
+  const attemptsMs = [...(counter?.attemptsMs ?? []).filter(ms => nowMs - ms < windowMs), nowMs];
+  if (!threshold || attemptsMs.length < threshold) {
+    return { attemptsMs, lockedUntilMs: getLockedUntilMs(counter, nowMs), lockedNow: false, deniedAttempts: attemptsMs.length };
+  }
+  return { attemptsMs: [], lockedUntilMs: nowMs + lockoutMs, lockedNow: true, deniedAttempts: attemptsMs.length };
+};
+
+const hourOf = (ms, timeZone) => Number(new Intl.DateTimeFormat('en-US', {
+  timeZone: timeZone || undefined, hour: '2-digit', hourCycle: 'h23',
+}).format(new Date(ms)));
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00-${String((hour + 1) % 24).padStart(2, '0')}:00`;
+
+// Flags a start on `deviceId` that looks unusual against the TV's archived sessions.
+// records: session history records ({ deviceId, startedAtMs, durationSeconds }), any order.
+// -> [{ kind: 'NEW_HOUR' | 'RAPID_CYCLING', message }]
+export const detectStartAnomalies = (records, { nowMs, deviceId, deviceName, requesterLabel, timeZone = null, thresholds = ANOMALY_THRESHOLDS }) => {
+  const onDevice = records.filter(record => record.deviceId === deviceId && Number.isFinite(record.startedAtMs));
+  const anomalies = [];
+
+  const hour = hourOf(nowMs, timeZone);
+  if (onDevice.length >= thresholds.minBaselineSessions && !onDevice.some(record => hourOf(record.startedAtMs, timeZone) === hour)) {
+    anomalies.push({
+      kind: 'NEW_HOUR',
+      message: `${requesterLabel} started mirroring to '${deviceName}' at ${formatHour(hour)}${timeZone ? ` (${timeZone})` : ' UTC'}, `
+        + `an hour none of its last ${onDevice.length} sessions used.`,
+    });
+  }
+
+  const shortRecent = onDevice.filter(record => nowMs - record.startedAtMs <= thresholds.rapidCycleWindowMs
+    && record.durationSeconds < thresholds.shortSessionSeconds);
+  if (shortRecent.length >= thresholds.rapidCycleCount) {
+    anomalies.push({
+      kind: 'RAPID_CYCLING',
+      message: `'${deviceName}' had ${shortRecent.length} sessions shorter than ${thresholds.shortSessionSeconds}s in the last `
+        + `${Math.round(thresholds.rapidCycleWindowMs / 60000)} minutes before ${requesterLabel} connected again.`,
+    });
+  }
+  return anomalies;
+};
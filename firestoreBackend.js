@@ -0,0 +1,85 @@
+// --- Firestore Backend ---
+// The mirroringService.js repositories on Firestore, Firebase Auth and the Cloud Functions in
+// functions/index.js. The device, session, audit log and session history paths are built here,
+// in one place; the manager's own queries on those collections use `paths` too.
+import { signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import { doc, addDoc, onSnapshot, collection, query, where, orderBy, limit, updateDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { SERVER_TIME } from './mirroringService.js';
+
+const toFirestoreFields = (fields) =>
+  Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, value === SERVER_TIME ? serverTimestamp() : value]));
+
+export const createFirestoreBackend = ({ db, auth, functions, appId }) => {
+  const paths = {
+    devices: (userId) => collection(db, 'artifacts', appId, 'users', userId, 'devices'),
+    device: (userId, deviceId) => doc(db, 'artifacts', appId, 'users', userId, 'devices', deviceId),
+    auditLog: (userId) => collection(db, 'artifacts', appId, 'users', userId, 'audit_log'),
+    sessionHistory: (userId) => collection(db, 'artifacts', appId, 'users', userId, 'session_history'),
+    sessions: () => collection(db, 'artifacts', appId, 'public', 'data', 'mirroring_sessions'),
+    // One session doc per user represents the 'current' session
+    session: (userId) => doc(db, 'artifacts', appId, 'public', 'data', 'mirroring_sessions', userId),
+  };
+  const call = (name, data) => httpsCallable(functions, name)({ appId, ...data }).then(({ data: result }) => result);
+
+  return {
+    paths,
+
+    auth: {
+      subscribe: (onChange) => onAuthStateChanged(auth, onChange),
+      // Signs in with the provided custom token, falling back to anonymous auth
+      signIn: async (token) => {
+        if (token) {
+          try {
+            return (await signInWithCustomToken(auth, token)).user;
+          } catch (error) {
+            console.error("Custom token sign-in failed:", error);
+          }
+        }
+        return (await signInAnonymously(auth)).user;
+      },
+    },
+
+    devices: {
+      subscribe: (userId, onChange, onError) => onSnapshot(query(paths.devices(userId)), (snapshot) => {
+        onChange(snapshot.docs.map(deviceDoc => ({ id: deviceDoc.id, ...deviceDoc.data() })));
+      }, onError),
+      // registerDevice re-checks the confirmed pairing, creates the device doc and records the REGISTER event
+      register: (userId, { code, name }) => call('registerDevice', { code, name }),
+      update: (userId, deviceId, changes) => updateDoc(paths.device(userId, deviceId), toFirestoreFields(changes)),
+    },
+
+    sessions: {
+      subscribe: (userId, onChange, onError) => onSnapshot(paths.session(userId), (docSnap) => {
+        // Estimate pending lease timestamps so the lease age never reads as missing
+        onChange(docSnap.exists() ? docSnap.data({ serverTimestamps: 'estimate' }) : null);
+      }, onError),
+      // startMirroring re-verifies device access and the owner's policy, records the decision,
+      // and only then creates the session doc
+      start: (userId, request) => call('startMirroring', request),
+      // stopMirroring deletes the session doc and its signaling data and records DISCONNECTED
+      stop: (userId, reason) => call('stopMirroring', { reason }),
+    },
+
+    logs: {
+      // Pagination grows the live window (`limit`) rather than paging with cursors, so newly
+      // written events keep streaming in
+      subscribe: (userId, { type = '', deviceId = '', fromMs = null, toMs = null, limit: maxEvents }, onChange, onError) => {
+        const constraints = [];
+        if (type) constraints.push(where('type', '==', type));
+        if (deviceId) constraints.push(where('deviceId', '==', deviceId));
+        if (fromMs !== null) constraints.push(where('timestamp', '>=', Timestamp.fromMillis(fromMs)));
+        if (toMs !== null) constraints.push(where('timestamp', '<=', Timestamp.fromMillis(toMs)));
+
+        return onSnapshot(query(paths.auditLog(userId), ...constraints, orderBy('timestamp', 'desc'), limit(maxEvents)), (snapshot) => {
+          onChange(snapshot.docs.map(eventDoc => ({
+            id: eventDoc.id,
+            // Pending server timestamps are estimated so fresh events render immediately
+            ...eventDoc.data({ serverTimestamps: 'estimate' }),
+          })), { hasMore: snapshot.size >= maxEvents });
+        }, onError);
+      },
+      append: (userId, event) => addDoc(paths.auditLog(userId), toFirestoreFields(event)),
+    },
+  };
+};
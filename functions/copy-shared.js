@@ -0,0 +1,26 @@
+// --- Shared Module Copy ---
+// Only functions/ is uploaded on deploy, so the pure modules the functions share with the browser
+// app are copied from the repo root into functions/shared/ (git-ignored) before every deploy and
+// emulator run. Edit the originals at the root, never the copies.
+import { mkdirSync, copyFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const SHARED_MODULES = [
+  'policyEngine.js',
+  'sessionLease.js',
+  'sessionHistory.js',
+  'connectionGuard.js',
+  'mirroringService.js',
+  'streamProfile.js',
+  'auditExport.js',
+  'backoff.js',
+];
+
+const root = new URL('../', import.meta.url);
+const target = new URL('./shared/', import.meta.url);
+
+mkdirSync(target, { recursive: true });
+for (const module of SHARED_MODULES) {
+  copyFileSync(new URL(module, root), new URL(module, target));
+}
+console.log(`Copied ${SHARED_MODULES.length} shared modules to ${fileURLToPath(target)}`);
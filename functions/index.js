@@ -0,0 +1,1032 @@
+// --- Mirroring Cloud Functions ---
+// Server-side authority for device registration and session start/stop. The browser can no
+// longer create sessions or devices itself (see firestore.rules); these callables re-verify
+// device ownership and the user's policy with the Admin SDK before writing anything.
+import { lookup } from 'node:dns/promises';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onDocumentCreated, onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import { LIVE_SESSION_STATUSES } from './shared/sessionLease.js';
+import { buildSessionRecord, HISTORY_WINDOW_MS } from './shared/sessionHistory.js';
+import {
+  LOCKOUT_EXEMPT_RULES, PAIRING_ATTEMPT_LIMITS, lockoutId, getLockoutLimits, getLockedUntilMs, registerDeniedAttempt,
+  detectStartAnomalies,
+} from './shared/connectionGuard.js';
+import { MAX_DEVICE_NAME_LENGTH, getAccessibleDevice, getLockoutOwnerId, deriveStartContext, evaluateStart } from './shared/mirroringService.js';
+import { getMaxEndsAtMs } from './shared/policyEngine.js';
+import { sanitizeStreamProfile, applySessionOverrides } from './shared/streamProfile.js';
+import { WEBHOOK_EVENT_TYPES, createWebhookSender, describeWebhookTarget, isValidWebhookUrl, isPrivateHost } from './shared/auditExport.js';
+import { withExponentialBackoff } from './shared/backoff.js';
+
+initializeApp();
+const db = getFirestore();
+
+const SIGNALING_COLLECTIONS = ['senderCandidates', 'receiverCandidates'];
+
+// --- Request Validation ---
+
+const requireUid = (request) => {
+  if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to manage screen mirroring.');
+  return request.auth.uid;
+};
+
+const requireString = (value, field, pattern = /^[\w-]{1,128}$/) => {
+  if (typeof value !== 'string' || !pattern.test(value)) {
+    throw new HttpsError('invalid-argument', `A valid ${field} is required.`);
+  }
+  return value;
+};
+
+// --- Paths (mirroring the client's artifacts layout) ---
+
+const userPath = (appId, uid) => `artifacts/${appId}/users/${uid}`;
+const sessionRef = (appId, uid) => db.doc(`artifacts/${appId}/public/data/mirroring_sessions/${uid}`);
+
+// Server-authored audit events carry source: 'server', which clients are not allowed to write
+const writeAuditEvent = (appId, uid, type, message, { deviceId = null, uniqueId = null, reason = null } = {}) =>
+  db.collection(`${userPath(appId, uid)}/audit_log`).add({
+    type,
+    message,
+    deviceId,
+    uniqueId,
+    reason,
+    userId: uid,
+    source: 'server',
+    timestamp: FieldValue.serverTimestamp(),
+  });
+
+const clearSignalingCandidates = (ref) =>
+  Promise.all(SIGNALING_COLLECTIONS.map(name => db.recursiveDelete(ref.collection(name))));
+
+// How the caller is named in other users' logs and prompts
+const describeCaller = (auth) => auth.token?.email || `User ${auth.uid.slice(0, 6)}`;
+
+// --- Household Sharing ---
+
+const SHARE_INVITE_PATTERN = /^[A-Z0-9]{8}$/;
+const sharedDeviceRef = (appId, guestId, ownerId, deviceId) =>
+  db.doc(`${userPath(appId, guestId)}/shared_devices/${ownerId}_${deviceId}`);
+
+
+// Sharing events are written to both the owner's and the guest's audit log
+const writeSharingEvent = (appId, ownerId, guestId, type, message, details) =>
+  Promise.all([ownerId, guestId].map(uid => writeAuditEvent(appId, uid, type, message, details)));
+
+// Whether a guest's session is on this owner's TV
+const isGuestSessionOn = (session, ownerId, deviceId) => session?.deviceOwnerId === ownerId && session.mirroringDeviceId === deviceId;
+
+// Archives and deletes a guest's session; clear its signaling candidates once the transaction commits
+const endGuestSession = (transaction, appId, guestId, session, reason) => {
+  archiveEndingSession(transaction, appId, guestId, session, reason);
+  transaction.delete(sessionRef(appId, guestId));
+};
+
+// Removes the guests' grants from the TV doc and the TV from each guest's shared_devices
+const removeGuestGrants = (transaction, appId, ownerId, deviceId, guestIds) => {
+  transaction.update(db.doc(`${userPath(appId, ownerId)}/devices/${deviceId}`),
+    Object.fromEntries(guestIds.map(guestId => [`guests.${guestId}`, FieldValue.delete()])));
+  guestIds.forEach(guestId => transaction.delete(sharedDeviceRef(appId, guestId, ownerId, deviceId)));
+};
+
+const recordGuestKicked = (appId, ownerId, guestId, device, reason) =>
+  writeSharingEvent(appId, ownerId, guestId, 'KICKED', `Guest session on '${device.name}' was ended by the TV's owner.`, {
+    deviceId: device.id,
+    uniqueId: device.uniqueId ?? null,
+    reason,
+  });
+
+
+// Claims the PIN a TV is showing for the caller; the TV then asks for on-screen confirmation.
+// Clients cannot read pairing requests by code, so this is the only way to test a PIN, and
+// failed claims are counted per caller (PAIRING_ATTEMPT_LIMITS) to keep PINs from being guessed.
+// data: { appId, code, name }  ->  { uniqueId }
+export const claimPairing = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const code = requireString(request.data?.code, 'pairing code', /^\d{6}$/);
+  const name = String(request.data?.name ?? '').trim().slice(0, MAX_DEVICE_NAME_LENGTH);
+  if (!name) throw new HttpsError('invalid-argument', 'A TV name is required.');
+
+  const pairingRef = db.doc(`artifacts/${appId}/public/data/pairing_requests/${code}`);
+  const counterRef = lockoutRef(appId, uid, 'pairing', uid);
+  const label = describeCaller(request.auth);
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const nowMs = Date.now();
+    const [pairingSnap, counterSnap] = await Promise.all([transaction.get(pairingRef), transaction.get(counterRef)]);
+    const pairing = pairingSnap.data();
+    const counter = counterSnap.data() ?? null;
+
+    if (getLockedUntilMs(counter, nowMs)) {
+      return { failure: 'RATE_LIMITED', message: `Pairing attempt blocked by rate limit for code ${code}.` };
+    }
+
+    const failure = !pairing
+      ? { failure: 'INVALID_CODE', message: `Pairing failed: code ${code} does not match any TV.` }
+      : !pairing.expiresAt || pairing.expiresAt.toMillis() <= nowMs
+        ? { failure: 'CODE_EXPIRED', message: `Pairing failed: code ${code} has expired.`, uniqueId: pairing.uniqueId }
+        : pairing.status !== 'Waiting'
+          ? { failure: 'CODE_ALREADY_USED', message: `Pairing failed: code ${code} was already claimed.`, uniqueId: pairing.uniqueId }
+          : null;
+    if (failure) {
+      const next = registerDeniedAttempt(counter, { nowMs, ...PAIRING_ATTEMPT_LIMITS });
+      transaction.set(counterRef, {
+        scope: 'pairing',
+        subjectId: uid,
+        label,
+        attemptsMs: next.attemptsMs,
+        lockedUntil: next.lockedUntilMs ? Timestamp.fromMillis(next.lockedUntilMs) : null,
+        ...(next.lockedNow ? { lockedAt: FieldValue.serverTimestamp(), lockedAfterRule: failure.failure } : {}),
+        lastDeniedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return { ...failure, lockedNow: next.lockedNow, deniedAttempts: next.deniedAttempts };
+    }
+
+    // A correct PIN for a TV the caller already has is not a guess, so it is not counted
+    const known = await transaction.get(db.collection(`${userPath(appId, uid)}/devices`).where('uniqueId', '==', pairing.uniqueId).limit(1));
+    if (!known.empty) {
+      const knownDevice = known.docs[0];
+      return knownDevice.data().state === 'Revoked'
+        ? { denied: true, deviceId: knownDevice.id, uniqueId: pairing.uniqueId, message: `Revoked device '${knownDevice.data().name}' (ID: ${pairing.uniqueId}) attempted to pair again.` }
+        : { failure: 'ALREADY_REGISTERED', message: `This TV (${pairing.uniqueId}) is already registered.`, uniqueId: pairing.uniqueId };
+    }
+
+    transaction.update(pairingRef, { status: 'Claimed', claimedBy: uid, deviceName: name });
+    return { uniqueId: pairing.uniqueId };
+  });
+
+  if (outcome.denied) {
+    await writeAuditEvent(appId, uid, 'DENIED', outcome.message, { deviceId: outcome.deviceId, uniqueId: outcome.uniqueId, reason: 'DEVICE_REVOKED' });
+    throw new HttpsError('permission-denied', outcome.message);
+  }
+  if (outcome.failure) {
+    await writeAuditEvent(appId, uid, 'PAIRING_FAILED', outcome.message, { uniqueId: outcome.uniqueId ?? null, reason: outcome.failure });
+    if (outcome.lockedNow) {
+      await writeAuditEvent(appId, uid, 'LOCKOUT', `Pairing locked for ${PAIRING_ATTEMPT_LIMITS.lockoutMs / 60000} min after `
+        + `${outcome.deniedAttempts} failed pairing attempts within ${PAIRING_ATTEMPT_LIMITS.windowMs / 60000} min.`, { reason: 'PAIRING_LOCKOUT' });
+    }
+    if (outcome.failure === 'RATE_LIMITED') {
+      throw new HttpsError('resource-exhausted', 'Too many failed pairing attempts. Please wait a few minutes and try again.');
+    }
+    throw new HttpsError('failed-precondition', outcome.message);
+  }
+  return { uniqueId: outcome.uniqueId };
+});
+
+// Completes a pairing the TV has confirmed and creates the device doc for the caller.
+// data: { appId, code, name }
+export const registerDevice = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const code = requireString(request.data?.code, 'pairing code', /^\d{6}$/);
+  const name = String(request.data?.name ?? '').trim().slice(0, MAX_DEVICE_NAME_LENGTH);
+  if (!name) throw new HttpsError('invalid-argument', 'A TV name is required.');
+
+  const pairingRef = db.doc(`artifacts/${appId}/public/data/pairing_requests/${code}`);
+  const devicesRef = db.collection(`${userPath(appId, uid)}/devices`);
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const pairingSnap = await transaction.get(pairingRef);
+    const pairing = pairingSnap.data();
+
+    if (!pairing || pairing.status !== 'Confirmed' || pairing.claimedBy !== uid) {
+      return { failure: 'PAIRING_NOT_CONFIRMED', message: `Pairing code ${code} has not been confirmed for this account.` };
+    }
+    if (!pairing.expiresAt || pairing.expiresAt.toMillis() <= Date.now()) {
+      return { failure: 'CODE_EXPIRED', message: `Pairing code ${code} expired before registration completed.`, uniqueId: pairing.uniqueId };
+    }
+
+    const existing = await transaction.get(devicesRef.where('uniqueId', '==', pairing.uniqueId).limit(1));
+    if (!existing.empty) {
+      const known = existing.docs[0];
+      return known.data().state === 'Revoked'
+        ? { denied: true, deviceId: known.id, uniqueId: pairing.uniqueId, message: `Revoked device '${known.data().name}' (ID: ${pairing.uniqueId}) attempted to pair again.` }
+        : { failure: 'ALREADY_REGISTERED', message: `This TV (${pairing.uniqueId}) is already registered.`, uniqueId: pairing.uniqueId };
+    }
+
+    const deviceDocRef = devicesRef.doc();
+    transaction.set(deviceDocRef, {
+      name,
+      registeredAt: FieldValue.serverTimestamp(),
+      uniqueId: pairing.uniqueId, // Proven by the TV through the pairing handshake
+      receiverUserId: pairing.tvUserId, // The TV's auth uid; lets it read sessions addressed to it
+      state: 'Active',
+      lastConnected: null,
+    });
+    transaction.update(pairingRef, { status: 'Completed', deviceId: deviceDocRef.id });
+    return { deviceId: deviceDocRef.id, uniqueId: pairing.uniqueId };
+  });
+
+  if (outcome.denied) {
+    await writeAuditEvent(appId, uid, 'DENIED', outcome.message, { deviceId: outcome.deviceId, uniqueId: outcome.uniqueId, reason: 'DEVICE_REVOKED' });
+    throw new HttpsError('permission-denied', outcome.message);
+  }
+  if (outcome.failure) {
+    await writeAuditEvent(appId, uid, 'PAIRING_FAILED', outcome.message, { uniqueId: outcome.uniqueId ?? null, reason: outcome.failure });
+    throw new HttpsError('failed-precondition', outcome.message);
+  }
+
+  await writeAuditEvent(appId, uid, 'REGISTER', `New TV registered (One-time setup complete): ${name} (${uid})`, {
+    deviceId: outcome.deviceId,
+    uniqueId: outcome.uniqueId,
+  });
+  return { deviceId: outcome.deviceId };
+});
+
+
+// --- Session History ---
+// Each session is archived once, when it ends, to its sender's history and (for a guest on a shared
+// TV) to the TV owner's. Callables archive the live sessions they delete or replace; sessions that
+// fail or expire in place are archived by archiveFinishedSession.
+
+const FINISHED_STATUS_REASONS = { Failed: 'PEER_FAILED', Expired: 'LEASE_EXPIRED' };
+
+// `writer` is the transaction or batch that ends the session, so the record commits with it
+const writeSessionRecords = (writer, appId, sessionId, session, endReason) => {
+  const { startedAtMs, endedAtMs, ...record } = buildSessionRecord(sessionId, session, { endReason, endedAtMs: Date.now() });
+  const archived = {
+    ...record,
+    startTime: startedAtMs ? Timestamp.fromMillis(startedAtMs) : null,
+    endTime: Timestamp.fromMillis(endedAtMs),
+    archivedAt: FieldValue.serverTimestamp(),
+  };
+  new Set([sessionId, record.deviceOwnerId]).forEach(uid => {
+    writer.set(db.collection(`${userPath(appId, uid)}/session_history`).doc(), archived);
+  });
+};
+
+// Sessions that already failed or expired were archived when they did
+const archiveEndingSession = (writer, appId, sessionId, session, endReason) => {
+  if (LIVE_SESSION_STATUSES.includes(session?.status)) writeSessionRecords(writer, appId, sessionId, session, endReason);
+};
+
+
+// --- Brute-Force & Anomaly Protection ---
+
+const lockoutRef = (appId, ownerId, scope, subjectId) => db.doc(`${userPath(appId, ownerId)}/lockouts/${lockoutId(scope, subjectId)}`);
+
+// Counts a denied start against the requester, and against the TV when the requester may use it,
+// and locks whichever reached the lockout owner's threshold. Returns the lockouts this attempt triggered.
+const recordDeniedAttempt = (transaction, context, { result, requesterLabel }) => {
+  if (LOCKOUT_EXEMPT_RULES.includes(result.rule)) return [];
+  const limits = getLockoutLimits(context.lockoutPolicy);
+
+  return context.counters
+    .map(({ scope, subjectId, ref, counter }) => {
+      const next = registerDeniedAttempt(counter, { nowMs: context.now, threshold: limits[scope], windowMs: limits.windowMs, lockoutMs: limits.lockoutMs });
+      const label = scope === 'device' ? context.deviceName : requesterLabel;
+      transaction.set(ref, {
+        scope,
+        subjectId,
+        label,
+        attemptsMs: next.attemptsMs,
+        lockedUntil: next.lockedUntilMs ? Timestamp.fromMillis(next.lockedUntilMs) : null,
+        ...(next.lockedNow ? { lockedAt: FieldValue.serverTimestamp(), lockedAfterRule: result.rule } : {}),
+        lastDeniedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return next.lockedNow ? { scope, subjectId, label, deniedAttempts: next.deniedAttempts, limits } : null;
+    })
+    .filter(Boolean);
+};
+
+const describeLockout = ({ scope, label, deniedAttempts, limits }) =>
+  `${scope === 'device' ? `TV '${label}'` : `User ${label}`} locked out for ${limits.lockoutMs / 60000} min after `
+  + `${deniedAttempts} denied attempts within ${limits.windowMs / 60000} min.`;
+
+// Lockouts are reported to whoever keeps the counters (see getLockoutOwnerId) and, when someone
+// else triggered them, to that user too
+const recordLockouts = async (appId, lockoutOwnerId, uid, lockouts, details) => {
+  for (const lockout of lockouts) {
+    const recipients = uid === lockoutOwnerId ? [uid] : [lockoutOwnerId, uid];
+    await Promise.all(recipients.map(recipient => writeAuditEvent(appId, recipient, 'LOCKOUT', describeLockout(lockout), {
+      ...details,
+      reason: `${lockout.scope.toUpperCase()}_LOCKOUT`,
+    })));
+  }
+};
+
+// Compares an allowed start with the TV's archived sessions and reports anything unusual to its owner
+const flagStartAnomalies = async (appId, ownerId, device, { requesterLabel, timeZone }) => {
+  const historySnap = await db.collection(`${userPath(appId, ownerId)}/session_history`)
+    .where('startTime', '>=', Timestamp.fromMillis(Date.now() - HISTORY_WINDOW_MS))
+    .orderBy('startTime', 'desc')
+    .limit(500)
+    .get();
+  const records = historySnap.docs.map(recordDoc => ({
+    ...recordDoc.data(),
+    startedAtMs: recordDoc.data().startTime?.toMillis() ?? null,
+  }));
+
+  const anomalies = detectStartAnomalies(records, {
+    nowMs: Date.now(),
+    deviceId: device.id,
+    deviceName: device.name,
+    requesterLabel,
+    timeZone,
+  });
+  for (const anomaly of anomalies) {
+    await writeAuditEvent(appId, ownerId, 'ANOMALY', anomaly.message, { deviceId: device.id, uniqueId: device.uniqueId ?? null, reason: anomaly.kind });
+  }
+};
+
+
+// --- Session Start ---
+
+// Reads everything a start decision depends on inside `transaction` and derives the decision
+// context with deriveStartContext, which the in-memory backend shares. `handoverSessionId` names a
+// live session that is being handed over to the caller, so it does not count against them.
+const readStartContext = async (transaction, { appId, uid, ownerId, deviceId, handoverSessionId = null }) => {
+  const sessionDocRef = sessionRef(appId, uid);
+  // Reading the device under the owner's path (plus the guest grant) is the access check
+  const deviceDocRef = db.doc(`${userPath(appId, ownerId)}/devices/${deviceId}`);
+  const policyRef = db.doc(`${userPath(appId, ownerId)}/settings/mirroring_policy`);
+
+  const [deviceSnap, policySnap, sessionSnap] = await Promise.all([
+    transaction.get(deviceDocRef),
+    transaction.get(policyRef),
+    transaction.get(sessionDocRef),
+  ]);
+  const deviceDoc = deviceSnap.exists ? { id: deviceSnap.id, ...deviceSnap.data() } : null;
+  const accessibleDevice = getAccessibleDevice({ uid, ownerId, deviceDoc });
+
+  // Attempt counters live with the TV owner only when the caller may use the TV; a stranger's
+  // attempts are counted under their own account and never touch the owner's TV or logs
+  const lockoutOwnerId = getLockoutOwnerId({ uid, ownerId, accessibleDevice });
+  const counterRefs = {
+    device: lockoutRef(appId, lockoutOwnerId, 'device', deviceId),
+    user: lockoutRef(appId, lockoutOwnerId, 'user', uid),
+  };
+  const [deviceCounterSnap, userCounterSnap, deviceSessions] = await Promise.all([
+    accessibleDevice ? transaction.get(counterRefs.device) : null,
+    transaction.get(counterRefs.user),
+    accessibleDevice
+      ? transaction.get(db.collection(`artifacts/${appId}/public/data/mirroring_sessions`)
+        .where('deviceOwnerId', '==', ownerId)
+        .where('mirroringDeviceId', '==', deviceId)).then(snap => snap.docs)
+      : [],
+  ]);
+
+  const context = deriveStartContext({
+    uid,
+    ownerId,
+    deviceId,
+    handoverSessionId,
+    now: Date.now(),
+    policy: policySnap.data(),
+    deviceDoc,
+    existing: sessionSnap.data(),
+    deviceSessions,
+    deviceCounter: deviceCounterSnap?.data() ?? null,
+    userCounter: userCounterSnap.data() ?? null,
+  });
+  return {
+    ...context,
+    sessionDocRef,
+    deviceDocRef,
+    counters: context.counters.map(counter => ({ ...counter, ref: counterRefs[counter.scope] })),
+  };
+};
+
+// Writes the new 'Negotiating' session for an allowed start and ends any guest sessions it displaces.
+// A live session it overwrites (a stale one, or the caller's own being handed over) is archived first.
+// `streamProfile` is the device's profile with the session's overrides applied.
+const writeStartedSession = (transaction, context, {
+  appId, uid, ownerId, senderInstanceId, senderLabel, region, result, streamProfile, replacedReason = 'HANDED_OFF',
+}) => {
+  const { registeredDevice } = context;
+  const maxEndsAtMs = getMaxEndsAtMs(context.policy, context.now);
+  context.guestSessions.forEach(sessionDoc => {
+    archiveEndingSession(transaction, appId, sessionDoc.id, sessionDoc.data(), 'OWNER_TOOK_OVER');
+    transaction.delete(sessionDoc.ref);
+  });
+  if (context.staleSession) {
+    writeSessionRecords(transaction, appId, uid, { ...context.staleSession, status: 'Expired' }, 'LEASE_EXPIRED');
+  } else {
+    archiveEndingSession(transaction, appId, uid, context.existing, replacedReason);
+  }
+  transaction.set(context.sessionDocRef, {
+    ownerId: uid,
+    deviceOwnerId: ownerId, // Lets the TV's owner see (and kick) guest sessions
+    receiverUserId: registeredDevice.receiverUserId ?? null,
+    mirroringDeviceId: registeredDevice.id,
+    mirroringDeviceName: registeredDevice.name,
+    mirroringUniqueId: registeredDevice.uniqueId, // Lets the TV receiver find sessions addressed to it
+    status: 'Negotiating',
+    startTime: FieldValue.serverTimestamp(),
+    leaseRenewedAt: FieldValue.serverTimestamp(),
+    // The TV owner's maximum duration: the rules refuse lease renewals past it and the sender stops
+    maxEndsAt: maxEndsAtMs === null ? null : Timestamp.fromMillis(maxEndsAtMs),
+    senderInstanceId, // Only this tab renews the lease
+    mirroredBy: uid, // Shows who is currently connected
+    senderLabel, // Names the sender in the session history
+    geoCheckStatus: result.reason,
+    policyRule: result.rule,
+    requesterRegion: region,
+    streamProfile,
+    negotiatedProfile: null, // Reported by the sender once the capture is running
+    offer: null,
+    answer: null,
+  });
+  transaction.update(context.deviceDocRef, { lastConnected: FieldValue.serverTimestamp() });
+  return context.guestSessions.map(sessionDoc => ({ ref: sessionDoc.ref, guestId: sessionDoc.id }));
+};
+
+// Region is reported by the browser locale; the policy treats it as a declared region
+const readRegion = (value) => (typeof value === 'string' ? value.slice(0, 8).toUpperCase() : null);
+
+
+// Evaluates the TV owner's policy for a device and, if allowed, creates the session doc in
+// 'Negotiating'. The sender then publishes its offer on that doc.
+// Guests pass the owner's uid as ownerId; an owner starting on a TV a guest is using kicks the guest.
+// streamProfile optionally overrides the device's stream profile for this session (tighten only);
+// an allowed start returns the session's resulting profile.
+// data: { appId, deviceId, ownerId?, region, senderInstanceId, streamProfile? }  ->  { allowed, rule, reason, streamProfile? }
+export const startMirroring = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const deviceId = requireString(request.data?.deviceId, 'deviceId');
+  const ownerId = request.data?.ownerId ? requireString(request.data.ownerId, 'ownerId') : uid;
+  const senderInstanceId = requireString(request.data?.senderInstanceId, 'senderInstanceId');
+  const region = readRegion(request.data?.region);
+  const streamOverrides = sanitizeStreamProfile(request.data?.streamProfile);
+  const sessionDocRef = sessionRef(appId, uid);
+
+  const senderLabel = describeCaller(request.auth);
+
+  const { decision, device, expiredSession, kickedSessions, lockouts, lockoutOwnerId, timeZone } = await db.runTransaction(async (transaction) => {
+    const context = await readStartContext(transaction, { appId, uid, ownerId, deviceId });
+    const result = evaluateStart(context, { deviceId, region });
+    const timeZone = context.policy?.timeZone ?? null;
+
+    if (!result.allowed) {
+      if (context.staleSession) transaction.update(sessionDocRef, { status: 'Expired', expiredAt: FieldValue.serverTimestamp() });
+      const lockouts = recordDeniedAttempt(transaction, context, { result, requesterLabel: senderLabel });
+      return {
+        decision: result, device: context.registeredDevice, expiredSession: context.staleSession, kickedSessions: [], lockouts, lockoutOwnerId: context.lockoutOwnerId, timeZone,
+      };
+    }
+
+    const streamProfile = applySessionOverrides(context.registeredDevice.streamProfile, streamOverrides);
+    return {
+      decision: { ...result, streamProfile },
+      device: context.registeredDevice,
+      expiredSession: context.staleSession,
+      kickedSessions: writeStartedSession(transaction, context, {
+        appId, uid, ownerId, senderInstanceId, senderLabel, region, result, streamProfile,
+      }),
+      lockouts: [],
+      lockoutOwnerId: context.lockoutOwnerId,
+      timeZone,
+    };
+  });
+
+  if (expiredSession) {
+    await writeAuditEvent(appId, uid, 'EXPIRED', `Session on '${expiredSession.mirroringDeviceName}' expired: sender heartbeat missing.`, {
+      deviceId: expiredSession.mirroringDeviceId,
+      uniqueId: expiredSession.mirroringUniqueId ?? null,
+      reason: 'LEASE_EXPIRED',
+    });
+  }
+
+  const eventDetails = { deviceId: device?.id ?? deviceId, uniqueId: device?.uniqueId ?? null, reason: decision.rule };
+  if (!decision.allowed) {
+    await writeAuditEvent(appId, uid, 'DENIED', decision.reason, eventDetails);
+    await recordLockouts(appId, lockoutOwnerId, uid, lockouts, eventDetails);
+    return decision;
+  }
+
+  for (const { ref, guestId } of kickedSessions) {
+    await clearSignalingCandidates(ref);
+    await recordGuestKicked(appId, uid, guestId, device, 'OWNER_TOOK_OVER');
+  }
+
+  // Candidates from a previous session must never be replayed into the new handshake
+  await clearSignalingCandidates(sessionDocRef);
+  await writeAuditEvent(appId, uid, 'AUTHORIZED', `Policy allowed mirroring to '${device.name}': ${decision.reason}`, eventDetails);
+  await flagStartAnomalies(appId, ownerId, device, { requesterLabel: senderLabel, timeZone });
+  return decision;
+});
+
+
+// Terminates the caller's session on both peers and records why.
+// data: { appId, reason }
+export const stopMirroring = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const reason = requireString(request.data?.reason ?? 'USER_STOPPED', 'reason', /^[A-Z_]{1,64}$/);
+
+  const sessionDocRef = sessionRef(appId, uid);
+  const session = await db.runTransaction(async (transaction) => {
+    const sessionSnap = await transaction.get(sessionDocRef);
+    if (!sessionSnap.exists) return null;
+    archiveEndingSession(transaction, appId, uid, sessionSnap.data(), reason);
+    transaction.delete(sessionDocRef);
+    return sessionSnap.data();
+  });
+  if (!session) return { stopped: false };
+
+  await clearSignalingCandidates(sessionDocRef);
+  await writeAuditEvent(appId, uid, 'DISCONNECTED', 'Session terminated successfully.', {
+    deviceId: session.mirroringDeviceId ?? null,
+    uniqueId: session.mirroringUniqueId ?? null,
+    reason,
+  });
+  return { stopped: true };
+});
+
+
+// Redeems a share invite created by a TV's owner and grants the caller guest access.
+// data: { appId, code }  ->  { ownerId, deviceId }
+export const acceptDeviceInvite = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const code = requireString(String(request.data?.code ?? '').toUpperCase(), 'invite code', SHARE_INVITE_PATTERN);
+  const guestLabel = describeCaller(request.auth);
+
+  const inviteRef = db.doc(`artifacts/${appId}/public/data/device_invites/${code}`);
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const invite = (await transaction.get(inviteRef)).data();
+    // Invites are written by the owner's client, so expiresAt is checked for type as well
+    if (!invite || invite.status !== 'Pending' || !(invite.expiresAt instanceof Timestamp) || invite.expiresAt.toMillis() <= Date.now()) {
+      return { failure: `Invite ${code} is invalid or has expired.` };
+    }
+    if (invite.ownerId === uid) return { failure: 'You already own this TV.' };
+
+    const deviceDocRef = db.doc(`${userPath(appId, invite.ownerId)}/devices/${invite.deviceId}`);
+    const deviceSnap = await transaction.get(deviceDocRef);
+    if (!deviceSnap.exists || deviceSnap.data().state === 'Revoked') {
+      return { failure: 'The shared TV is no longer registered.' };
+    }
+    const device = { id: deviceSnap.id, ...deviceSnap.data() };
+
+    transaction.update(deviceDocRef, {
+      [`guests.${uid}`]: { label: guestLabel, role: 'guest', grantedAt: FieldValue.serverTimestamp() },
+    });
+    transaction.set(sharedDeviceRef(appId, uid, invite.ownerId, device.id), {
+      ownerId: invite.ownerId,
+      ownerLabel: invite.ownerLabel ?? null,
+      deviceId: device.id,
+      name: device.name,
+      uniqueId: device.uniqueId,
+      role: 'guest',
+      grantedAt: FieldValue.serverTimestamp(),
+    });
+    transaction.update(inviteRef, { status: 'Accepted', acceptedBy: uid, acceptedAt: FieldValue.serverTimestamp() });
+    return { ownerId: invite.ownerId, device };
+  });
+
+  if (outcome.failure) throw new HttpsError('failed-precondition', outcome.failure);
+
+  await writeSharingEvent(appId, outcome.ownerId, uid, 'SHARE_GRANTED', `${guestLabel} was granted guest access to '${outcome.device.name}'.`, {
+    deviceId: outcome.device.id,
+    uniqueId: outcome.device.uniqueId,
+    reason: 'INVITE_ACCEPTED',
+  });
+  return { ownerId: outcome.ownerId, deviceId: outcome.device.id };
+});
+
+
+// Removes a guest from a shared TV, ending their session on it. Called by the owner to revoke
+// a guest, or by the guest (with ownerId) to leave.
+// data: { appId, deviceId, guestId, ownerId? }
+export const revokeDeviceGuest = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const deviceId = requireString(request.data?.deviceId, 'deviceId');
+  const guestId = requireString(request.data?.guestId, 'guestId');
+  const ownerId = request.data?.ownerId ? requireString(request.data.ownerId, 'ownerId') : uid;
+  if (uid !== ownerId && uid !== guestId) {
+    throw new HttpsError('permission-denied', 'Only the TV owner or the guest can remove guest access.');
+  }
+
+  const deviceDocRef = db.doc(`${userPath(appId, ownerId)}/devices/${deviceId}`);
+  const guestSessionRef = sessionRef(appId, guestId);
+
+  const { device, endedSession } = await db.runTransaction(async (transaction) => {
+    const [deviceSnap, sessionSnap] = await Promise.all([transaction.get(deviceDocRef), transaction.get(guestSessionRef)]);
+    if (!deviceSnap.exists || !deviceSnap.data().guests?.[guestId]) {
+      throw new HttpsError('not-found', 'That user is not a guest on this TV.');
+    }
+
+    const session = sessionSnap.data();
+    const endedSession = isGuestSessionOn(session, ownerId, deviceId);
+    if (endedSession) endGuestSession(transaction, appId, guestId, session, 'GUEST_ACCESS_REVOKED');
+    removeGuestGrants(transaction, appId, ownerId, deviceId, [guestId]);
+    return { device: { id: deviceSnap.id, ...deviceSnap.data() }, endedSession };
+  });
+
+  if (endedSession) await clearSignalingCandidates(guestSessionRef);
+
+  const guestLabel = device.guests[guestId].label;
+  const message = uid === guestId
+    ? `${guestLabel} left the shared TV '${device.name}'.`
+    : `Guest access for ${guestLabel} to '${device.name}' was revoked by the owner.`;
+  await writeSharingEvent(appId, ownerId, guestId, 'SHARE_REVOKED', message, {
+    deviceId,
+    uniqueId: device.uniqueId ?? null,
+    reason: uid === guestId ? 'GUEST_LEFT' : 'OWNER_REVOKED',
+  });
+  return { revoked: true };
+});
+
+
+// Lets a TV's owner end a guest's session on that TV without revoking the guest.
+// data: { appId, deviceId, guestId }
+export const kickGuestSession = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const deviceId = requireString(request.data?.deviceId, 'deviceId');
+  const guestId = requireString(request.data?.guestId, 'guestId');
+
+  const guestSessionRef = sessionRef(appId, guestId);
+  const deviceSnap = await db.doc(`${userPath(appId, uid)}/devices/${deviceId}`).get();
+  if (!deviceSnap.exists) throw new HttpsError('not-found', 'Unknown TV.');
+
+  const kicked = await db.runTransaction(async (transaction) => {
+    const session = (await transaction.get(guestSessionRef)).data();
+    if (!isGuestSessionOn(session, uid, deviceId)) return false;
+    endGuestSession(transaction, appId, guestId, session, 'OWNER_KICKED');
+    return true;
+  });
+  if (!kicked) return { kicked: false };
+
+  await clearSignalingCandidates(guestSessionRef);
+  await recordGuestKicked(appId, uid, guestId, { id: deviceSnap.id, ...deviceSnap.data() }, 'OWNER_KICKED');
+  return { kicked: true };
+});
+
+
+// Disabling or revoking a TV ends its guests' sessions, and revoking it also removes their
+// grants, whichever client made the change (the owner can update the device doc directly).
+// A disabled TV keeps its guests, who can mirror again once it is re-enabled.
+const INACTIVE_DEVICE_STATES = ['Disabled', 'Revoked'];
+
+export const endGuestAccessOnDeviceChange = onDocumentUpdated('artifacts/{appId}/users/{ownerId}/devices/{deviceId}', async (event) => {
+  const { appId, ownerId, deviceId } = event.params;
+  const before = event.data?.before.data();
+  const after = event.data?.after.data();
+  const stateBefore = before?.state ?? 'Active';
+  const state = after?.state ?? 'Active';
+  const deactivated = !INACTIVE_DEVICE_STATES.includes(stateBefore) && INACTIVE_DEVICE_STATES.includes(state);
+  const revoked = stateBefore !== 'Revoked' && state === 'Revoked';
+  const guestIds = Object.keys(after?.guests ?? {});
+  if ((!deactivated && !revoked) || guestIds.length === 0) return;
+
+  const reason = revoked ? 'DEVICE_REVOKED' : 'DEVICE_DISABLED';
+  const device = { id: deviceId, ...after };
+
+  const endedGuestIds = await db.runTransaction(async (transaction) => {
+    const snaps = await Promise.all(guestIds.map(guestId => transaction.get(sessionRef(appId, guestId))));
+    const guestSessions = guestIds
+      .map((guestId, index) => ({ guestId, session: snaps[index].data() }))
+      .filter(({ session }) => isGuestSessionOn(session, ownerId, deviceId));
+    guestSessions.forEach(({ guestId, session }) => endGuestSession(transaction, appId, guestId, session, reason));
+    if (revoked) removeGuestGrants(transaction, appId, ownerId, deviceId, guestIds);
+    return guestSessions.map(({ guestId }) => guestId);
+  });
+
+  for (const guestId of endedGuestIds) {
+    await clearSignalingCandidates(sessionRef(appId, guestId));
+    await recordGuestKicked(appId, ownerId, guestId, device, reason);
+  }
+  if (revoked) {
+    for (const guestId of guestIds) {
+      await writeSharingEvent(appId, ownerId, guestId, 'SHARE_REVOKED',
+        `Guest access for ${after.guests[guestId].label} to '${device.name}' ended: the TV was revoked.`, {
+          deviceId,
+          uniqueId: device.uniqueId ?? null,
+          reason,
+        });
+    }
+  }
+});
+
+
+// --- Session Handoff ---
+// A start blocked by a live session can instead ask that session's sender (or its TV) to hand over.
+// The request lives in artifacts/{appId}/public/data/session_handoffs/{requesterId}, one per requester.
+
+const HANDOFF_TTL_MS = 30000;
+const HANDOFF_RULES = ['SESSION_ALREADY_ACTIVE', 'DEVICE_CONCURRENCY_LIMIT'];
+const handoffRef = (appId, requesterId) => db.doc(`artifacts/${appId}/public/data/session_handoffs/${requesterId}`);
+
+// Handoff events go to the requester and, when it is someone else, the current session's owner
+const writeHandoffEvent = (appId, handoff, type, message, reason) =>
+  Promise.all([...new Set([handoff.requesterId, handoff.targetSessionId])].map(uid => writeAuditEvent(appId, uid, type, message, {
+    deviceId: handoff.deviceId,
+    uniqueId: handoff.uniqueId,
+    reason,
+  })));
+
+
+// Creates a pending handoff for a start that was denied because the user or the TV is busy.
+// data: { appId, deviceId, ownerId?, region, senderInstanceId, browserLabel, streamProfile? }  ->  { handoffId, expiresAt }
+export const requestHandoff = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const deviceId = requireString(request.data?.deviceId, 'deviceId');
+  const ownerId = request.data?.ownerId ? requireString(request.data.ownerId, 'ownerId') : uid;
+  const senderInstanceId = requireString(request.data?.senderInstanceId, 'senderInstanceId');
+  const region = readRegion(request.data?.region);
+  const browserLabel = String(request.data?.browserLabel ?? '').slice(0, 80);
+  const streamOverrides = sanitizeStreamProfile(request.data?.streamProfile);
+  const requesterLabel = browserLabel ? `${describeCaller(request.auth)} (${browserLabel})` : describeCaller(request.auth);
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const context = await readStartContext(transaction, { appId, uid, ownerId, deviceId });
+    const result = evaluateStart(context, { deviceId, region });
+    if (result.allowed || !HANDOFF_RULES.includes(result.rule)) {
+      return { failure: result.allowed ? 'The TV is free; start mirroring directly.' : result.reason };
+    }
+
+    // Either the caller's own session elsewhere, or the session currently holding this TV
+    const holder = context.otherLiveSessions.find(sessionDoc => !context.guestSessions.includes(sessionDoc));
+    const target = result.rule === 'SESSION_ALREADY_ACTIVE'
+      ? { id: uid, ...context.existing }
+      : { id: holder.id, ...holder.data() };
+
+    const handoff = {
+      requesterId: uid,
+      requesterLabel,
+      requesterInstanceId: senderInstanceId,
+      requesterRegion: region,
+      requesterStreamProfile: streamOverrides, // Session overrides, applied if the handoff is approved
+      deviceId,
+      deviceOwnerId: ownerId,
+      deviceName: context.registeredDevice.name,
+      uniqueId: context.registeredDevice.uniqueId,
+      targetSessionId: target.id,
+      targetDeviceName: target.mirroringDeviceName ?? null,
+      targetReceiverUserId: target.receiverUserId ?? null,
+      rule: result.rule,
+      status: 'Pending',
+      createdAt: FieldValue.serverTimestamp(),
+      expiresAt: Timestamp.fromMillis(context.now + HANDOFF_TTL_MS),
+    };
+    transaction.set(handoffRef(appId, uid), handoff);
+    return { handoff };
+  });
+
+  if (outcome.failure) throw new HttpsError('failed-precondition', outcome.failure);
+
+  const { handoff } = outcome;
+  await writeHandoffEvent(appId, handoff, 'HANDOFF_REQUESTED',
+    `${requesterLabel} asked to take over the session on '${handoff.targetDeviceName}' to mirror to '${handoff.deviceName}'.`, handoff.rule);
+  return { handoffId: uid, expiresAt: handoff.expiresAt.toMillis() };
+});
+
+
+// Approves, declines or times out a pending handoff. Approval re-checks the requester's start
+// against the policy and moves the session to them in the same transaction.
+// data: { appId, handoffId, decision: 'approve' | 'decline' | 'timeout' }  ->  { status }
+export const settleHandoff = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const handoffId = requireString(request.data?.handoffId, 'handoffId');
+  const decision = requireString(request.data?.decision, 'decision', /^(approve|decline|timeout)$/);
+
+  const ref = handoffRef(appId, handoffId);
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const handoff = (await transaction.get(ref)).data();
+    if (!handoff || handoff.status !== 'Pending') return { status: handoff?.status ?? 'Missing' };
+
+    const isApprover = uid === handoff.targetSessionId || uid === handoff.targetReceiverUserId;
+    if (!isApprover && !(decision === 'timeout' && uid === handoff.requesterId)) {
+      throw new HttpsError('permission-denied', 'Only the current sender or its TV can answer this handoff.');
+    }
+    const decidedBy = uid === handoff.targetReceiverUserId ? 'the TV' : 'the current sender';
+
+    const expired = handoff.expiresAt.toMillis() <= Date.now();
+    if (decision === 'timeout' && !expired) return { status: 'Pending' };
+    if (decision === 'timeout' || expired) {
+      transaction.update(ref, { status: 'Expired', decidedAt: FieldValue.serverTimestamp() });
+      return { status: 'Expired', handoff };
+    }
+    if (decision === 'decline') {
+      transaction.update(ref, { status: 'Declined', decidedBy: uid, decidedAt: FieldValue.serverTimestamp() });
+      return { status: 'Declined', handoff, decidedBy };
+    }
+
+    const context = await readStartContext(transaction, {
+      appId,
+      uid: handoff.requesterId,
+      ownerId: handoff.deviceOwnerId,
+      deviceId: handoff.deviceId,
+      handoverSessionId: handoff.targetSessionId,
+    });
+    const targetSessionRef = sessionRef(appId, handoff.targetSessionId);
+    const handsOverOtherUser = handoff.targetSessionId !== handoff.requesterId;
+    const targetSession = handsOverOtherUser ? (await transaction.get(targetSessionRef)).data() : null;
+    const result = evaluateStart(context, { deviceId: handoff.deviceId, region: handoff.requesterRegion });
+    if (!result.allowed) {
+      transaction.update(ref, { status: 'Failed', reason: result.reason, decidedBy: uid, decidedAt: FieldValue.serverTimestamp() });
+      return { status: 'Failed', handoff, result };
+    }
+
+    if (handsOverOtherUser) {
+      archiveEndingSession(transaction, appId, handoff.targetSessionId, targetSession, 'HANDED_OFF');
+      transaction.delete(targetSessionRef);
+    }
+    const streamProfile = applySessionOverrides(context.registeredDevice.streamProfile, handoff.requesterStreamProfile);
+    const kickedSessions = writeStartedSession(transaction, context, {
+      appId,
+      uid: handoff.requesterId,
+      ownerId: handoff.deviceOwnerId,
+      senderInstanceId: handoff.requesterInstanceId,
+      senderLabel: handoff.requesterLabel,
+      region: handoff.requesterRegion,
+      result,
+      streamProfile,
+    });
+    transaction.update(ref, {
+      status: 'Approved', reason: result.reason, streamProfile, decidedBy: uid, decidedAt: FieldValue.serverTimestamp(),
+    });
+    return { status: 'Approved', handoff, result, decidedBy, device: context.registeredDevice, targetSessionRef, kickedSessions };
+  });
+
+  const { status, handoff } = outcome;
+  if (!handoff) return { status };
+
+  const subject = `Handoff request from ${handoff.requesterLabel} for '${handoff.deviceName}'`;
+  if (status === 'Expired') {
+    await writeHandoffEvent(appId, handoff, 'HANDOFF_EXPIRED', `${subject} timed out without an answer.`, 'HANDOFF_TIMEOUT');
+  } else if (status === 'Declined') {
+    await writeHandoffEvent(appId, handoff, 'HANDOFF_DECLINED', `${subject} was declined by ${outcome.decidedBy}.`, 'HANDOFF_DECLINED');
+  } else if (status === 'Failed') {
+    await writeAuditEvent(appId, handoff.requesterId, 'DENIED', outcome.result.reason, {
+      deviceId: handoff.deviceId,
+      uniqueId: handoff.uniqueId,
+      reason: outcome.result.rule,
+    });
+  } else {
+    const requesterSessionRef = sessionRef(appId, handoff.requesterId);
+    await clearSignalingCandidates(outcome.targetSessionRef);
+    if (handoff.targetSessionId !== handoff.requesterId) await clearSignalingCandidates(requesterSessionRef);
+    for (const { ref: guestSessionRef, guestId } of outcome.kickedSessions) {
+      await clearSignalingCandidates(guestSessionRef);
+      await recordGuestKicked(appId, handoff.requesterId, guestId, outcome.device, 'OWNER_TOOK_OVER');
+    }
+    await writeHandoffEvent(appId, handoff, 'HANDOFF_APPROVED', `${subject} was approved by ${outcome.decidedBy}; the session moved to the requester.`, 'HANDED_OFF');
+    await writeAuditEvent(appId, handoff.requesterId, 'AUTHORIZED', `Policy allowed mirroring to '${handoff.deviceName}': ${outcome.result.reason}`, {
+      deviceId: handoff.deviceId,
+      uniqueId: handoff.uniqueId,
+      reason: outcome.result.rule,
+    });
+  }
+  return { status };
+});
+
+
+// Failed and expired sessions stay in place until they are replaced, so they are archived here,
+// once, on the transition out of a live status.
+export const archiveFinishedSession = onDocumentUpdated('artifacts/{appId}/public/data/mirroring_sessions/{sessionId}', async (event) => {
+  const before = event.data?.before.data();
+  const after = event.data?.after.data();
+  const endReason = FINISHED_STATUS_REASONS[after?.status];
+  if (!endReason || !LIVE_SESSION_STATUSES.includes(before?.status)) return;
+
+  const batch = db.batch();
+  writeSessionRecords(batch, event.params.appId, event.params.sessionId, after, endReason);
+  await batch.commit();
+});
+
+
+// Lets a TV's owner lift a lockout early. The attempt count restarts from zero. A user cannot lift
+// a lockout of their own account: those are where probing someone else's TVs gets counted.
+// data: { appId, lockoutId }
+export const clearLockout = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const id = requireString(request.data?.lockoutId, 'lockoutId', /^(device|user)_[\w-]{1,128}$/);
+
+  const ref = db.doc(`${userPath(appId, uid)}/lockouts/${id}`);
+  const lockout = (await ref.get()).data();
+  if (!lockout) throw new HttpsError('not-found', 'No lockout to clear.');
+  if (lockout.scope === 'user' && lockout.subjectId === uid) {
+    throw new HttpsError('permission-denied', 'You cannot clear a lockout of your own account.');
+  }
+
+  await ref.delete();
+  await writeAuditEvent(appId, uid, 'LOCKOUT_CLEARED', `Lockout of ${lockout.scope === 'device' ? `TV '${lockout.label}'` : `user ${lockout.label}`} cleared by the owner.`, {
+    deviceId: lockout.scope === 'device' ? lockout.subjectId : null,
+    reason: 'OWNER_CLEARED',
+  });
+  return { cleared: true };
+});
+
+
+// --- Outbound Webhook ---
+// Delivered from here rather than from a manager tab, so events are sent with no tab open and
+// the URL (which often carries a token) never reaches the browser. The URL is kept in
+// webhook/target, which clients cannot read; settings/webhook holds what the manager shows.
+
+const webhookTargetRef = (appId, uid) => db.doc(`${userPath(appId, uid)}/webhook/target`);
+const webhookSummaryRef = (appId, uid) => db.doc(`${userPath(appId, uid)}/settings/webhook`);
+// Only the emulator suite may deliver to http:// and local listeners
+const ALLOW_LOCAL_WEBHOOKS = process.env.FUNCTIONS_EMULATOR === 'true';
+const WEBHOOK_URL_RULE = ALLOW_LOCAL_WEBHOOKS
+  ? 'Webhook URL must start with http:// or https://.'
+  : 'Webhook URL must be an https:// URL on a public host.';
+
+// Sends `event` to `url` after checking it again: the URL was valid when saved, but its host name
+// may resolve to a private address (or have been changed to) since
+const sendToWebhook = async (url, event) => {
+  if (!isValidWebhookUrl(url, { allowLocal: ALLOW_LOCAL_WEBHOOKS })) throw new Error(WEBHOOK_URL_RULE);
+  if (!ALLOW_LOCAL_WEBHOOKS) {
+    const addresses = await lookup(new URL(url).hostname, { all: true });
+    if (addresses.some(({ address }) => isPrivateHost(address))) throw new Error('Webhook host resolves to a private address.');
+  }
+  return createWebhookSender({ url, retry: withExponentialBackoff }).send(event);
+};
+
+// Saves the webhook URL and whether it is enabled. A null url keeps the saved one.
+// data: { appId, url, enabled }
+export const saveWebhook = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const url = request.data?.url ? String(request.data.url).trim() : null;
+  if (url && !isValidWebhookUrl(url, { allowLocal: ALLOW_LOCAL_WEBHOOKS })) throw new HttpsError('invalid-argument', WEBHOOK_URL_RULE);
+
+  const current = (await webhookTargetRef(appId, uid).get()).data();
+  const nextUrl = url ?? current?.url ?? null;
+  if (!nextUrl) throw new HttpsError('failed-precondition', 'Enter a webhook URL first.');
+  const enabled = request.data?.enabled === true;
+
+  const batch = db.batch();
+  batch.set(webhookTargetRef(appId, uid), { url: nextUrl, enabled, updatedAt: FieldValue.serverTimestamp() });
+  batch.set(webhookSummaryRef(appId, uid), {
+    target: describeWebhookTarget(nextUrl),
+    enabled,
+    updatedAt: FieldValue.serverTimestamp(),
+  }, { merge: true });
+  await batch.commit();
+
+  await writeAuditEvent(appId, uid, 'WEBHOOK_UPDATED', enabled
+    ? `Webhook enabled: ${WEBHOOK_EVENT_TYPES.join('/')} events are POSTed to ${describeWebhookTarget(nextUrl)}.`
+    : 'Webhook disabled.');
+  return { target: describeWebhookTarget(nextUrl), enabled };
+});
+
+// POSTs a WEBHOOK_TEST event to the saved URL, enabled or not.
+// data: { appId }  ->  { httpStatus }
+export const sendTestWebhook = onCall(async (request) => {
+  const uid = requireUid(request);
+  const appId = requireString(request.data?.appId, 'appId');
+  const target = (await webhookTargetRef(appId, uid).get()).data();
+  if (!target?.url) throw new HttpsError('failed-precondition', 'No webhook URL is saved.');
+
+  try {
+    const httpStatus = await sendToWebhook(target.url, {
+      id: `test-${Date.now()}`,
+      type: 'WEBHOOK_TEST',
+      message: 'Test event from the screen mirroring manager.',
+      timestamp: Timestamp.now(),
+      userId: uid,
+      source: 'server',
+    });
+    return { httpStatus };
+  } catch (e) {
+    throw new HttpsError('unavailable', e.message);
+  }
+});
+
+// Forwards each new DENIED/CONNECTED event. Creating webhook_deliveries/{eventId} first makes a
+// retried trigger invocation skip events that were already handed to the webhook.
+export const deliverAuditWebhook = onDocumentCreated('artifacts/{appId}/users/{uid}/audit_log/{eventId}', async (event) => {
+  const { appId, uid, eventId } = event.params;
+  const auditEvent = event.data?.data();
+  if (!WEBHOOK_EVENT_TYPES.includes(auditEvent?.type)) return;
+
+  const target = (await webhookTargetRef(appId, uid).get()).data();
+  if (!target?.enabled || !target.url) return;
+
+  const deliveryRef = db.doc(`${userPath(appId, uid)}/webhook_deliveries/${eventId}`);
+  try {
+    await deliveryRef.create({ status: 'Sending', type: auditEvent.type, target: describeWebhookTarget(target.url), createdAt: FieldValue.serverTimestamp() });
+  } catch (e) {
+    if (e.code === 6) return; // ALREADY_EXISTS: an earlier invocation took it
+    throw e;
+  }
+
+  let outcome;
+  try {
+    outcome = { status: 'Delivered', httpStatus: await sendToWebhook(target.url, { id: eventId, ...auditEvent }) };
+  } catch (e) {
+    outcome = { status: 'Failed', error: e.message };
+  }
+  await deliveryRef.update({ ...outcome, settledAt: FieldValue.serverTimestamp() });
+  await webhookSummaryRef(appId, uid).set({
+    lastDelivery: { eventId, type: auditEvent.type, ...outcome, settledAt: Timestamp.now() },
+  }, { merge: true });
+
+  if (outcome.status === 'Failed') {
+    await writeAuditEvent(appId, uid, 'ERROR', `Webhook delivery of ${auditEvent.type} event failed after retries.`, {
+      deviceId: auditEvent.deviceId ?? null,
+      uniqueId: auditEvent.uniqueId ?? null,
+      reason: outcome.error,
+    });
+  }
+});
@@ -0,0 +1,445 @@
+// --- Mirroring Service ---
+// Storage-agnostic layer between the manager and its data. The service talks to a backend made of
+// four repositories: firestoreBackend.js implements them with Firestore and the Cloud Functions, and
+// createInMemoryBackend below keeps everything in memory. The start decision is derived here from
+// plain inputs, so the startMirroring function and the in-memory backend apply the same rules.
+//
+// backend: {
+//   auth:     { subscribe(onChange) -> unsubscribe, signIn(token?) },   // onChange(user | null)
+//   devices:  { subscribe(userId, onChange, onError) -> unsubscribe,
+//               register(userId, { code, name }) -> { deviceId }, update(userId, deviceId, changes) },
+//   sessions: { subscribe(userId, onChange, onError) -> unsubscribe,
+//               start(userId, { deviceId, ownerId, region, senderInstanceId, streamProfile }) -> decision,
+//               stop(userId, reason) -> { stopped } },
+//   logs:     { subscribe(userId, query, onChange, onError) -> unsubscribe, append(userId, event) },
+// }
+// Log queries are { type, deviceId, fromMs, toMs, limit }, newest first; onChange(events, { hasMore }).
+// SERVER_TIME in `changes` or `event` stands for the backend's write time.
+import { evaluateMirroringPolicy, normalizePolicy, getMaxEndsAtMs } from './policyEngine.js';
+import { LIVE_SESSION_STATUSES, isSessionStale } from './sessionLease.js';
+import {
+  LOCKOUT_EXEMPT_RULES, lockoutId, getLockoutLimits, getLockedUntilMs, registerDeniedAttempt,
+} from './connectionGuard.js';
+import { normalizeStreamProfile, applySessionOverrides, describeStreamProfile } from './streamProfile.js';
+
+export const SERVER_TIME = Symbol('serverTime');
+
+// TV names longer than this are refused here and by the rules, and cut short by the Cloud Functions
+export const MAX_DEVICE_NAME_LENGTH = 64;
+
+// --- Start Decision ---
+
+// The device doc under the owner's path, if the caller owns it or holds a guest grant on it
+export const getAccessibleDevice = ({ uid, ownerId, deviceDoc }) =>
+  (deviceDoc && (ownerId === uid || deviceDoc.guests?.[uid]) ? deviceDoc : null);
+
+// Whose lockouts collection counts the caller's denied attempts. Attempts on a TV the caller may use
+// count with its owner; anything else counts under the caller's own account, so nobody can lock a
+// TV, or fill its owner's log, just by knowing its owner and device IDs.
+export const getLockoutOwnerId = ({ uid, ownerId, accessibleDevice }) => (accessibleDevice ? ownerId : uid);
+
+// Everything a start decision depends on, from what storage returned:
+//   deviceDoc:      { id, ...data } of the device under the owner's path, or null
+//   existing:       the caller's session data, if any
+//   deviceSessions: [{ id, data() }] sessions on this owner's device (Firestore snapshot shape). They are
+//                   matched on deviceOwnerId and mirroringDeviceId, which only the server writes; the
+//                   uniqueId is chosen by the TV and another household may pair a TV that reuses it
+//   deviceCounter / userCounter: connectionGuard counters kept by the lockout owner (getLockoutOwnerId),
+//                   or null; the device counter is only read for callers with access
+// `handoverSessionId` names a live session being handed over to the caller, so it does not count against them.
+export const deriveStartContext = ({
+  uid, ownerId, deviceId, handoverSessionId = null, now, policy, deviceDoc, existing,
+  deviceSessions = [], deviceCounter = null, userCounter = null,
+}) => {
+  const role = ownerId === uid ? 'owner' : 'guest';
+  const registeredDevice = getAccessibleDevice({ uid, ownerId, deviceDoc });
+
+  // An abandoned session whose lease lapsed is expired instead of blocking the user
+  const existingIsLive = LIVE_SESSION_STATUSES.includes(existing?.status);
+  const staleSession = existingIsLive && isSessionStale(existing, now) ? existing : null;
+
+  // Other users' live sessions on the same TV count towards the per-device concurrency limit,
+  // except guest sessions on the owner's own TV, which the owner takes over
+  const otherLiveSessions = registeredDevice
+    ? deviceSessions.filter(sessionDoc => sessionDoc.id !== uid
+      && sessionDoc.data().deviceOwnerId === ownerId
+      && sessionDoc.data().mirroringDeviceId === deviceId
+      && sessionDoc.id !== handoverSessionId
+      && LIVE_SESSION_STATUSES.includes(sessionDoc.data().status)
+      && !isSessionStale(sessionDoc.data(), now))
+    : [];
+  const guestSessions = role === 'owner' ? otherLiveSessions.filter(sessionDoc => sessionDoc.data().deviceOwnerId === uid) : [];
+
+  const lockoutOwnerId = getLockoutOwnerId({ uid, ownerId, accessibleDevice: registeredDevice });
+  const deviceLockedUntilMs = registeredDevice ? getLockedUntilMs(deviceCounter, now) : null;
+  const userLockedUntilMs = getLockedUntilMs(userCounter, now);
+
+  return {
+    role,
+    now,
+    policy,
+    registeredDevice,
+    userHasLiveSession: existingIsLive && !staleSession && handoverSessionId !== uid,
+    existing,
+    staleSession,
+    otherLiveSessions,
+    ownerHasLiveSessionOnDevice: otherLiveSessions.some(sessionDoc => sessionDoc.id === ownerId),
+    deviceLiveSessionCount: otherLiveSessions.length - guestSessions.length,
+    guestSessions,
+    deviceName: registeredDevice?.name ?? null,
+    lockoutOwnerId,
+    // Thresholds come from the lockout owner's policy; attempts counted under the caller's own
+    // account for someone else's TV use the defaults
+    lockoutPolicy: lockoutOwnerId === ownerId ? policy : null,
+    counters: [
+      ...(registeredDevice ? [{ scope: 'device', subjectId: deviceId, counter: deviceCounter }] : []),
+      { scope: 'user', subjectId: uid, counter: userCounter },
+    ],
+    lockout: deviceLockedUntilMs ? { scope: 'device', untilMs: deviceLockedUntilMs }
+      : userLockedUntilMs ? { scope: 'user', untilMs: userLockedUntilMs } : null,
+  };
+};
+
+export const evaluateStart = (context, { deviceId, region }) => evaluateMirroringPolicy(context.policy, {
+  device: { id: deviceId },
+  registeredDevice: context.registeredDevice,
+  role: context.role,
+  userHasLiveSession: context.userHasLiveSession,
+  ownerHasLiveSessionOnDevice: context.ownerHasLiveSessionOnDevice,
+  deviceLiveSessionCount: context.deviceLiveSessionCount,
+  region,
+  now: new Date(context.now),
+  lockout: context.lockout,
+});
+
+// --- Service ---
+
+// The operations the manager performs, on top of any backend. Device lifecycle changes are
+// recorded in the audit log here; registration and start/stop are recorded by the backend.
+export const createMirroringService = (backend) => {
+  const logEvent = (userId, type, message, { deviceId = null, uniqueId = null, reason = null } = {}) =>
+    backend.logs.append(userId, { type, message, deviceId, uniqueId, reason, userId, timestamp: SERVER_TIME });
+
+  return {
+    backend,
+    watchAuth: (onChange) => backend.auth.subscribe(onChange),
+    signIn: (token) => backend.auth.signIn(token),
+    watchDevices: (userId, onChange, onError) => backend.devices.subscribe(userId, onChange, onError),
+    watchActiveSession: (userId, onChange, onError) => backend.sessions.subscribe(userId, onChange, onError),
+    watchAuditLog: (userId, query, onChange, onError) => backend.logs.subscribe(userId, query, onChange, onError),
+    logEvent,
+
+    registerDevice: (userId, { code, name }) => {
+      const deviceName = String(name ?? '').trim();
+      if (!/^\d{6}$/.test(String(code))) throw new Error('A 6-digit pairing code is required.');
+      if (!deviceName) throw new Error('A TV name is required.');
+      if (deviceName.length > MAX_DEVICE_NAME_LENGTH) throw new Error(`TV names are at most ${MAX_DEVICE_NAME_LENGTH} characters.`);
+      return backend.devices.register(userId, { code: String(code), name: deviceName });
+    },
+
+    renameDevice: async (userId, device, name) => {
+      const newName = name.trim();
+      if (!newName || newName === device.name) return false;
+      if (newName.length > MAX_DEVICE_NAME_LENGTH) throw new Error(`TV names are at most ${MAX_DEVICE_NAME_LENGTH} characters.`);
+      await backend.devices.update(userId, device.id, { name: newName });
+      await logEvent(userId, 'DEVICE_UPDATED', `TV '${device.name}' renamed to '${newName}'.`, { deviceId: device.id, uniqueId: device.uniqueId });
+      return true;
+    },
+
+    setDeviceDisabled: async (userId, device, disabled) => {
+      await backend.devices.update(userId, device.id, { state: disabled ? 'Disabled' : 'Active', disabledAt: disabled ? SERVER_TIME : null });
+      await logEvent(userId, 'DEVICE_UPDATED', `TV '${device.name}' ${disabled ? 'temporarily disabled' : 're-enabled'}.`, { deviceId: device.id, uniqueId: device.uniqueId });
+    },
+
+    // Revoked devices stay behind as tombstones so later attempts by the same ID are DENIED explicitly
+    revokeDevice: async (userId, device, reason) => {
+      const revokedReason = reason.trim() || 'Revoked by owner';
+      await backend.devices.update(userId, device.id, { state: 'Revoked', revokedAt: SERVER_TIME, revokedReason });
+      await logEvent(userId, 'REVOKED', `TV '${device.name}' revoked: ${revokedReason}`, { deviceId: device.id, uniqueId: device.uniqueId, reason: revokedReason });
+    },
+
+    updateStreamProfile: async (userId, device, profile) => {
+      const streamProfile = normalizeStreamProfile(profile);
+      await backend.devices.update(userId, device.id, { streamProfile });
+      await logEvent(userId, 'DEVICE_UPDATED', `TV '${device.name}' stream profile set to ${describeStreamProfile(streamProfile)}.`, {
+        deviceId: device.id, uniqueId: device.uniqueId,
+      });
+    },
+
+    // ownerId is set only for TVs shared with the user; streamProfile holds this session's overrides
+    startMirroring: (userId, { device, region = null, senderInstanceId, streamProfile = {} }) =>
+      backend.sessions.start(userId, { deviceId: device.id, ownerId: device.ownerId, region, senderInstanceId, streamProfile }),
+
+    stopMirroring: (userId, reason = 'USER_STOPPED') => backend.sessions.stop(userId, reason),
+  };
+};
+
+// --- In-Memory Backend ---
+
+// Firestore-like timestamp, enough for the manager's formatting and the lease helpers
+const memoryTimestamp = (ms) => ({ toMillis: () => ms, toDate: () => new Date(ms) });
+
+const storageError = (code, message) => Object.assign(new Error(message), { code });
+
+// Keeps users, devices, sessions and logs in maps and applies the startMirroring rules, including
+// lockouts. `now` can be replaced to control time. Extra methods set up state the manager cannot:
+// signInAs(uid), addPairing(code, { uniqueId, tvUserId, claimedBy, expiresAtMs }), setPolicy(userId, policy),
+// addGuest(ownerId, deviceId, guestId, label) and setSessionStatus(userId, status).
+export const createInMemoryBackend = ({ now = () => Date.now() } = {}) => {
+  const users = new Map(); // uid -> { devices: Map, auditLog: [], policy, counters: Map }
+  const sessions = new Map(); // uid -> session
+  const pairings = new Map(); // code -> { uniqueId, tvUserId, claimedBy, expiresAtMs, status }
+  const listeners = new Set();
+  let currentUser = null;
+  let nextId = 1;
+
+  const userState = (uid) => {
+    if (!users.has(uid)) users.set(uid, { devices: new Map(), auditLog: [], policy: null, counters: new Map() });
+    return users.get(uid);
+  };
+  const resolve = (value) => (value === SERVER_TIME ? memoryTimestamp(now()) : value);
+  const resolveAll = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, resolve(value)]));
+  const notify = () => listeners.forEach(listener => listener());
+  const listen = (emit) => {
+    emit();
+    listeners.add(emit);
+    return () => listeners.delete(emit);
+  };
+
+  const appendEvent = (uid, event) => {
+    userState(uid).auditLog.push({ id: `event-${nextId++}`, userId: uid, deviceId: null, uniqueId: null, reason: null, ...resolveAll(event) });
+  };
+  const serverEvent = (uid, type, message, details = {}) =>
+    appendEvent(uid, { type, message, ...details, source: 'server', timestamp: SERVER_TIME });
+
+  const start = async (uid, { deviceId, ownerId = uid, region = null, senderInstanceId, streamProfile: streamOverrides = {} }) => {
+    const nowMs = now();
+    const owner = userState(ownerId);
+    const deviceDoc = owner.devices.get(deviceId) ?? null;
+    const accessible = getAccessibleDevice({ uid, ownerId, deviceDoc });
+    const deviceSessions = accessible
+      ? [...sessions.entries()]
+        .filter(([, session]) => session.deviceOwnerId === ownerId && session.mirroringDeviceId === deviceId)
+        .map(([id, session]) => ({ id, data: () => session }))
+      : [];
+
+    const lockoutOwner = userState(getLockoutOwnerId({ uid, ownerId, accessibleDevice: accessible }));
+
+    const context = deriveStartContext({
+      uid, ownerId, deviceId, now: nowMs, policy: owner.policy, deviceDoc, existing: sessions.get(uid), deviceSessions,
+      deviceCounter: accessible ? lockoutOwner.counters.get(lockoutId('device', deviceId)) ?? null : null,
+      userCounter: lockoutOwner.counters.get(lockoutId('user', uid)) ?? null,
+    });
+    const result = evaluateStart(context, { deviceId, region });
+    const details = { deviceId: context.registeredDevice?.id ?? deviceId, uniqueId: context.registeredDevice?.uniqueId ?? null, reason: result.rule };
+
+    if (context.staleSession) {
+      serverEvent(uid, 'EXPIRED', `Session on '${context.staleSession.mirroringDeviceName}' expired: sender heartbeat missing.`, {
+        deviceId: context.staleSession.mirroringDeviceId, uniqueId: context.staleSession.mirroringUniqueId ?? null, reason: 'LEASE_EXPIRED',
+      });
+      if (!result.allowed) sessions.set(uid, { ...context.staleSession, status: 'Expired', expiredAt: memoryTimestamp(nowMs) });
+    }
+
+    if (!result.allowed) {
+      serverEvent(uid, 'DENIED', result.reason, details);
+      if (!LOCKOUT_EXEMPT_RULES.includes(result.rule)) {
+        const limits = getLockoutLimits(context.lockoutPolicy);
+        context.counters.forEach(({ scope, subjectId, counter }) => {
+          const next = registerDeniedAttempt(counter, { nowMs, threshold: limits[scope], windowMs: limits.windowMs, lockoutMs: limits.lockoutMs });
+          const label = scope === 'device' ? context.deviceName : uid;
+          lockoutOwner.counters.set(lockoutId(scope, subjectId), {
+            scope, subjectId, label, attemptsMs: next.attemptsMs, lockedUntil: next.lockedUntilMs ? memoryTimestamp(next.lockedUntilMs) : null,
+            ...(next.lockedNow ? { lockedAfterRule: result.rule } : {}),
+          });
+          if (next.lockedNow) {
+            new Set([context.lockoutOwnerId, uid]).forEach(recipient => serverEvent(recipient, 'LOCKOUT', `${scope === 'device' ? `TV '${label}'` : `User ${label}`} locked out.`, {
+              ...details, reason: `${scope.toUpperCase()}_LOCKOUT`,
+            }));
+          }
+        });
+      }
+      notify();
+      return result;
+    }
+
+    const device = context.registeredDevice;
+    const streamProfile = applySessionOverrides(device.streamProfile, streamOverrides);
+    context.guestSessions.forEach(sessionDoc => {
+      sessions.delete(sessionDoc.id);
+      [ownerId, sessionDoc.id].forEach(recipient => serverEvent(recipient, 'KICKED', `Guest session on '${device.name}' was ended by the TV's owner.`, {
+        deviceId: device.id, uniqueId: device.uniqueId ?? null, reason: 'OWNER_TOOK_OVER',
+      }));
+    });
+    const maxEndsAtMs = getMaxEndsAtMs(owner.policy, nowMs);
+    sessions.set(uid, {
+      ownerId: uid,
+      deviceOwnerId: ownerId,
+      receiverUserId: device.receiverUserId ?? null,
+      mirroringDeviceId: device.id,
+      mirroringDeviceName: device.name,
+      mirroringUniqueId: device.uniqueId,
+      status: 'Negotiating',
+      startTime: memoryTimestamp(nowMs),
+      leaseRenewedAt: memoryTimestamp(nowMs),
+      maxEndsAt: maxEndsAtMs === null ? null : memoryTimestamp(maxEndsAtMs),
+      senderInstanceId,
+      mirroredBy: uid,
+      geoCheckStatus: result.reason,
+      policyRule: result.rule,
+      requesterRegion: region,
+      streamProfile,
+      negotiatedProfile: null,
+      offer: null,
+      answer: null,
+    });
+    owner.devices.set(device.id, { ...deviceDoc, lastConnected: memoryTimestamp(nowMs) });
+    serverEvent(uid, 'AUTHORIZED', `Policy allowed mirroring to '${device.name}': ${result.reason}`, details);
+    notify();
+    return { ...result, streamProfile };
+  };
+
+  // What the endGuestAccessOnDeviceChange trigger does: disabling or revoking a TV ends its guests'
+  // sessions, and revoking it removes their grants
+  const endGuestAccess = (ownerId, before, after) => {
+    const inactive = (device) => ['Disabled', 'Revoked'].includes(device.state ?? 'Active');
+    const deactivated = !inactive(before) && inactive(after);
+    const revoked = before.state !== 'Revoked' && after.state === 'Revoked';
+    if (!deactivated && !revoked) return after;
+
+    const reason = revoked ? 'DEVICE_REVOKED' : 'DEVICE_DISABLED';
+    const details = { deviceId: after.id, uniqueId: after.uniqueId ?? null, reason };
+    Object.keys(after.guests ?? {}).forEach(guestId => {
+      const session = sessions.get(guestId);
+      if (session?.deviceOwnerId === ownerId && session.mirroringDeviceId === after.id) {
+        sessions.delete(guestId);
+        [ownerId, guestId].forEach(recipient => serverEvent(recipient, 'KICKED', `Guest session on '${after.name}' was ended by the TV's owner.`, details));
+      }
+      if (revoked) {
+        [ownerId, guestId].forEach(recipient => serverEvent(recipient, 'SHARE_REVOKED',
+          `Guest access for ${after.guests[guestId].label} to '${after.name}' ended: the TV was revoked.`, details));
+      }
+    });
+    return revoked ? { ...after, guests: {} } : after;
+  };
+
+  const register = async (uid, { code, name }) => {
+    const pairing = pairings.get(code);
+    if (!pairing || pairing.status !== 'Confirmed' || pairing.claimedBy !== uid) {
+      const message = `Pairing code ${code} has not been confirmed for this account.`;
+      serverEvent(uid, 'PAIRING_FAILED', message, { uniqueId: pairing?.uniqueId ?? null, reason: 'PAIRING_NOT_CONFIRMED' });
+      notify();
+      throw storageError('failed-precondition', message);
+    }
+    if (pairing.expiresAtMs <= now()) {
+      const message = `Pairing code ${code} expired before registration completed.`;
+      serverEvent(uid, 'PAIRING_FAILED', message, { uniqueId: pairing.uniqueId, reason: 'CODE_EXPIRED' });
+      notify();
+      throw storageError('failed-precondition', message);
+    }
+
+    const { devices } = userState(uid);
+    const known = [...devices.values()].find(device => device.uniqueId === pairing.uniqueId);
+    if (known?.state === 'Revoked') {
+      const message = `Revoked device '${known.name}' (ID: ${pairing.uniqueId}) attempted to pair again.`;
+      serverEvent(uid, 'DENIED', message, { deviceId: known.id, uniqueId: pairing.uniqueId, reason: 'DEVICE_REVOKED' });
+      notify();
+      throw storageError('permission-denied', message);
+    }
+    if (known) {
+      const message = `This TV (${pairing.uniqueId}) is already registered.`;
+      serverEvent(uid, 'PAIRING_FAILED', message, { uniqueId: pairing.uniqueId, reason: 'ALREADY_REGISTERED' });
+      notify();
+      throw storageError('failed-precondition', message);
+    }
+
+    const deviceId = `device-${nextId++}`;
+    devices.set(deviceId, {
+      id: deviceId,
+      name,
+      registeredAt: memoryTimestamp(now()),
+      uniqueId: pairing.uniqueId,
+      receiverUserId: pairing.tvUserId,
+      state: 'Active',
+      lastConnected: null,
+    });
+    pairings.set(code, { ...pairing, status: 'Completed', deviceId });
+    serverEvent(uid, 'REGISTER', `New TV registered (One-time setup complete): ${name} (${uid})`, { deviceId, uniqueId: pairing.uniqueId });
+    notify();
+    return { deviceId };
+  };
+
+  return {
+    auth: {
+      subscribe: (onChange) => listen(() => onChange(currentUser)),
+      signIn: async () => {
+        currentUser ||= { uid: `user-${nextId++}`, isAnonymous: true, email: null, displayName: null, providerData: [] };
+        notify();
+        return currentUser;
+      },
+    },
+
+    devices: {
+      subscribe: (userId, onChange) => listen(() => onChange([...userState(userId).devices.values()])),
+      register,
+      update: async (userId, deviceId, changes) => {
+        const { devices } = userState(userId);
+        const device = devices.get(deviceId);
+        if (!device) throw storageError('not-found', `Unknown TV ${deviceId}.`);
+        // Same restriction as firestore.rules: a revoked device is a tombstone
+        if (device.state === 'Revoked') throw storageError('permission-denied', 'Revoked devices cannot change.');
+        devices.set(deviceId, endGuestAccess(userId, device, { ...device, ...resolveAll(changes) }));
+        notify();
+      },
+    },
+
+    sessions: {
+      subscribe: (userId, onChange) => listen(() => onChange(sessions.get(userId) ?? null)),
+      start,
+      stop: async (userId, reason = 'USER_STOPPED') => {
+        const session = sessions.get(userId);
+        if (!session) return { stopped: false };
+        sessions.delete(userId);
+        serverEvent(userId, 'DISCONNECTED', 'Session terminated successfully.', {
+          deviceId: session.mirroringDeviceId ?? null, uniqueId: session.mirroringUniqueId ?? null, reason,
+        });
+        notify();
+        return { stopped: true };
+      },
+    },
+
+    logs: {
+      subscribe: (userId, { type = '', deviceId = '', fromMs = null, toMs = null, limit = Infinity } = {}, onChange) => listen(() => {
+        const matching = userState(userId).auditLog
+          .filter(event => (!type || event.type === type) && (!deviceId || event.deviceId === deviceId))
+          .filter(event => (fromMs === null || event.timestamp.toMillis() >= fromMs) && (toMs === null || event.timestamp.toMillis() <= toMs))
+          .sort((a, b) => b.timestamp.toMillis() - a.timestamp.toMillis());
+        onChange(matching.slice(0, limit), { hasMore: matching.length > limit });
+      }),
+      append: async (userId, event) => {
+        appendEvent(userId, event);
+        notify();
+      },
+    },
+
+    signInAs: (uid) => {
+      currentUser = { uid, isAnonymous: true, email: null, displayName: null, providerData: [] };
+      notify();
+    },
+    addPairing: (code, { uniqueId, tvUserId, claimedBy, expiresAtMs = now() + 5 * 60 * 1000 }) => {
+      pairings.set(code, { uniqueId, tvUserId, claimedBy, expiresAtMs, status: 'Confirmed' });
+    },
+    setPolicy: (userId, policy) => {
+      userState(userId).policy = normalizePolicy(policy);
+    },
+    addGuest: (ownerId, deviceId, guestId, label = guestId) => {
+      const { devices } = userState(ownerId);
+      const device = devices.get(deviceId);
+      devices.set(deviceId, { ...device, guests: { ...device.guests, [guestId]: { label, role: 'guest', grantedAt: memoryTimestamp(now()) } } });
+      notify();
+    },
+    setSessionStatus: (userId, status) => {
+      sessions.set(userId, { ...sessions.get(userId), status });
+      notify();
+    },
+  };
+};
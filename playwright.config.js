@@ -0,0 +1,26 @@
+import { defineConfig } from '@playwright/test';
+
+// Two headless Chromium tabs (sender and TV receiver) mirror to each other through the emulators;
+// run with `npm run test:e2e`. The fake-media flags stand in for the screen picker and the capture.
+export default defineConfig({
+  testDir: 'tests/e2e',
+  timeout: 60000,
+  workers: 1,
+  use: {
+    baseURL: 'http://127.0.0.1:5173',
+    browserName: 'chromium',
+    headless: true,
+    launchOptions: {
+      args: [
+        '--use-fake-ui-for-media-stream',
+        '--use-fake-device-for-media-stream',
+        '--auto-select-desktop-capture-source=Entire screen',
+      ],
+    },
+  },
+  webServer: {
+    command: 'vite tests/e2e --host 127.0.0.1 --port 5173 --strictPort',
+    url: 'http://127.0.0.1:5173',
+    reuseExistingServer: !process.env.CI,
+  },
+});
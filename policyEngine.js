@@ -0,0 +1,149 @@
+// --- Mirroring Policy Engine ---
+// Pure evaluation of a user's mirroring policy. Nothing here touches Firebase or the
+// browser, so every decision can be reproduced with plain objects.
+
+export const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6]; // Sunday = 0, matching Date#getDay
+
+export const DEFAULT_POLICY = {
+  timeWindows: [], // [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }]; empty = any time
+  maxSessionMinutes: null, // null = unlimited
+  allowedRegions: [], // ISO 3166-1 alpha-2 codes; empty = any region
+  maxConcurrentSessionsPerDevice: 1,
+  timeZone: null, // IANA zone the time windows are written in; null = evaluator's local time
+  maxDeniedAttemptsPerDevice: 5, // Denied attempts on one TV within the window before it locks; null = never
+  maxDeniedAttemptsPerUser: 10, // Denied attempts by one user within the window before they lock; null = never
+  attemptWindowMinutes: 10,
+  lockoutMinutes: 15,
+};
+
+// Fills in defaults for missing fields so older or partial policy docs evaluate predictably
+export const normalizePolicy = (policy) => ({
+  ...DEFAULT_POLICY,
+  ...(policy || {}),
+  timeWindows: Array.isArray(policy?.timeWindows) ? policy.timeWindows : DEFAULT_POLICY.timeWindows,
+  allowedRegions: Array.isArray(policy?.allowedRegions)
+    ? policy.allowedRegions.map(region => String(region).trim().toUpperCase()).filter(Boolean)
+    : DEFAULT_POLICY.allowedRegions,
+});
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = String(hhmm ?? '').split(':').map(Number);
+  if (!Number.isInteger(hours) || !Number.isInteger(minutes)) return null;
+  return hours * 60 + minutes;
+};
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Day of week and minutes past midnight of `date`, in `timeZone` when given
+const getLocalClock = (date, timeZone) => {
+  if (!timeZone) return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return { day: WEEKDAY_INDEX[parts.weekday], minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+// True if `date` falls inside the window (in `timeZone`, or local time). Windows whose end is
+// before their start run overnight, and the part after midnight belongs to the previous day's window.
+export const isWithinTimeWindow = (timeWindow, date, timeZone = null) => {
+  const start = toMinutes(timeWindow?.start);
+  const end = toMinutes(timeWindow?.end);
+  if (start === null || end === null) return false;
+
+  const days = timeWindow.days?.length ? timeWindow.days : ALL_DAYS;
+  const { day: today, minutes } = getLocalClock(date, timeZone);
+
+  if (start <= end) return days.includes(today) && minutes >= start && minutes < end;
+  if (minutes >= start) return days.includes(today);
+  if (minutes < end) return days.includes((today + 6) % 7);
+  return false;
+};
+
+const allow = (rule, reason) => ({ allowed: true, rule, reason });
+const deny = (rule, reason) => ({ allowed: false, rule, reason });
+
+// Decides whether a mirroring session may start. Rules run in a fixed order and the
+// first failing rule is returned, so the decision always names the rule that fired.
+//
+// context: {
+//   device,                      // the device the user asked to mirror to
+//   registeredDevice,            // matching device doc (including tombstones), or null
+//   role,                        // 'owner' or 'guest' (shared TV)
+//   userHasLiveSession,          // the user already has a live, non-stale session
+//   ownerHasLiveSessionOnDevice, // the TV's owner is mirroring to it right now
+//   deviceLiveSessionCount,      // other users' live sessions on this device (guests the owner will kick excluded)
+//   region,                      // requester's region code, or null if unknown
+//   now,                         // Date of the attempt
+//   lockout,                     // { scope: 'device' | 'user', untilMs } while a lockout is active, else null
+// }
+export const evaluateMirroringPolicy = (policy, context) => {
+  const rules = normalizePolicy(policy);
+  const {
+    device, registeredDevice, role = 'owner', userHasLiveSession = false, ownerHasLiveSessionOnDevice = false,
+    deviceLiveSessionCount = 0, region = null, now = new Date(), lockout = null,
+  } = context;
+
+  // Checked first: a locked-out TV or user gets no further information from the other rules
+  if (lockout) {
+    const minutesLeft = Math.max(1, Math.ceil((lockout.untilMs - now.getTime()) / 60000));
+    return deny('LOCKED_OUT', `${lockout.scope === 'device' ? 'This TV' : 'This user'} is locked out for another ${minutesLeft} min after repeated denied attempts.`);
+  }
+
+  if (!registeredDevice) {
+    return deny('UNAUTHORIZED_DEVICE', `Unauthorized device ID attempted connection: ${device?.id}`);
+  }
+
+  const state = registeredDevice.state || 'Active';
+  if (state === 'Revoked') {
+    return deny('DEVICE_REVOKED', `Revoked device '${registeredDevice.name}' (ID: ${registeredDevice.uniqueId}) attempted connection. Revoked: ${registeredDevice.revokedReason}`);
+  }
+  if (state === 'Disabled') {
+    return deny('DEVICE_DISABLED', `Disabled device '${registeredDevice.name}' (ID: ${registeredDevice.uniqueId}) attempted connection.`);
+  }
+
+  if (userHasLiveSession) {
+    return deny('SESSION_ALREADY_ACTIVE', 'Already an active session for this user/TV. Privacy violation averted.');
+  }
+
+  // Guests never take over a TV its owner is using; owners may kick guests instead
+  if (role === 'guest' && ownerHasLiveSessionOnDevice) {
+    return deny('OWNER_SESSION_ACTIVE', `TV '${registeredDevice.name}' is in use by its owner; guests cannot take over the owner's session.`);
+  }
+
+  if (rules.timeWindows.length > 0 && !rules.timeWindows.some(timeWindow => isWithinTimeWindow(timeWindow, now, rules.timeZone))) {
+    return deny('OUTSIDE_TIME_WINDOW', `Connection at ${now.toLocaleString('en-US', rules.timeZone ? { timeZone: rules.timeZone } : undefined)} is outside every allowed time window.`);
+  }
+
+  if (rules.allowedRegions.length > 0) {
+    if (!region) {
+      return deny('REGION_UNKNOWN', 'Requester region could not be determined and the policy restricts regions.');
+    }
+    if (!rules.allowedRegions.includes(region.toUpperCase())) {
+      return deny('REGION_NOT_ALLOWED', `Region ${region} is not in the allowed regions (${rules.allowedRegions.join(', ')}).`);
+    }
+  }
+
+  const concurrencyLimit = Number(rules.maxConcurrentSessionsPerDevice);
+  if (Number.isFinite(concurrencyLimit) && concurrencyLimit > 0 && deviceLiveSessionCount >= concurrencyLimit) {
+    return deny('DEVICE_CONCURRENCY_LIMIT', `TV '${registeredDevice.name}' already has ${deviceLiveSessionCount} live session(s); the limit is ${concurrencyLimit}.`);
+  }
+
+  return allow('ALL_RULES_PASSED', rules.allowedRegions.length > 0
+    ? `All policy rules passed (region ${region} allowed).`
+    : 'All policy rules passed (no region restriction).');
+};
+
+// When a session started at `startedAtMs` must end under the policy, or null if it has no maximum duration.
+// startMirroring stores it on the session doc as maxEndsAt, from the TV owner's policy.
+export const getMaxEndsAtMs = (policy, startedAtMs) => {
+  const maxMinutes = Number(normalizePolicy(policy).maxSessionMinutes);
+  if (!Number.isFinite(maxMinutes) || maxMinutes <= 0 || !Number.isFinite(startedAtMs)) return null;
+  return startedAtMs + maxMinutes * 60 * 1000;
+};
+
+// True once a session started at `startedAtMs` has outlived the policy's maximum duration
+export const hasExceededMaxDuration = (policy, startedAtMs, nowMs) => {
+  const maxEndsAtMs = getMaxEndsAtMs(policy, startedAtMs);
+  return maxEndsAtMs !== null && nowMs >= maxEndsAtMs;
+};
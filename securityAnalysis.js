@@ -0,0 +1,323 @@
+// --- Security Analysis ---
+// Analyzers turn the audit log and the current policy into a structured report. Every analyzer
+// has the same shape, { id, label, analyze(input) -> Promise<report> }, so the manager can switch
+// providers or fall back to the offline rules without caring which one produced the report.
+//
+// input:  { prompt, events, policy }
+// report: {
+//   provider, riskScore (0-100), riskLevel ('low' | 'medium' | 'high'), summary,
+//   findings: [{ id, severity, title, detail, eventIds }],
+//   recommendations: [{ id, title, rationale, policyPatch }], // policyPatch: partial mirroring policy
+// }
+import { ALL_DAYS, normalizePolicy } from './policyEngine.js';
+
+export const DEFAULT_GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com';
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash-preview-09-2025';
+
+const SEVERITY_WEIGHT = { high: 30, medium: 15, low: 5 };
+const SEVERITIES = Object.keys(SEVERITY_WEIGHT);
+const POLICY_FIELDS = ['timeWindows', 'maxSessionMinutes', 'allowedRegions', 'maxConcurrentSessionsPerDevice'];
+
+const toIsoString = (timestamp) => {
+  const date = timestamp?.toDate ? timestamp.toDate() : timestamp ? new Date(timestamp) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+// Plain, serializable view of an audit event; this is all an analyzer ever sees
+export const toAnalysisEvent = (event) => ({
+  id: event.id,
+  type: event.type,
+  reason: event.reason ?? null,
+  deviceId: event.deviceId ?? null,
+  uniqueId: event.uniqueId ?? null,
+  message: event.message ?? '',
+  timestamp: toIsoString(event.timestamp),
+});
+
+const riskLevelFor = (score) => (score >= 60 ? 'high' : score >= 25 ? 'medium' : 'low');
+
+// Coerces an analyzer's raw output into a valid report. Unknown event ids and policy fields are
+// dropped so a model cannot point at events that do not exist or patch settings that do not exist.
+export const normalizeReport = (raw, events, provider) => {
+  const knownEventIds = new Set(events.map(event => event.id));
+  const findings = (Array.isArray(raw?.findings) ? raw.findings : []).map((finding, index) => ({
+    id: String(finding?.id ?? `finding-${index + 1}`),
+    severity: SEVERITIES.includes(finding?.severity) ? finding.severity : 'low',
+    title: String(finding?.title ?? 'Untitled finding'),
+    detail: String(finding?.detail ?? ''),
+    eventIds: (Array.isArray(finding?.eventIds) ? finding.eventIds : []).map(String).filter(id => knownEventIds.has(id)),
+  }));
+  const recommendations = (Array.isArray(raw?.recommendations) ? raw.recommendations : []).map((recommendation, index) => ({
+    id: String(recommendation?.id ?? `recommendation-${index + 1}`),
+    title: String(recommendation?.title ?? 'Policy change'),
+    rationale: String(recommendation?.rationale ?? ''),
+    policyPatch: Object.fromEntries(Object.entries(recommendation?.policyPatch ?? {}).filter(([field]) => POLICY_FIELDS.includes(field))),
+  }));
+
+  const computedScore = Math.min(100, findings.reduce((total, finding) => total + SEVERITY_WEIGHT[finding.severity], 0));
+  const riskScore = Number.isFinite(Number(raw?.riskScore)) ? Math.max(0, Math.min(100, Math.round(Number(raw.riskScore)))) : computedScore;
+
+  return {
+    provider,
+    riskScore,
+    riskLevel: riskLevelFor(riskScore),
+    summary: String(raw?.summary ?? ''),
+    findings,
+    recommendations,
+  };
+};
+
+// --- Offline Rule-Based Analyzer ---
+
+const REPEATED_DENIAL_THRESHOLD = 3;
+const PAIRING_FAILURE_THRESHOLD = 3;
+const EXPIRED_SESSION_THRESHOLD = 3;
+const OFF_HOURS = { start: 0, end: 6 }; // Local hours considered unusual for mirroring
+const SUGGESTED_WINDOW = { days: ALL_DAYS, start: '07:00', end: '23:00' };
+const SUGGESTED_MAX_SESSION_MINUTES = 120;
+
+const groupBy = (items, keyOf) => items.reduce((groups, item) => {
+  const key = keyOf(item);
+  if (key) (groups[key] ||= []).push(item);
+  return groups;
+}, {});
+
+const ids = (events) => events.map(event => event.id);
+
+// Each rule returns { findings, recommendations } for its concern
+const RULES = [
+  function repeatedDenials(events) {
+    const denialsByDevice = groupBy(events.filter(event => event.type === 'DENIED'), event => event.uniqueId || event.deviceId);
+    const findings = Object.entries(denialsByDevice)
+      .filter(([, denials]) => denials.length >= REPEATED_DENIAL_THRESHOLD)
+      .map(([device, denials]) => ({
+        id: `repeated-denials-${device}`,
+        severity: denials.length >= REPEATED_DENIAL_THRESHOLD * 2 ? 'high' : 'medium',
+        title: `Repeated denials for TV ${device}`,
+        detail: `${denials.length} connection attempts were denied (${[...new Set(denials.map(event => event.reason))].join(', ')}).`,
+        eventIds: ids(denials),
+      }));
+    return { findings, recommendations: [] };
+  },
+
+  function revokedDeviceAttempts(events) {
+    const attempts = events.filter(event => event.type === 'DENIED' && event.reason === 'DEVICE_REVOKED');
+    if (attempts.length === 0) return { findings: [], recommendations: [] };
+    return {
+      findings: [{
+        id: 'revoked-device-attempts',
+        severity: 'high',
+        title: 'Revoked TV is still trying to connect',
+        detail: `${attempts.length} attempt(s) came from a device that was revoked. Check whether the TV or its link is still in someone's hands.`,
+        eventIds: ids(attempts),
+      }],
+      recommendations: [],
+    };
+  },
+
+  function pairingFailures(events) {
+    const failures = events.filter(event => event.type === 'PAIRING_FAILED');
+    if (failures.length < PAIRING_FAILURE_THRESHOLD) return { findings: [], recommendations: [] };
+    return {
+      findings: [{
+        id: 'pairing-failures',
+        severity: failures.some(event => event.reason === 'RATE_LIMITED') ? 'high' : 'medium',
+        title: 'Many failed pairing attempts',
+        detail: `${failures.length} pairing attempts failed. Repeated invalid or expired codes can mean someone is guessing PINs.`,
+        eventIds: ids(failures),
+      }],
+      recommendations: [],
+    };
+  },
+
+  function offHoursSessions(events, policy) {
+    const sessions = events.filter(event => ['AUTHORIZED', 'CONNECTED'].includes(event.type) && event.timestamp
+      && new Date(event.timestamp).getHours() >= OFF_HOURS.start && new Date(event.timestamp).getHours() < OFF_HOURS.end);
+    if (sessions.length === 0) return { findings: [], recommendations: [] };
+    return {
+      findings: [{
+        id: 'off-hours-sessions',
+        severity: 'medium',
+        title: 'Mirroring during the night',
+        detail: `${sessions.length} session(s) were authorized between ${OFF_HOURS.start}:00 and ${OFF_HOURS.end}:00.`,
+        eventIds: ids(sessions),
+      }],
+      recommendations: policy.timeWindows.length > 0 ? [] : [{
+        id: 'add-time-window',
+        title: `Only allow mirroring between ${SUGGESTED_WINDOW.start} and ${SUGGESTED_WINDOW.end}`,
+        rationale: 'No time window is configured, so sessions are allowed around the clock.',
+        policyPatch: { timeWindows: [SUGGESTED_WINDOW] },
+      }],
+    };
+  },
+
+  function abandonedSessions(events, policy) {
+    const expired = events.filter(event => event.type === 'EXPIRED');
+    if (expired.length < EXPIRED_SESSION_THRESHOLD) return { findings: [], recommendations: [] };
+    return {
+      findings: [{
+        id: 'abandoned-sessions',
+        severity: 'low',
+        title: 'Sessions are being abandoned',
+        detail: `${expired.length} session(s) expired because the sending browser stopped renewing its lease.`,
+        eventIds: ids(expired),
+      }],
+      recommendations: policy.maxSessionMinutes ? [] : [{
+        id: 'cap-session-duration',
+        title: `Cap sessions at ${SUGGESTED_MAX_SESSION_MINUTES} minutes`,
+        rationale: 'Forgotten sessions keep mirroring until someone notices; a maximum duration ends them automatically.',
+        policyPatch: { maxSessionMinutes: SUGGESTED_MAX_SESSION_MINUTES },
+      }],
+    };
+  },
+
+  function policyGaps(events, policy) {
+    const findings = [];
+    const recommendations = [];
+    if (policy.allowedRegions.length === 0) {
+      findings.push({
+        id: 'no-region-restriction',
+        severity: 'low',
+        title: 'No region restriction',
+        detail: 'Sessions can be started from any region.',
+        eventIds: [],
+      });
+    }
+    if (Number(policy.maxConcurrentSessionsPerDevice) !== 1) {
+      findings.push({
+        id: 'shared-screens',
+        severity: 'low',
+        title: 'More than one session per TV is allowed',
+        detail: `The policy allows ${policy.maxConcurrentSessionsPerDevice || 'unlimited'} concurrent sessions per TV.`,
+        eventIds: [],
+      });
+      recommendations.push({
+        id: 'single-session-per-tv',
+        title: 'Allow one session per TV',
+        rationale: 'A single session per TV keeps one sender in control of what is shown.',
+        policyPatch: { maxConcurrentSessionsPerDevice: 1 },
+      });
+    }
+    return { findings, recommendations };
+  },
+];
+
+export const createRuleBasedAnalyzer = () => ({
+  id: 'rules',
+  label: 'Offline rules',
+  analyze: async ({ events, policy }) => {
+    const rules = normalizePolicy(policy);
+    const results = RULES.map(rule => rule(events, rules));
+    const findings = results.flatMap(result => result.findings);
+    const recommendations = results.flatMap(result => result.recommendations);
+    const report = normalizeReport({ findings, recommendations }, events, 'rules');
+    return {
+      ...report,
+      summary: `Reviewed ${events.length} audit event(s) and the current policy: ${findings.length} finding(s), `
+        + `${recommendations.length} recommended policy change(s). Overall risk is ${report.riskLevel}.`,
+    };
+  },
+});
+
+// --- Gemini Analyzer ---
+
+const GEMINI_SYSTEM_PROMPT = `You are the 'Security Posture Analyst' for a global screen mirroring service. Analyze the provided audit events and mirroring policy in light of the user's question. Use the data provided as your sole source of information. Reference audit events only by their "id". Recommend policy changes only as partial policy objects using the fields ${POLICY_FIELDS.join(', ')}.`;
+
+const REPORT_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    riskScore: { type: 'INTEGER' },
+    summary: { type: 'STRING' },
+    findings: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          severity: { type: 'STRING', enum: SEVERITIES },
+          title: { type: 'STRING' },
+          detail: { type: 'STRING' },
+          eventIds: { type: 'ARRAY', items: { type: 'STRING' } },
+        },
+        required: ['severity', 'title', 'detail', 'eventIds'],
+      },
+    },
+    recommendations: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          title: { type: 'STRING' },
+          rationale: { type: 'STRING' },
+          policyPatch: {
+            type: 'OBJECT',
+            properties: {
+              timeWindows: {
+                type: 'ARRAY',
+                items: {
+                  type: 'OBJECT',
+                  properties: { days: { type: 'ARRAY', items: { type: 'INTEGER' } }, start: { type: 'STRING' }, end: { type: 'STRING' } },
+                },
+              },
+              maxSessionMinutes: { type: 'INTEGER' },
+              allowedRegions: { type: 'ARRAY', items: { type: 'STRING' } },
+              maxConcurrentSessionsPerDevice: { type: 'INTEGER' },
+            },
+          },
+        },
+        required: ['title', 'rationale'],
+      },
+    },
+  },
+  required: ['riskScore', 'summary', 'findings', 'recommendations'],
+};
+
+// baseUrl lets the analyzer talk to a local mock of the generateContent API.
+// retry wraps each request, e.g. with exponential backoff.
+export const createGeminiAnalyzer = ({
+  apiKey = '',
+  baseUrl = DEFAULT_GEMINI_BASE_URL,
+  model = DEFAULT_GEMINI_MODEL,
+  fetchImpl = (...args) => fetch(...args),
+  retry = (fn) => fn(),
+} = {}) => ({
+  id: 'gemini',
+  label: 'Gemini',
+  analyze: async ({ prompt, events, policy }) => {
+    const apiUrl = `${baseUrl.replace(/\/+$/, '')}/v1beta/models/${model}:generateContent?key=${encodeURIComponent(apiKey)}`;
+    const userQuery = `${prompt || 'Assess the overall security posture.'}\n\n`
+      + `--- MIRRORING POLICY (JSON) ---\n${JSON.stringify(normalizePolicy(policy))}\n\n`
+      + `--- AUDIT EVENTS (JSON Lines) ---\n${events.map(event => JSON.stringify(event)).join('\n') || 'No events.'}`;
+
+    const payload = {
+      contents: [{ parts: [{ text: userQuery }] }],
+      systemInstruction: { parts: [{ text: GEMINI_SYSTEM_PROMPT }] },
+      generationConfig: { responseMimeType: 'application/json', responseSchema: REPORT_SCHEMA },
+    };
+
+    const result = await retry(async () => {
+      const response = await fetchImpl(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      if (!response.ok) throw new Error(`API call failed with status: ${response.status}`);
+      return response.json();
+    });
+
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) throw new Error('Analysis failed to produce content.');
+    return normalizeReport(JSON.parse(text), events, 'gemini');
+  },
+});
+
+// Runs the primary analyzer and, if it fails (offline, bad response), the fallback instead.
+// The report notes why the fallback was used.
+export const analyzeWithFallback = async (primary, fallback, input) => {
+  if (!fallback || primary === fallback) return primary.analyze(input);
+  try {
+    return await primary.analyze(input);
+  } catch (error) {
+    const report = await fallback.analyze(input);
+    return { ...report, fallbackReason: `${primary.label} unavailable (${error.message}); showing ${fallback.label} analysis.` };
+  }
+};
@@ -0,0 +1,125 @@
+// --- Session History Helpers ---
+// Builds the archive record for a session as it ends (outcome, durations) and summarizes the
+// archive for the usage dashboard: mirroring time per device, day and week, and denial rates.
+
+export const SESSION_OUTCOMES = ['Completed', 'Abandoned', 'Failed', 'Expired'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const HISTORY_WINDOW_MS = 30 * DAY_MS; // How far back the usage dashboard reads
+
+const toMillis = (timestamp) => timestamp?.toMillis?.() ?? null;
+
+// Archive record for a session that is ending. Outcome comes from how far the session got:
+// Completed (was connected), Abandoned (never connected), Failed (peer failure) or Expired (lease lapsed).
+export const buildSessionRecord = (sessionId, session, { endReason, endedAtMs }) => {
+  const startedAtMs = toMillis(session.startTime);
+  const connectedAtMs = toMillis(session.connectedAt);
+  const outcome = session.status === 'Expired' ? 'Expired'
+    : session.status === 'Failed' ? 'Failed'
+      : connectedAtMs ? 'Completed' : 'Abandoned';
+  // An expired session really ended when its sender last renewed the lease
+  const endMs = session.status === 'Expired' ? (toMillis(session.leaseRenewedAt) ?? endedAtMs) : endedAtMs;
+
+  return {
+    sessionOwnerId: sessionId,
+    senderLabel: session.senderLabel ?? null,
+    deviceOwnerId: session.deviceOwnerId ?? sessionId,
+    deviceId: session.mirroringDeviceId ?? null,
+    deviceName: session.mirroringDeviceName ?? null,
+    uniqueId: session.mirroringUniqueId ?? null,
+    startedAtMs,
+    endedAtMs: endMs,
+    durationSeconds: startedAtMs ? Math.max(0, Math.round((endMs - startedAtMs) / 1000)) : 0,
+    connectedSeconds: connectedAtMs ? Math.max(0, Math.round((endMs - connectedAtMs) / 1000)) : 0,
+    endReason,
+    outcome,
+  };
+};
+
+// Local-calendar keys, so "yesterday" means the viewer's yesterday
+const startOfDay = (ms) => {
+  const date = new Date(ms);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+const startOfWeek = (ms) => {
+  const date = new Date(startOfDay(ms));
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7)); // Weeks start on Monday
+  return date.getTime();
+};
+
+// Mirroring time (connected seconds) per device, per day and per week.
+// records: archive records with startedAtMs; days/weeks: how many buckets back from nowMs.
+export const summarizeUsage = (records, { nowMs = Date.now(), days = 7, weeks = 4 } = {}) => {
+  const byDevice = {};
+  records.forEach(record => {
+    const key = record.deviceId || record.uniqueId || 'unknown';
+    const device = byDevice[key] ||= {
+      deviceId: record.deviceId, deviceName: record.deviceName, sessions: 0, connectedSeconds: 0, lastUsedMs: null, users: new Set(),
+    };
+    device.sessions += 1;
+    device.connectedSeconds += record.connectedSeconds || 0;
+    device.lastUsedMs = Math.max(device.lastUsedMs ?? 0, record.endedAtMs ?? record.startedAtMs ?? 0) || null;
+    device.users.add(record.senderLabel || record.sessionOwnerId);
+  });
+
+  const bucket = (count, startOf, stepBack) => {
+    const buckets = [];
+    for (let index = count - 1; index >= 0; index--) {
+      const start = stepBack(startOf(nowMs), index);
+      buckets.push({ startMs: start, connectedSeconds: 0, sessions: 0 });
+    }
+    records.forEach(record => {
+      if (!record.startedAtMs) return;
+      const target = buckets.find(candidate => candidate.startMs === startOf(record.startedAtMs));
+      if (!target) return;
+      target.connectedSeconds += record.connectedSeconds || 0;
+      target.sessions += 1;
+    });
+    return buckets;
+  };
+  const daysBack = (start, count) => {
+    const date = new Date(start);
+    date.setDate(date.getDate() - count);
+    return date.getTime();
+  };
+
+  return {
+    totalConnectedSeconds: records.reduce((total, record) => total + (record.connectedSeconds || 0), 0),
+    perDevice: Object.values(byDevice)
+      .map(device => ({ ...device, users: device.users.size }))
+      .sort((a, b) => b.connectedSeconds - a.connectedSeconds),
+    perDay: bucket(days, startOfDay, daysBack),
+    perWeek: bucket(weeks, startOfWeek, (start, count) => daysBack(start, count * 7)),
+  };
+};
+
+// Share of start attempts (AUTHORIZED + DENIED audit events) that were denied, overall and per device
+export const summarizeDenials = (events) => {
+  const attempts = events.filter(event => event.type === 'AUTHORIZED' || event.type === 'DENIED');
+  const rate = (list) => (list.length ? list.filter(event => event.type === 'DENIED').length / list.length : 0);
+
+  const byDevice = {};
+  attempts.forEach(event => (byDevice[event.deviceId || 'unknown'] ||= []).push(event));
+  const byRule = {};
+  attempts.filter(event => event.type === 'DENIED').forEach(event => {
+    byRule[event.reason || 'UNKNOWN'] = (byRule[event.reason || 'UNKNOWN'] || 0) + 1;
+  });
+
+  return {
+    attempts: attempts.length,
+    denied: attempts.filter(event => event.type === 'DENIED').length,
+    denialRate: rate(attempts),
+    perDevice: Object.entries(byDevice).map(([deviceId, list]) => ({ deviceId, attempts: list.length, denialRate: rate(list) })),
+    byRule,
+  };
+};
+
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours) return `${hours}h ${minutes}m`;
+  if (minutes) return `${minutes}m ${total % 60}s`;
+  return `${total}s`;
+};
@@ -0,0 +1,14 @@
+// --- Session Lease Helpers ---
+// When a session counts as live, and when its sender has gone silent: the sending tab renews
+// leaseRenewedAt on a heartbeat, and a lease older than SESSION_LEASE_MS is stale.
+
+export const LIVE_SESSION_STATUSES = ['Negotiating', 'Connected'];
+export const SESSION_LEASE_MS = 60000;
+
+// Sessions written before leases existed fall back to their start time
+export const getSessionLeaseAgeMs = (session, now) => {
+  const renewedAt = session?.leaseRenewedAt ?? session?.startTime;
+  return renewedAt?.toMillis ? Math.max(0, now - renewedAt.toMillis()) : Infinity;
+};
+
+export const isSessionStale = (session, now) => getSessionLeaseAgeMs(session, now) > SESSION_LEASE_MS;
@@ -0,0 +1,110 @@
+// --- Stream Profiles ---
+// What a TV accepts: resolution and frame-rate caps, audio, a bitrate cap and privacy blur.
+// Each device doc carries a profile; startMirroring copies it into the session doc with any
+// per-session overrides applied, and the sending tab turns it into capture constraints and an
+// encoder bitrate cap.
+//
+// profile: { maxResolution, maxFps, audio, maxBitrateKbps, privacyBlur }
+
+export const RESOLUTIONS = {
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 },
+  '1440p': { width: 2560, height: 1440 },
+  '2160p': { width: 3840, height: 2160 },
+};
+
+export const FRAME_RATES = [15, 24, 30, 60];
+
+export const DEFAULT_STREAM_PROFILE = {
+  maxResolution: '1080p',
+  maxFps: 30,
+  audio: true,
+  maxBitrateKbps: null, // null = uncapped
+  privacyBlur: false, // Keep OS notifications out of the mirror
+};
+
+export const MIN_BITRATE_KBPS = 250;
+export const MAX_BITRATE_KBPS = 50000;
+
+const readResolution = (value) => (Object.hasOwn(RESOLUTIONS, value) ? value : undefined);
+const readFps = (value) => (FRAME_RATES.includes(Number(value)) ? Number(value) : undefined);
+// Out-of-range caps are clamped rather than dropped: dropping one would leave the stream uncapped
+const readBitrate = (value) => {
+  if (value === null) return null;
+  const kbps = Math.round(Number(value));
+  return Number.isFinite(kbps) ? Math.min(MAX_BITRATE_KBPS, Math.max(MIN_BITRATE_KBPS, kbps)) : undefined;
+};
+const readFlag = (value) => (typeof value === 'boolean' ? value : undefined);
+
+// Only the recognized, valid fields of `value` (bitrate caps clamped into range); anything else is dropped.
+// Used for per-session overrides, which may name any subset of fields.
+export const sanitizeStreamProfile = (value) => {
+  if (!value || typeof value !== 'object') return {};
+  const fields = {
+    maxResolution: readResolution(value.maxResolution),
+    maxFps: readFps(value.maxFps),
+    audio: readFlag(value.audio),
+    maxBitrateKbps: 'maxBitrateKbps' in value ? readBitrate(value.maxBitrateKbps) : undefined,
+    privacyBlur: readFlag(value.privacyBlur),
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, field]) => field !== undefined));
+};
+
+// Fills in defaults so devices registered before profiles existed stream predictably
+export const normalizeStreamProfile = (profile) => ({ ...DEFAULT_STREAM_PROFILE, ...sanitizeStreamProfile(profile) });
+
+const resolutionRank = (resolution) => Object.keys(RESOLUTIONS).indexOf(resolution);
+const lowerBitrate = (a, b) => (a === null ? b : b === null ? a : Math.min(a, b));
+
+// A session can only tighten the device's profile: lower caps, audio off, privacy blur on.
+// The device profile is the TV owner's ceiling, so guests cannot raise it either.
+export const applySessionOverrides = (deviceProfile, overrides) => {
+  const base = normalizeStreamProfile(deviceProfile);
+  const requested = sanitizeStreamProfile(overrides);
+  return {
+    maxResolution: requested.maxResolution && resolutionRank(requested.maxResolution) < resolutionRank(base.maxResolution)
+      ? requested.maxResolution
+      : base.maxResolution,
+    maxFps: Math.min(base.maxFps, requested.maxFps ?? base.maxFps),
+    audio: base.audio && requested.audio !== false,
+    maxBitrateKbps: 'maxBitrateKbps' in requested ? lowerBitrate(base.maxBitrateKbps, requested.maxBitrateKbps) : base.maxBitrateKbps,
+    privacyBlur: base.privacyBlur || requested.privacyBlur === true,
+  };
+};
+
+// getDisplayMedia options for a profile. Browsers cannot blur notifications inside a capture,
+// so privacy blur keeps whole-screen capture (where OS notifications appear) out of the picker.
+export const toCaptureOptions = (profile) => {
+  const { width, height } = RESOLUTIONS[profile.maxResolution];
+  return {
+    video: { width: { max: width }, height: { max: height }, frameRate: { max: profile.maxFps } },
+    audio: profile.audio,
+    ...(profile.privacyBlur ? { monitorTypeSurfaces: 'exclude', surfaceSwitching: 'exclude' } : {}),
+  };
+};
+
+// What the sender actually got from the capture, within the session's profile.
+// capture: { width, height, frameRate } from the video track's settings, plus hasAudio.
+export const buildNegotiatedProfile = (profile, { width = null, height = null, frameRate = null, hasAudio = false } = {}) => ({
+  width,
+  height,
+  fps: Number.isFinite(frameRate) ? Math.round(Math.min(frameRate, profile.maxFps)) : profile.maxFps,
+  audio: profile.audio && hasAudio,
+  maxBitrateKbps: profile.maxBitrateKbps,
+  privacyBlur: profile.privacyBlur,
+});
+
+const formatBitrate = (kbps) => (kbps === null ? 'no bitrate cap' : kbps >= 1000 ? `${+(kbps / 1000).toFixed(1)} Mbps` : `${kbps} kbps`);
+
+export const describeStreamProfile = (profile) => {
+  const { maxResolution, maxFps, audio, maxBitrateKbps, privacyBlur } = normalizeStreamProfile(profile);
+  return [maxResolution, `${maxFps} fps`, audio ? 'audio' : 'no audio', formatBitrate(maxBitrateKbps), ...(privacyBlur ? ['privacy blur'] : [])].join(' · ');
+};
+
+export const describeNegotiatedProfile = (negotiated) => [
+  negotiated.width && negotiated.height ? `${negotiated.width}x${negotiated.height}` : 'size pending',
+  `${negotiated.fps} fps`,
+  negotiated.audio ? 'audio' : 'no audio',
+  formatBitrate(negotiated.maxBitrateKbps),
+  ...(negotiated.privacyBlur ? ['privacy blur'] : []),
+].join(' · ');
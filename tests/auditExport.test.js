@@ -0,0 +1,134 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { formatExport, createWebhookSender, describeWebhookTarget, isValidWebhookUrl, isPrivateHost } from '../auditExport.js';
+import { withExponentialBackoff } from '../backoff.js';
+
+const timestamp = (iso) => ({ toMillis: () => Date.parse(iso) });
+const event = (fields) => ({
+  id: 'event-1', timestamp: timestamp('2026-10-18T12:00:00Z'), type: 'DENIED', message: 'Denied.', userId: 'alice', source: 'server', ...fields,
+});
+
+describe('CSV export', () => {
+  it('neutralizes cells a spreadsheet would run as formulas', () => {
+    const csv = formatExport('audit', [
+      event({ message: '=HYPERLINK("https://evil.example","open")' }),
+      event({ id: 'event-2', message: '+1+2', reason: '-2+3', deviceId: '@SUM(A1)' }),
+    ], 'csv');
+    const [, first, second] = csv.split('\r\n');
+    expect(first).toContain(`"'=HYPERLINK(""https://evil.example"",""open"")"`);
+    expect(second).toContain(`'+1+2`);
+    expect(second).toContain(`'-2+3`);
+    expect(second).toContain(`'@SUM(A1)`);
+  });
+
+  it('leaves ordinary cells alone', () => {
+    const [, row] = formatExport('audit', [event({ message: 'Start denied, outside hours.' })], 'csv').split('\r\n');
+    expect(row).toBe('event-1,2026-10-18T12:00:00.000Z,DENIED,"Start denied, outside hours.",,,,alice,server');
+  });
+});
+
+describe('webhook delivery', () => {
+  let server;
+  afterEach(() => {
+    vi.restoreAllMocks();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  // A local HTTP listener answering with `statuses` in turn (the last one repeats)
+  const listen = (statuses) => new Promise((resolve) => {
+    const requests = [];
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+        res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ url: `http://127.0.0.1:${server.address().port}/hooks/token-123`, requests }));
+  });
+
+  const fastBackoff = (fn) => withExponentialBackoff(fn, 3, 5);
+
+  it('POSTs the event as JSON to the listener', async () => {
+    const { url, requests } = await listen([204]);
+    const status = await createWebhookSender({ url, retry: fastBackoff }).send(event({ deviceId: 'living-room' }));
+
+    expect(status).toBe(204);
+    expect(requests).toEqual([{
+      method: 'POST',
+      url: '/hooks/token-123',
+      contentType: 'application/json',
+      body: {
+        app: 'screen-mirroring',
+        event: {
+          id: 'event-1', timestamp: '2026-10-18T12:00:00.000Z', type: 'DENIED', message: 'Denied.',
+          deviceId: 'living-room', uniqueId: null, reason: null, userId: 'alice', source: 'server',
+        },
+      },
+    }]);
+  });
+
+  it('retries failed deliveries and gives up after the last retry', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const flaky = await listen([500, 502, 200]);
+    expect(await createWebhookSender({ url: flaky.url, retry: fastBackoff }).send(event())).toBe(200);
+    expect(flaky.requests).toHaveLength(3);
+    await new Promise(resolve => server.close(resolve));
+
+    const down = await listen([503]);
+    await expect(createWebhookSender({ url: down.url, retry: fastBackoff }).send(event())).rejects.toThrow('status: 503');
+    expect(down.requests).toHaveLength(4);
+  });
+
+  it('shows the manager only the origin of the saved URL', () => {
+    expect(describeWebhookTarget('https://hooks.example.com/services/T000/B000/secret?token=abc')).toBe('https://hooks.example.com');
+  });
+});
+
+describe('webhook targets', () => {
+  it('accept https URLs on public hosts', () => {
+    expect(isValidWebhookUrl('https://hooks.example.com/services/T000?token=abc')).toBe(true);
+    expect(isValidWebhookUrl('https://8.8.8.8/hook')).toBe(true);
+    expect(isValidWebhookUrl('https://[2606:4700::1111]/hook')).toBe(true);
+  });
+
+  it('reject plain http and anything that is not a URL', () => {
+    expect(isValidWebhookUrl('http://hooks.example.com/hook')).toBe(false);
+    expect(isValidWebhookUrl('ftp://hooks.example.com/hook')).toBe(false);
+    expect(isValidWebhookUrl('hooks.example.com')).toBe(false);
+  });
+
+  it('reject loopback, private and link-local hosts, however they are written', () => {
+    [
+      'https://localhost/hook',
+      'https://api.localhost/hook',
+      'https://127.0.0.1/hook',
+      'https://2130706433/hook', // 127.0.0.1 as one number
+      'https://0x7f000001/hook',
+      'https://10.0.0.8/hook',
+      'https://172.16.4.1/hook',
+      'https://192.168.1.10/hook',
+      'https://169.254.169.254/latest/meta-data/',
+      'https://100.64.0.1/hook',
+      'https://0.0.0.0/hook',
+      'https://[::1]/hook',
+      'https://[fd00::1]/hook',
+      'https://[fe80::1]/hook',
+      'https://[::ffff:169.254.169.254]/hook',
+    ].forEach(url => expect(isValidWebhookUrl(url), url).toBe(false));
+  });
+
+  it('classify resolved addresses', () => {
+    expect(isPrivateHost('10.1.2.3')).toBe(true);
+    expect(isPrivateHost('fe80::1')).toBe(true);
+    expect(isPrivateHost('93.184.216.34')).toBe(false);
+    expect(isPrivateHost('hooks.example.com')).toBe(false);
+  });
+
+  it('admit http and local listeners only when allowed for the emulators', () => {
+    expect(isValidWebhookUrl('http://127.0.0.1:8123/hook', { allowLocal: true })).toBe(true);
+    expect(isValidWebhookUrl('ftp://127.0.0.1/hook', { allowLocal: true })).toBe(false);
+  });
+});
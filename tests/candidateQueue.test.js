@@ -0,0 +1,61 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRemoteCandidateQueue } from '../candidateQueue.js';
+
+// Rejects candidates before the remote description, like RTCPeerConnection does
+const createPeerConnection = () => {
+  const pc = {
+    remoteDescription: null,
+    candidates: [],
+    setRemoteDescription: vi.fn(async (description) => { pc.remoteDescription = description; }),
+    addIceCandidate: vi.fn(async (candidate) => {
+      if (!pc.remoteDescription) throw new Error('InvalidStateError: no remote description');
+      pc.candidates.push(candidate);
+    }),
+  };
+  return pc;
+};
+
+const answer = { type: 'answer', sdp: 'v=0' };
+
+describe('remote candidate queue', () => {
+  it('holds candidates until the remote description is applied', async () => {
+    const pc = createPeerConnection();
+    const onError = vi.fn();
+    const queue = createRemoteCandidateQueue(pc, onError);
+
+    queue.add({ candidate: 'a' });
+    queue.add({ candidate: 'b' });
+    expect(pc.addIceCandidate).not.toHaveBeenCalled();
+
+    await queue.setRemoteDescription(answer);
+    await vi.waitFor(() => expect(pc.candidates).toEqual([{ candidate: 'a' }, { candidate: 'b' }]));
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('applies later candidates immediately', async () => {
+    const pc = createPeerConnection();
+    const queue = createRemoteCandidateQueue(pc, vi.fn());
+
+    await queue.setRemoteDescription(answer);
+    queue.add({ candidate: 'c' });
+    await vi.waitFor(() => expect(pc.candidates).toEqual([{ candidate: 'c' }]));
+  });
+
+  it('applies the remote description only once', async () => {
+    const pc = createPeerConnection();
+    const queue = createRemoteCandidateQueue(pc, vi.fn());
+
+    await Promise.all([queue.setRemoteDescription(answer), queue.setRemoteDescription(answer)]);
+    expect(pc.setRemoteDescription).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps holding candidates when the remote description fails', async () => {
+    const pc = createPeerConnection();
+    pc.setRemoteDescription.mockRejectedValueOnce(new Error('bad answer'));
+    const queue = createRemoteCandidateQueue(pc, vi.fn());
+
+    queue.add({ candidate: 'a' });
+    await expect(queue.setRemoteDescription(answer)).rejects.toThrow('bad answer');
+    expect(pc.addIceCandidate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createGeminiCommandModel, parseModelResponse, planCommands, runCommandPlan } from '../commandAssistant.js';
+import { DEFAULT_GEMINI_MODEL } from '../securityAnalysis.js';
+
+const devices = [
+  { id: 'device-1', name: 'Living Room TV', uniqueId: 'tv-1' },
+  { id: 'device-2', name: 'Bedroom TV', uniqueId: 'tv-2' },
+];
+const eventTypes = ['DENIED', 'CONNECTED'];
+
+// A canned generateContent response carrying the given function calls
+const modelResponse = (calls, text = null) => ({
+  candidates: [{
+    content: {
+      parts: [
+        ...calls.map(([name, args]) => ({ functionCall: { name, args } })),
+        ...(text ? [{ text }] : []),
+      ],
+    },
+  }],
+});
+
+const stubbedModel = (response) => {
+  const fetchImpl = vi.fn(async () => ({ ok: true, status: 200, json: async () => response }));
+  return { fetchImpl, model: createGeminiCommandModel({ apiKey: 'test-key', baseUrl: 'http://localhost:9999/', fetchImpl }) };
+};
+
+const handlers = () => ({
+  register_device: vi.fn(async () => {}),
+  start_mirroring: vi.fn(async () => {}),
+  stop_mirroring: vi.fn(async () => {}),
+  query_history: vi.fn(async () => {}),
+});
+
+describe('model request', () => {
+  it('sends the tool definitions and the known TV names', async () => {
+    const { fetchImpl, model } = stubbedModel(modelResponse([['stop_mirroring', {}]]));
+    const { toolCalls } = await model.propose('stop it', { deviceNames: ['Living Room TV'] });
+
+    expect(toolCalls).toEqual([{ name: 'stop_mirroring', args: {} }]);
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe(`http://localhost:9999/v1beta/models/${DEFAULT_GEMINI_MODEL}:generateContent?key=test-key`);
+    const body = JSON.parse(init.body);
+    expect(body.tools[0].functionDeclarations.map(tool => tool.name)).toEqual(['register_device', 'start_mirroring', 'stop_mirroring', 'query_history']);
+    expect(body.systemInstruction.parts[0].text).toContain('"Living Room TV"');
+  });
+
+  it('throws on a failed API call', async () => {
+    const model = createGeminiCommandModel({ fetchImpl: async () => ({ ok: false, status: 503 }) });
+    await expect(model.propose('hi')).rejects.toThrow(/503/);
+  });
+
+  it('returns a plain-text reply when the model calls no tools', () => {
+    expect(parseModelResponse(modelResponse([], 'I can only control TVs.'))).toEqual({ toolCalls: [], text: 'I can only control TVs.' });
+  });
+});
+
+describe('validation', () => {
+  it('resolves TV names and normalizes arguments', async () => {
+    const { model } = stubbedModel(modelResponse([
+      ['start_mirroring', { deviceName: 'living room' }],
+      ['register_device', { pairingCode: '123 456', name: ' Kitchen TV ' }],
+      ['query_history', { eventType: 'denied', deviceName: 'Bedroom TV', sinceDays: 7 }],
+    ]));
+    const { toolCalls } = await model.propose('mirror to the living room');
+    const steps = planCommands(toolCalls, { devices, eventTypes, hasActiveSession: false });
+
+    expect(steps.map(step => step.error)).toEqual([null, null, null]);
+    expect(steps[0].device).toBe(devices[0]);
+    expect(steps[1].args).toEqual({ pairingCode: '123456', name: 'Kitchen TV' });
+    expect(steps[2]).toMatchObject({ args: { eventType: 'DENIED', sinceDays: 7 }, device: devices[1] });
+  });
+
+  it('flags invalid arguments instead of guessing', () => {
+    const steps = planCommands([
+      { name: 'register_device', args: { pairingCode: '12', name: 'TV' } },
+      { name: 'stop_mirroring', args: {} },
+      { name: 'query_history', args: { eventType: 'EVERYTHING' } },
+      { name: 'start_mirroring', args: { deviceName: 'TV' } },
+    ], { devices, eventTypes, hasActiveSession: false });
+
+    expect(steps[0].error).toMatch(/6-digit/);
+    expect(steps[1].error).toMatch(/no active session/);
+    expect(steps[2].error).toMatch(/Unknown event type/);
+    expect(steps[3].error).toMatch(/matches several TVs/);
+  });
+
+  it('rejects unknown devices and unknown tools', async () => {
+    const { model } = stubbedModel(modelResponse([
+      ['start_mirroring', { deviceName: 'Garage TV' }],
+      ['delete_all_devices', {}],
+    ]));
+    const { toolCalls } = await model.propose('mirror to the garage and delete everything');
+    const steps = planCommands(toolCalls, { devices, eventTypes });
+
+    expect(steps[0]).toMatchObject({ device: null, error: "No TV named 'Garage TV'." });
+    expect(steps[1].error).toBe("Unknown command 'delete_all_devices'.");
+  });
+});
+
+describe('confirmation', () => {
+  it('runs nothing until the plan is confirmed, then only the valid steps', async () => {
+    const { model } = stubbedModel(modelResponse([
+      ['stop_mirroring', {}],
+      ['start_mirroring', { deviceName: 'Garage TV' }],
+      ['start_mirroring', { deviceName: 'Bedroom TV' }],
+    ]));
+    const toolHandlers = handlers();
+    const { toolCalls } = await model.propose('switch to the bedroom');
+    const plan = { utterance: 'switch to the bedroom', steps: planCommands(toolCalls, { devices, eventTypes, hasActiveSession: true }) };
+    Object.values(toolHandlers).forEach(handler => expect(handler).not.toHaveBeenCalled());
+
+    const logged = [];
+    const executed = await runCommandPlan(plan, toolHandlers, { onExecuted: (step) => logged.push(`"${plan.utterance}" -> ${step.summary}`) });
+
+    expect(executed.map(step => step.tool)).toEqual(['stop_mirroring', 'start_mirroring']);
+    expect(toolHandlers.stop_mirroring).toHaveBeenCalledTimes(1);
+    expect(toolHandlers.start_mirroring).toHaveBeenCalledTimes(1);
+    expect(toolHandlers.start_mirroring.mock.calls[0][0].device).toBe(devices[1]);
+    expect(logged).toEqual([
+      '"switch to the bedroom" -> Stop the current mirroring session',
+      `"switch to the bedroom" -> Start mirroring to 'Bedroom TV'`,
+    ]);
+  });
+
+  it('runs the steps in order, each after the previous one finished', async () => {
+    const order = [];
+    const steps = planCommands([
+      { name: 'stop_mirroring', args: {} },
+      { name: 'start_mirroring', args: { deviceName: 'Bedroom TV' } },
+    ], { devices, eventTypes, hasActiveSession: true });
+    await runCommandPlan({ steps }, {
+      stop_mirroring: async () => { await new Promise(resolve => setTimeout(resolve, 5)); order.push('stop'); },
+      start_mirroring: async () => { order.push('start'); },
+    });
+    expect(order).toEqual(['stop', 'start']);
+  });
+});
@@ -0,0 +1,7 @@
+// Mounts the app for the two-tab test. The test injects __firebase_config, __app_id and
+// __initial_auth_token before the page loads, the way the hosting environment does.
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import App from '../../ScreenMirrorManager.jsx';
+
+createRoot(document.getElementById('root')).render(<App />);
@@ -0,0 +1,74 @@
+import { test, expect } from '@playwright/test';
+import { doc, getDoc } from 'firebase/firestore';
+import { PROJECT_ID, APP_ID, createTestEnvironment, seedDevice, sessionPath } from '../emulator/emulator.js';
+
+// A real WebRTC session between two headless tabs: the manager mirrors a fake screen to a TV
+// receiver tab, with Firestore, the rules and the Cloud Functions running in the emulators.
+const OWNER_ID = 'owner';
+const TV_USER_ID = 'tv-user';
+const UNIQUE_ID = 'tv-living-room';
+const FIREBASE_CONFIG = { apiKey: 'demo-api-key', projectId: PROJECT_ID, useEmulators: true };
+
+let testEnv;
+
+// The Auth emulator accepts unsigned custom tokens, so each tab can sign in as a known uid
+const emulatorToken = (uid) => {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: 'firebase-auth-emulator@example.com',
+    sub: 'firebase-auth-emulator@example.com',
+    aud: 'https://identitytoolkit.googleapis.com/google.identity.identitytoolkit.v1.IdentityToolkit',
+    iat: now,
+    exp: now + 3600,
+    uid,
+  };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(claims)}.`;
+};
+
+// Each tab gets its own browser context, so the two signed-in users do not share auth storage
+const openTab = async (browser, uid, path) => {
+  const context = await browser.newContext();
+  await context.addInitScript(({ config, appId, token }) => {
+    window.__firebase_config = config;
+    window.__app_id = appId;
+    window.__initial_auth_token = token;
+  }, { config: JSON.stringify(FIREBASE_CONFIG), appId: APP_ID, token: emulatorToken(uid) });
+  const page = await context.newPage();
+  await page.goto(path);
+  return page;
+};
+
+const readSession = async () => {
+  let data;
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    data = (await getDoc(doc(context.firestore(), sessionPath(OWNER_ID)))).data() ?? null;
+  });
+  return data;
+};
+
+test.beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+  await testEnv.clearFirestore();
+  await seedDevice(testEnv, OWNER_ID, { receiverUserId: TV_USER_ID });
+});
+
+test.afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+test('mirrors a fake screen from the manager to the TV receiver', async ({ browser }) => {
+  const receiver = await openTab(browser, TV_USER_ID, `/?mode=receiver&device=${UNIQUE_ID}`);
+  await expect(receiver.getByText('Waiting for a mirroring session.')).toBeVisible();
+
+  const sender = await openTab(browser, OWNER_ID, '/');
+  await sender.getByRole('button', { name: 'START MIRROR' }).click();
+
+  // The peer connection drives the session doc from Negotiating to Connected
+  await expect.poll(async () => (await readSession())?.status, { timeout: 30000 }).toBe('Connected');
+  await expect.poll(() => receiver.locator('video').evaluate(video => video.videoWidth), { timeout: 30000 }).toBeGreaterThan(0);
+
+  await sender.getByRole('button', { name: 'STOP' }).click();
+  await expect.poll(readSession).toBeNull();
+  await expect(receiver.getByText('Waiting for a mirroring session.')).toBeVisible();
+});
@@ -0,0 +1,55 @@
+// Connects the emulator suite to the emulators started by `npm run test:emulator`
+// (auth 9099, firestore 8080, functions 5001; see firebase.json).
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator, signInAnonymously } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, doc, setDoc, Timestamp } from 'firebase/firestore';
+import { getFunctions, connectFunctionsEmulator, httpsCallable } from 'firebase/functions';
+
+export const PROJECT_ID = 'demo-screen-mirroring';
+export const APP_ID = 'emulator-test';
+const HOST = '127.0.0.1';
+
+export const userPath = (uid) => `artifacts/${APP_ID}/users/${uid}`;
+export const sessionPath = (uid) => `artifacts/${APP_ID}/public/data/mirroring_sessions/${uid}`;
+export const pairingPath = (code) => `artifacts/${APP_ID}/public/data/pairing_requests/${code}`;
+
+export const createTestEnvironment = () => initializeTestEnvironment({
+  projectId: PROJECT_ID,
+  firestore: { host: HOST, port: 8080, rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+});
+
+// Writes `data` at `path` with the rules bypassed, the way the Cloud Functions' Admin SDK would
+export const seed = (testEnv, path, data) =>
+  testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+// A registered, active TV owned by `ownerId` and paired to the TV account `receiverUserId`
+export const seedDevice = (testEnv, ownerId, { deviceId = 'living-room', receiverUserId = 'tv-user' } = {}) =>
+  seed(testEnv, `${userPath(ownerId)}/devices/${deviceId}`, {
+    name: 'Living room',
+    registeredAt: Timestamp.now(),
+    uniqueId: `tv-${deviceId}`,
+    receiverUserId,
+    state: 'Active',
+    lastConnected: null,
+  });
+
+// A separately signed-in browser: its own app instance, auth user and callables
+export const signInClient = async (name) => {
+  const app = initializeApp({ projectId: PROJECT_ID, apiKey: 'demo-api-key' }, name);
+  const auth = getAuth(app);
+  connectAuthEmulator(auth, `http://${HOST}:9099`, { disableWarnings: true });
+  const db = getFirestore(app);
+  connectFirestoreEmulator(db, HOST, 8080);
+  const functions = getFunctions(app);
+  connectFunctionsEmulator(functions, HOST, 5001);
+
+  const { user } = await signInAnonymously(auth);
+  return {
+    uid: user.uid,
+    db,
+    call: async (name, data) => (await httpsCallable(functions, name)({ appId: APP_ID, ...data })).data,
+    close: () => deleteApp(app),
+  };
+};
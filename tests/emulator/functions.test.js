@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { doc, collection, getDoc, getDocs, updateDoc, Timestamp } from 'firebase/firestore';
+import { createTestEnvironment, seed, seedDevice, signInClient, userPath, sessionPath, pairingPath } from './emulator.js';
+
+// The callables as deployed: real auth tokens, the callables running in the
+// functions emulator and the rules in front of the clients' reads.
+let testEnv;
+let alice;
+let bob;
+
+const readAsAdmin = async (path) => {
+  let data;
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    data = (await getDoc(doc(context.firestore(), path))).data() ?? null;
+  });
+  return data;
+};
+const auditTypes = async (client) =>
+  (await getDocs(collection(client.db, `${userPath(client.uid)}/audit_log`))).docs.map(event => event.data().type);
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+  alice = await signInClient('alice');
+  bob = await signInClient('bob');
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedDevice(testEnv, alice.uid);
+});
+
+afterAll(async () => {
+  await Promise.all([alice.close(), bob.close()]);
+  await testEnv.cleanup();
+});
+
+describe('startMirroring', () => {
+  it("starts a session on the caller's own TV", async () => {
+    const decision = await alice.call('startMirroring', { deviceId: 'living-room', senderInstanceId: 'tab-a' });
+    expect(decision).toMatchObject({ allowed: true });
+
+    const session = (await getDoc(doc(alice.db, sessionPath(alice.uid)))).data();
+    expect(session).toMatchObject({ ownerId: alice.uid, mirroringDeviceId: 'living-room', status: 'Negotiating' });
+  });
+
+  it("denies a second user the owner's TV without touching the owner's data", async () => {
+    await alice.call('startMirroring', { deviceId: 'living-room', senderInstanceId: 'tab-a' });
+
+    for (let attempt = 0; attempt < 6; attempt++) {
+      const decision = await bob.call('startMirroring', { deviceId: 'living-room', ownerId: alice.uid, senderInstanceId: 'tab-b' });
+      expect(decision).toMatchObject({ allowed: false, rule: 'UNAUTHORIZED_DEVICE' });
+    }
+
+    expect(await readAsAdmin(sessionPath(bob.uid))).toBeNull();
+    expect(await readAsAdmin(sessionPath(alice.uid))).toMatchObject({ ownerId: alice.uid, senderInstanceId: 'tab-a' });
+    await expect(getDoc(doc(bob.db, sessionPath(alice.uid)))).rejects.toMatchObject({ code: 'permission-denied' });
+
+    // Bob's attempts are his own: Alice's TV is not locked and nothing reached her log
+    expect(await auditTypes(alice)).not.toContain('DENIED');
+    expect(await auditTypes(alice)).not.toContain('LOCKOUT');
+    expect(await auditTypes(bob)).toContain('DENIED');
+    expect(await alice.call('startMirroring', { deviceId: 'living-room', senderInstanceId: 'tab-a' })).toMatchObject({ allowed: true });
+  });
+
+  it("does not count another household's TV that reuses the uniqueId", async () => {
+    await seedDevice(testEnv, bob.uid, { receiverUserId: 'bob-tv' });
+    await alice.call('startMirroring', { deviceId: 'living-room', senderInstanceId: 'tab-a' });
+
+    expect(await bob.call('startMirroring', { deviceId: 'living-room', senderInstanceId: 'tab-b' })).toMatchObject({ allowed: true });
+    expect(await readAsAdmin(sessionPath(alice.uid))).toMatchObject({ status: 'Negotiating' });
+  });
+});
+
+describe('stopMirroring', () => {
+  it("ends only the caller's own session", async () => {
+    await alice.call('startMirroring', { deviceId: 'living-room', senderInstanceId: 'tab-a' });
+
+    expect(await bob.call('stopMirroring', {})).toEqual({ stopped: false });
+    expect(await readAsAdmin(sessionPath(alice.uid))).not.toBeNull();
+
+    expect(await alice.call('stopMirroring', {})).toEqual({ stopped: true });
+    expect(await readAsAdmin(sessionPath(alice.uid))).toBeNull();
+    expect(await auditTypes(alice)).toContain('DISCONNECTED');
+    expect((await getDocs(collection(alice.db, `${userPath(alice.uid)}/session_history`))).size).toBe(1);
+  });
+});
+
+describe('claimPairing', () => {
+  const publish = (code) => seed(testEnv, pairingPath(code), {
+    uniqueId: `tv-${code}`, tvUserId: 'tv-user', status: 'Waiting', expiresAt: Timestamp.fromMillis(Date.now() + 60000),
+  });
+
+  it('claims a live PIN for the caller', async () => {
+    await publish('123456');
+    expect(await bob.call('claimPairing', { code: '123456', name: 'Den' })).toEqual({ uniqueId: 'tv-123456' });
+    expect(await readAsAdmin(pairingPath('123456'))).toMatchObject({ status: 'Claimed', claimedBy: bob.uid, deviceName: 'Den' });
+  });
+
+  it('locks pairing for a caller who keeps guessing, even with the right PIN', async () => {
+    await publish('123456');
+    for (let guess = 0; guess < 5; guess++) {
+      await expect(bob.call('claimPairing', { code: `00000${guess}`, name: 'Den' })).rejects.toMatchObject({ code: 'functions/failed-precondition' });
+    }
+    await expect(bob.call('claimPairing', { code: '123456', name: 'Den' })).rejects.toMatchObject({ code: 'functions/resource-exhausted' });
+    expect(await readAsAdmin(pairingPath('123456'))).toMatchObject({ status: 'Waiting' });
+    expect(await readAsAdmin(`${userPath(bob.uid)}/lockouts/pairing_${bob.uid}`)).toMatchObject({ scope: 'pairing' });
+    expect(await auditTypes(bob)).toContain('LOCKOUT');
+
+    // The lockout is Bob's alone
+    expect(await alice.call('claimPairing', { code: '123456', name: 'Den' })).toEqual({ uniqueId: 'tv-123456' });
+  });
+});
+
+describe('deliverAuditWebhook', () => {
+  it("POSTs the owner's new DENIED events to their webhook from the server", async () => {
+    const received = [];
+    const server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/hooks/bob-token`;
+      expect(await bob.call('saveWebhook', { url, enabled: true })).toEqual({ target: `http://127.0.0.1:${server.address().port}`, enabled: true });
+      await expect(getDoc(doc(bob.db, `${userPath(bob.uid)}/webhook/target`))).rejects.toMatchObject({ code: 'permission-denied' });
+
+      await bob.call('startMirroring', { deviceId: 'living-room', ownerId: alice.uid, senderInstanceId: 'tab-b' });
+
+      await vi.waitFor(() => expect(received).toHaveLength(1), { timeout: 20000, interval: 250 });
+      expect(received[0]).toMatchObject({ app: 'screen-mirroring', event: { type: 'DENIED', userId: bob.uid, reason: 'UNAUTHORIZED_DEVICE' } });
+      await vi.waitFor(async () => {
+        const summary = (await getDoc(doc(bob.db, `${userPath(bob.uid)}/settings/webhook`))).data();
+        expect(summary.lastDelivery).toMatchObject({ type: 'DENIED', status: 'Delivered', httpStatus: 200 });
+      }, { timeout: 10000, interval: 250 });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('endGuestAccessOnDeviceChange', () => {
+  it("ends a guest's session and removes the grant when the owner revokes the TV", async () => {
+    const sharedPath = `${userPath(bob.uid)}/shared_devices/${alice.uid}_living-room`;
+    await seed(testEnv, `${userPath(alice.uid)}/devices/living-room`, {
+      name: 'Living room', uniqueId: 'tv-living-room', receiverUserId: 'tv-user', state: 'Active',
+      guests: { [bob.uid]: { label: 'Bob', role: 'guest' } },
+    });
+    await seed(testEnv, sharedPath, { ownerId: alice.uid, deviceId: 'living-room', name: 'Living room', role: 'guest' });
+    expect(await bob.call('startMirroring', { deviceId: 'living-room', ownerId: alice.uid, senderInstanceId: 'tab-b' })).toMatchObject({ allowed: true });
+
+    // The owner revokes from the manager, which writes the device doc directly
+    await updateDoc(doc(alice.db, `${userPath(alice.uid)}/devices/living-room`), { state: 'Revoked', revokedReason: 'Lost' });
+
+    await vi.waitFor(async () => {
+      expect(await readAsAdmin(sessionPath(bob.uid))).toBeNull();
+      expect(await readAsAdmin(sharedPath)).toBeNull();
+      expect((await readAsAdmin(`${userPath(alice.uid)}/devices/living-room`)).guests).toEqual({});
+      expect(await auditTypes(bob)).toEqual(expect.arrayContaining(['KICKED', 'SHARE_REVOKED']));
+    }, { timeout: 20000, interval: 250 });
+  });
+});
+
+describe('acceptDeviceInvite', () => {
+  const invitePath = 'artifacts/emulator-test/public/data/device_invites/ABCD2345';
+
+  it('refuses an invite without a valid expiresAt cleanly', async () => {
+    await seed(testEnv, invitePath, { ownerId: alice.uid, deviceId: 'living-room', status: 'Pending' });
+    await expect(bob.call('acceptDeviceInvite', { code: 'ABCD2345' })).rejects.toMatchObject({ code: 'functions/failed-precondition' });
+
+    await seed(testEnv, invitePath, { ownerId: alice.uid, deviceId: 'living-room', status: 'Pending', expiresAt: 'tomorrow' });
+    await expect(bob.call('acceptDeviceInvite', { code: 'ABCD2345' })).rejects.toMatchObject({ code: 'functions/failed-precondition' });
+  });
+});
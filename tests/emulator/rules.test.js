@@ -0,0 +1,162 @@
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, collection, getDoc, getDocs, setDoc, updateDoc, deleteDoc, addDoc, Timestamp, serverTimestamp } from 'firebase/firestore';
+import { createTestEnvironment, seed, seedDevice, userPath, sessionPath, pairingPath } from './emulator.js';
+
+// Alice's live session on her TV, as startMirroring writes it, with the SDP offer already published
+const ALICE_SESSION = {
+  ownerId: 'alice',
+  deviceOwnerId: 'alice',
+  receiverUserId: 'tv-user',
+  mirroringDeviceId: 'living-room',
+  mirroringDeviceName: 'Living room',
+  mirroringUniqueId: 'tv-living-room',
+  senderInstanceId: 'tab-1',
+  status: 'Negotiating',
+  offer: { type: 'offer', sdp: 'v=0 alice-offer' },
+  answer: null,
+};
+
+let testEnv;
+const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedDevice(testEnv, 'alice');
+  await seed(testEnv, sessionPath('alice'), ALICE_SESSION);
+  await seed(testEnv, `${sessionPath('alice')}/senderCandidates/c1`, { candidate: 'alice-candidate' });
+});
+
+afterAll(() => testEnv.cleanup());
+
+describe('mirroring sessions', () => {
+  it('cannot be created by any client, for themselves or for someone else', async () => {
+    await assertFails(setDoc(doc(as('bob'), sessionPath('alice')), { ...ALICE_SESSION, ownerId: 'bob' }));
+    await assertFails(setDoc(doc(as('bob'), sessionPath('bob')), { ...ALICE_SESSION, ownerId: 'bob', deviceOwnerId: 'bob' }));
+    await assertFails(setDoc(doc(as('alice'), sessionPath('alice')), ALICE_SESSION));
+  });
+
+  it("keep another user's session, offer and candidates unreadable", async () => {
+    await assertSucceeds(getDoc(doc(as('alice'), sessionPath('alice'))));
+    await assertSucceeds(getDoc(doc(as('tv-user'), sessionPath('alice'))));
+
+    await assertFails(getDoc(doc(as('bob'), sessionPath('alice'))));
+    await assertFails(getDocs(collection(as('bob'), 'artifacts/emulator-test/public/data/mirroring_sessions')));
+    await assertFails(getDocs(collection(as('bob'), `${sessionPath('alice')}/senderCandidates`)));
+    await assertFails(getDocs(collection(as('bob'), `${sessionPath('alice')}/receiverCandidates`)));
+  });
+
+  it("cannot be changed or deleted by another user", async () => {
+    await assertFails(updateDoc(doc(as('bob'), sessionPath('alice')), { offer: { type: 'offer', sdp: 'v=0 bob-offer' } }));
+    await assertFails(updateDoc(doc(as('bob'), sessionPath('alice')), { answer: { type: 'answer', sdp: 'v=0 bob-answer' } }));
+    await assertFails(updateDoc(doc(as('bob'), sessionPath('alice')), { status: 'Failed' }));
+    await assertFails(addDoc(collection(as('bob'), `${sessionPath('alice')}/receiverCandidates`), { candidate: 'bob-candidate' }));
+    await assertFails(deleteDoc(doc(as('bob'), sessionPath('alice'))));
+    await assertFails(deleteDoc(doc(as('alice'), sessionPath('alice'))));
+  });
+
+  it('let the owner and the paired TV make only their own updates', async () => {
+    await assertSucceeds(updateDoc(doc(as('alice'), sessionPath('alice')), { status: 'Connected' }));
+    await assertFails(updateDoc(doc(as('alice'), sessionPath('alice')), { receiverUserId: 'bob' }));
+
+    await assertSucceeds(updateDoc(doc(as('tv-user'), sessionPath('alice')), { answer: { type: 'answer', sdp: 'v=0 tv-answer' } }));
+    await assertFails(updateDoc(doc(as('tv-user'), sessionPath('alice')), { answer: { type: 'answer', sdp: 'v=0 again' } }));
+  });
+
+  it('only take lease and connection times from the server clock', async () => {
+    const future = Timestamp.fromMillis(Date.now() + 365 * 24 * 60 * 60 * 1000);
+    await assertFails(updateDoc(doc(as('alice'), sessionPath('alice')), { leaseRenewedAt: future }));
+    await assertFails(updateDoc(doc(as('alice'), sessionPath('alice')), { status: 'Connected', connectedAt: future }));
+
+    await assertSucceeds(updateDoc(doc(as('alice'), sessionPath('alice')), { leaseRenewedAt: serverTimestamp() }));
+    await assertSucceeds(updateDoc(doc(as('alice'), sessionPath('alice')), { status: 'Connected', connectedAt: serverTimestamp() }));
+  });
+
+  it('refuse lease renewals past maxEndsAt', async () => {
+    await seed(testEnv, sessionPath('alice'), { ...ALICE_SESSION, maxEndsAt: Timestamp.fromMillis(Date.now() + 60000) });
+    await assertSucceeds(updateDoc(doc(as('alice'), sessionPath('alice')), { leaseRenewedAt: serverTimestamp() }));
+
+    await seed(testEnv, sessionPath('alice'), { ...ALICE_SESSION, maxEndsAt: Timestamp.fromMillis(Date.now() - 1000) });
+    await assertFails(updateDoc(doc(as('alice'), sessionPath('alice')), { leaseRenewedAt: serverTimestamp() }));
+    await assertSucceeds(updateDoc(doc(as('alice'), sessionPath('alice')), { status: 'Expired', expiredAt: serverTimestamp() }));
+  });
+});
+
+describe('device updates', () => {
+  const devicePath = `${userPath('alice')}/devices/living-room`;
+
+  it('need a non-empty name of at most 64 characters', async () => {
+    await assertSucceeds(updateDoc(doc(as('alice'), devicePath), { name: 'Den' }));
+    await assertSucceeds(updateDoc(doc(as('alice'), devicePath), { name: 'x'.repeat(64) }));
+    await assertFails(updateDoc(doc(as('alice'), devicePath), { name: '' }));
+    await assertFails(updateDoc(doc(as('alice'), devicePath), { name: 'x'.repeat(65) }));
+    await assertFails(updateDoc(doc(as('alice'), devicePath), { name: 42 }));
+  });
+
+  it('only accept known stream profile fields and values', async () => {
+    const profile = { maxResolution: '720p', maxFps: 24, audio: false, maxBitrateKbps: 4000, privacyBlur: true };
+    await assertSucceeds(updateDoc(doc(as('alice'), devicePath), { streamProfile: profile }));
+    await assertSucceeds(updateDoc(doc(as('alice'), devicePath), { streamProfile: { ...profile, maxBitrateKbps: null } }));
+    await assertFails(updateDoc(doc(as('alice'), devicePath), { streamProfile: { ...profile, payload: 'x'.repeat(1000) } }));
+    await assertFails(updateDoc(doc(as('alice'), devicePath), { streamProfile: { ...profile, maxResolution: '8K' } }));
+    await assertFails(updateDoc(doc(as('alice'), devicePath), { streamProfile: { ...profile, maxFps: 240 } }));
+    await assertFails(updateDoc(doc(as('alice'), devicePath), { streamProfile: { ...profile, maxBitrateKbps: 10 } }));
+    await assertFails(updateDoc(doc(as('alice'), devicePath), { streamProfile: { ...profile, audio: 'yes' } }));
+  });
+});
+
+describe("another user's private data", () => {
+  it('is neither readable nor writable', async () => {
+    await assertFails(getDoc(doc(as('bob'), `${userPath('alice')}/devices/living-room`)));
+    await assertFails(getDocs(collection(as('bob'), `${userPath('alice')}/audit_log`)));
+    await assertFails(getDocs(collection(as('bob'), `${userPath('alice')}/lockouts`)));
+    await assertFails(getDocs(collection(as('bob'), `${userPath('alice')}/session_history`)));
+    await assertFails(addDoc(collection(as('bob'), `${userPath('alice')}/audit_log`), { userId: 'alice', type: 'CONNECTED' }));
+  });
+});
+
+describe('pairing requests', () => {
+  const waiting = () => ({ uniqueId: 'tv-den', tvUserId: 'tv-user', status: 'Waiting', expiresAt: Timestamp.fromMillis(Date.now() + 60000) });
+
+  it('cannot be looked up or claimed by code from a client', async () => {
+    await seed(testEnv, pairingPath('123456'), waiting());
+
+    await assertSucceeds(getDoc(doc(as('tv-user'), pairingPath('123456'))));
+    await assertFails(getDoc(doc(as('bob'), pairingPath('123456'))));
+    await assertFails(getDoc(doc(as('bob'), pairingPath('654321'))));
+    await assertFails(updateDoc(doc(as('bob'), pairingPath('123456')), { status: 'Claimed', claimedBy: 'bob', deviceName: 'Den' }));
+  });
+
+  it('are readable by the manager that claimed one, and answered only by its TV', async () => {
+    await seed(testEnv, pairingPath('123456'), { ...waiting(), status: 'Claimed', claimedBy: 'alice', deviceName: 'Den' });
+
+    await assertSucceeds(getDoc(doc(as('alice'), pairingPath('123456'))));
+    await assertFails(updateDoc(doc(as('alice'), pairingPath('123456')), { status: 'Confirmed' }));
+    await assertSucceeds(updateDoc(doc(as('tv-user'), pairingPath('123456')), { status: 'Confirmed' }));
+  });
+
+  it('let a TV publish over an expired PIN but not over a live one', async () => {
+    await seed(testEnv, pairingPath('123456'), waiting());
+    await seed(testEnv, pairingPath('111111'), { ...waiting(), expiresAt: Timestamp.fromMillis(Date.now() - 1000) });
+
+    const mine = { ...waiting(), uniqueId: 'tv-other', tvUserId: 'other-tv' };
+    await assertFails(setDoc(doc(as('other-tv'), pairingPath('123456')), mine));
+    await assertSucceeds(setDoc(doc(as('other-tv'), pairingPath('111111')), mine));
+  });
+});
+
+describe('device invites', () => {
+  const invitePath = 'artifacts/emulator-test/public/data/device_invites/ABCD2345';
+  const invite = (fields) => ({ ownerId: 'alice', deviceId: 'living-room', status: 'Pending', ...fields });
+
+  it('need a future expiresAt timestamp', async () => {
+    await assertFails(setDoc(doc(as('alice'), invitePath), invite({})));
+    await assertFails(setDoc(doc(as('alice'), invitePath), invite({ expiresAt: 'tomorrow' })));
+    await assertFails(setDoc(doc(as('alice'), invitePath), invite({ expiresAt: Timestamp.fromMillis(Date.now() - 1000) })));
+    await assertSucceeds(setDoc(doc(as('alice'), invitePath), invite({ expiresAt: Timestamp.fromMillis(Date.now() + 60000) })));
+  });
+});
@@ -0,0 +1,245 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MAX_DEVICE_NAME_LENGTH, createMirroringService, createInMemoryBackend } from '../mirroringService.js';
+import { SESSION_LEASE_MS } from '../sessionLease.js';
+
+const START_MS = Date.parse('2026-10-18T12:00:00Z');
+
+// Owner 'alice' with one registered TV; `clock.ms` controls the backend's time
+const setup = async () => {
+  const clock = { ms: START_MS };
+  const backend = createInMemoryBackend({ now: () => clock.ms });
+  const service = createMirroringService(backend);
+  backend.addPairing('123456', { uniqueId: 'tv-living-room', tvUserId: 'tv-user', claimedBy: 'alice' });
+  const { deviceId } = await service.registerDevice('alice', { code: '123456', name: 'Living room' });
+  const device = { id: deviceId };
+  return { clock, backend, service, device };
+};
+
+const read = (subscribe) => {
+  let value;
+  subscribe((next) => { value = next; })();
+  return value;
+};
+const auditTypes = (service, userId) => read(onChange => service.watchAuditLog(userId, {}, onChange)).map(event => event.type);
+const activeSession = (service, userId) => read(onChange => service.watchActiveSession(userId, onChange));
+
+describe('registration', () => {
+  it('creates the device once the TV confirmed the pairing', async () => {
+    const { service } = await setup();
+    const devices = read(onChange => service.watchDevices('alice', onChange));
+    expect(devices).toHaveLength(1);
+    expect(devices[0]).toMatchObject({ name: 'Living room', uniqueId: 'tv-living-room', receiverUserId: 'tv-user', state: 'Active' });
+    expect(auditTypes(service, 'alice')).toContain('REGISTER');
+  });
+
+  it('validates the code and name before reaching the backend', async () => {
+    const { service } = await setup();
+    expect(() => service.registerDevice('alice', { code: '12ab', name: 'TV' })).toThrow(/6-digit/);
+    expect(() => service.registerDevice('alice', { code: '123456', name: '  ' })).toThrow(/name/);
+    expect(() => service.registerDevice('alice', { code: '123456', name: 'x'.repeat(MAX_DEVICE_NAME_LENGTH + 1) })).toThrow(/at most/);
+  });
+
+  it('refuses renames longer than the name limit', async () => {
+    const { service, device } = await setup();
+    await expect(service.renameDevice('alice', { ...device, name: 'Living room' }, 'x'.repeat(MAX_DEVICE_NAME_LENGTH + 1))).rejects.toThrow(/at most/);
+    expect(await service.renameDevice('alice', { ...device, name: 'Living room' }, 'x'.repeat(MAX_DEVICE_NAME_LENGTH))).toBe(true);
+  });
+
+  it('rejects unconfirmed, expired and already registered pairings', async () => {
+    const { clock, backend, service } = await setup();
+    await expect(service.registerDevice('alice', { code: '999999', name: 'Unknown' })).rejects.toMatchObject({ code: 'failed-precondition' });
+
+    backend.addPairing('222222', { uniqueId: 'tv-bedroom', tvUserId: 'tv-2', claimedBy: 'alice', expiresAtMs: clock.ms + 1000 });
+    clock.ms += 2000;
+    await expect(service.registerDevice('alice', { code: '222222', name: 'Bedroom' })).rejects.toThrow(/expired/);
+
+    backend.addPairing('333333', { uniqueId: 'tv-living-room', tvUserId: 'tv-user', claimedBy: 'alice' });
+    await expect(service.registerDevice('alice', { code: '333333', name: 'Again' })).rejects.toThrow(/already registered/);
+    expect(auditTypes(service, 'alice').filter(type => type === 'PAIRING_FAILED')).toHaveLength(3);
+  });
+
+  it('refuses to pair a revoked TV again', async () => {
+    const { backend, service } = await setup();
+    const [device] = read(onChange => service.watchDevices('alice', onChange));
+    await service.revokeDevice('alice', device, 'Lost remote');
+
+    backend.addPairing('444444', { uniqueId: 'tv-living-room', tvUserId: 'tv-user', claimedBy: 'alice' });
+    await expect(service.registerDevice('alice', { code: '444444', name: 'Living room' })).rejects.toMatchObject({ code: 'permission-denied' });
+  });
+});
+
+describe('start and stop', () => {
+  it('starts a Negotiating session and stops it', async () => {
+    const { service, device } = await setup();
+    const decision = await service.startMirroring('alice', { device, senderInstanceId: 'tab-1' });
+    expect(decision).toMatchObject({ allowed: true, rule: 'ALL_RULES_PASSED' });
+    expect(activeSession(service, 'alice')).toMatchObject({ status: 'Negotiating', mirroringDeviceId: device.id, senderInstanceId: 'tab-1' });
+
+    expect(await service.stopMirroring('alice')).toEqual({ stopped: true });
+    expect(activeSession(service, 'alice')).toBeNull();
+    expect(auditTypes(service, 'alice')).toEqual(expect.arrayContaining(['AUTHORIZED', 'DISCONNECTED']));
+  });
+
+  it('reports nothing to stop when there is no session', async () => {
+    const { service } = await setup();
+    expect(await service.stopMirroring('alice')).toEqual({ stopped: false });
+  });
+});
+
+describe('denial paths', () => {
+  it('denies devices the user does not own', async () => {
+    const { service, device } = await setup();
+    const decision = await service.startMirroring('mallory', { device: { ...device, ownerId: 'alice' }, senderInstanceId: 'tab-m' });
+    expect(decision).toMatchObject({ allowed: false, rule: 'UNAUTHORIZED_DEVICE' });
+    expect(activeSession(service, 'mallory')).toBeNull();
+    expect(auditTypes(service, 'mallory')).toContain('DENIED');
+  });
+
+  it('denies disabled and revoked TVs', async () => {
+    const { service, device } = await setup();
+    const [stored] = read(onChange => service.watchDevices('alice', onChange));
+    await service.setDeviceDisabled('alice', stored, true);
+    expect(await service.startMirroring('alice', { device, senderInstanceId: 'tab-1' })).toMatchObject({ rule: 'DEVICE_DISABLED' });
+
+    await service.revokeDevice('alice', stored, '');
+    expect(await service.startMirroring('alice', { device, senderInstanceId: 'tab-1' })).toMatchObject({ rule: 'DEVICE_REVOKED' });
+  });
+
+  it("applies the owner's policy", async () => {
+    const { backend, service, device } = await setup();
+    backend.setPolicy('alice', { allowedRegions: ['CA'] });
+    expect(await service.startMirroring('alice', { device, region: 'US', senderInstanceId: 'tab-1' })).toMatchObject({ rule: 'REGION_NOT_ALLOWED' });
+    expect(await service.startMirroring('alice', { device, senderInstanceId: 'tab-1' })).toMatchObject({ rule: 'REGION_UNKNOWN' });
+    expect(await service.startMirroring('alice', { device, region: 'ca', senderInstanceId: 'tab-1' })).toMatchObject({ allowed: true });
+  });
+
+  it("ends guest sessions at the owner's maximum duration, not the guest's", async () => {
+    const { backend, service, device } = await setup();
+    backend.addGuest('alice', device.id, 'bob', 'Bob');
+    backend.setPolicy('alice', { maxSessionMinutes: 30 });
+    backend.setPolicy('bob', { maxSessionMinutes: 240 });
+
+    await service.startMirroring('bob', { device: { ...device, ownerId: 'alice' }, senderInstanceId: 'tab-b' });
+    expect(activeSession(service, 'bob').maxEndsAt.toMillis()).toBe(START_MS + 30 * 60 * 1000);
+  });
+
+  it('locks the TV after repeated denied attempts by someone with access', async () => {
+    const { backend, service, device } = await setup();
+    backend.setPolicy('alice', { allowedRegions: ['CA'], maxDeniedAttemptsPerDevice: 3, maxDeniedAttemptsPerUser: null });
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await service.startMirroring('alice', { device, region: 'US', senderInstanceId: 'tab-1' });
+    }
+    expect(await service.startMirroring('alice', { device, region: 'CA', senderInstanceId: 'tab-1' })).toMatchObject({ rule: 'LOCKED_OUT' });
+    expect(auditTypes(service, 'alice')).toContain('LOCKOUT');
+  });
+
+  it("counts a stranger's attempts against the stranger, not the TV or its owner", async () => {
+    const { service, device } = await setup();
+    const probe = () => service.startMirroring('mallory', { device: { ...device, ownerId: 'alice' }, senderInstanceId: 'tab-m' });
+    // Default thresholds: 5 per TV, 10 per user
+    for (let attempt = 0; attempt < 10; attempt++) {
+      expect(await probe()).toMatchObject({ rule: 'UNAUTHORIZED_DEVICE' });
+    }
+    expect(await probe()).toMatchObject({ rule: 'LOCKED_OUT' });
+    expect(auditTypes(service, 'mallory')).toContain('LOCKOUT');
+
+    expect(auditTypes(service, 'alice')).not.toContain('LOCKOUT');
+    expect(await service.startMirroring('alice', { device, senderInstanceId: 'tab-1' })).toMatchObject({ allowed: true });
+  });
+});
+
+describe('session conflicts', () => {
+  let env;
+  beforeEach(async () => {
+    env = await setup();
+    env.backend.addGuest('alice', env.device.id, 'bob', 'Bob');
+  });
+
+  it('allows one live session per user', async () => {
+    const { service, device } = env;
+    await service.startMirroring('alice', { device, senderInstanceId: 'tab-1' });
+    expect(await service.startMirroring('alice', { device, senderInstanceId: 'tab-2' })).toMatchObject({ rule: 'SESSION_ALREADY_ACTIVE' });
+    expect(activeSession(service, 'alice').senderInstanceId).toBe('tab-1');
+  });
+
+  it("keeps guests from taking over the owner's session", async () => {
+    const { service, device } = env;
+    await service.startMirroring('alice', { device, senderInstanceId: 'tab-1' });
+    const decision = await service.startMirroring('bob', { device: { ...device, ownerId: 'alice' }, senderInstanceId: 'tab-b' });
+    expect(decision).toMatchObject({ allowed: false, rule: 'OWNER_SESSION_ACTIVE' });
+  });
+
+  it("lets the owner take over a guest's session", async () => {
+    const { service, device } = env;
+    await service.startMirroring('bob', { device: { ...device, ownerId: 'alice' }, senderInstanceId: 'tab-b' });
+    expect(await service.startMirroring('alice', { device, senderInstanceId: 'tab-1' })).toMatchObject({ allowed: true });
+    expect(activeSession(service, 'bob')).toBeNull();
+    expect(auditTypes(service, 'bob')).toContain('KICKED');
+  });
+
+  it('enforces the per-device concurrency limit between users', async () => {
+    const { backend, service, device } = env;
+    backend.addGuest('alice', device.id, 'carol', 'Carol');
+    await service.startMirroring('bob', { device: { ...device, ownerId: 'alice' }, senderInstanceId: 'tab-b' });
+    const decision = await service.startMirroring('carol', { device: { ...device, ownerId: 'alice' }, senderInstanceId: 'tab-c' });
+    expect(decision).toMatchObject({ allowed: false, rule: 'DEVICE_CONCURRENCY_LIMIT' });
+  });
+
+  it("does not count another household's TV that reuses the uniqueId", async () => {
+    const { backend, service, device } = env;
+    backend.addPairing('654321', { uniqueId: 'tv-living-room', tvUserId: 'mallory-tv', claimedBy: 'mallory' });
+    const { deviceId } = await service.registerDevice('mallory', { code: '654321', name: 'Copycat' });
+    await service.startMirroring('mallory', { device: { id: deviceId }, senderInstanceId: 'tab-m' });
+
+    const decision = await service.startMirroring('bob', { device: { ...device, ownerId: 'alice' }, senderInstanceId: 'tab-b' });
+    expect(decision).toMatchObject({ allowed: true });
+    expect(activeSession(service, 'mallory')).toMatchObject({ status: 'Negotiating' });
+  });
+
+  it("ends guests' sessions when the TV is disabled, and keeps their access", async () => {
+    const { service, device } = env;
+    const shared = { ...device, ownerId: 'alice' };
+    await service.startMirroring('bob', { device: shared, senderInstanceId: 'tab-b' });
+
+    const [stored] = read(onChange => service.watchDevices('alice', onChange));
+    await service.setDeviceDisabled('alice', stored, true);
+    expect(activeSession(service, 'bob')).toBeNull();
+    expect(auditTypes(service, 'bob')).toContain('KICKED');
+
+    await service.setDeviceDisabled('alice', stored, false);
+    expect(await service.startMirroring('bob', { device: shared, senderInstanceId: 'tab-b' })).toMatchObject({ allowed: true });
+  });
+
+  it("leaves guests' sessions alone when an active TV is renamed", async () => {
+    const { service, device } = env;
+    await service.startMirroring('bob', { device: { ...device, ownerId: 'alice' }, senderInstanceId: 'tab-b' });
+
+    const [stored] = read(onChange => service.watchDevices('alice', onChange));
+    await service.renameDevice('alice', stored, 'Den');
+    expect(activeSession(service, 'bob')).toMatchObject({ status: 'Negotiating', mirroringDeviceId: device.id });
+    expect(auditTypes(service, 'bob')).not.toContain('KICKED');
+  });
+
+  it("ends guests' sessions and removes their access when the TV is revoked", async () => {
+    const { service, device } = env;
+    const shared = { ...device, ownerId: 'alice' };
+    await service.startMirroring('bob', { device: shared, senderInstanceId: 'tab-b' });
+
+    const [stored] = read(onChange => service.watchDevices('alice', onChange));
+    await service.revokeDevice('alice', stored, '');
+    expect(activeSession(service, 'bob')).toBeNull();
+    expect(auditTypes(service, 'bob')).toEqual(expect.arrayContaining(['KICKED', 'SHARE_REVOKED']));
+    expect(auditTypes(service, 'alice')).toContain('SHARE_REVOKED');
+    expect(read(onChange => service.watchDevices('alice', onChange))[0].guests).toEqual({});
+    expect(await service.startMirroring('bob', { device: shared, senderInstanceId: 'tab-b' })).toMatchObject({ rule: 'UNAUTHORIZED_DEVICE' });
+  });
+
+  it('expires a session whose lease lapsed instead of blocking the user', async () => {
+    const { clock, service, device } = env;
+    await service.startMirroring('alice', { device, senderInstanceId: 'tab-1' });
+    clock.ms += SESSION_LEASE_MS + 1000;
+    expect(await service.startMirroring('alice', { device, senderInstanceId: 'tab-2' })).toMatchObject({ allowed: true });
+    expect(activeSession(service, 'alice').senderInstanceId).toBe('tab-2');
+    expect(auditTypes(service, 'alice')).toContain('EXPIRED');
+  });
+});
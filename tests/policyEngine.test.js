@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateMirroringPolicy, isWithinTimeWindow, hasExceededMaxDuration, normalizePolicy } from '../policyEngine.js';
+
+const device = { id: 'device-1' };
+const registeredDevice = { id: 'device-1', name: 'Living room', uniqueId: 'tv-1', state: 'Active' };
+// 2026-10-14 is a Wednesday (day 3)
+const wednesdayAt = (hhmm) => new Date(`2026-10-14T${hhmm}:00Z`);
+
+const evaluate = (policy, context = {}) => evaluateMirroringPolicy({ timeZone: 'UTC', ...policy }, {
+  device, registeredDevice, now: wednesdayAt('12:00'), ...context,
+});
+
+describe('time windows', () => {
+  it('allows inside and denies outside the window', () => {
+    const policy = { timeWindows: [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }] };
+    expect(evaluate(policy)).toMatchObject({ allowed: true });
+    expect(evaluate(policy, { now: wednesdayAt('17:00') })).toMatchObject({ allowed: false, rule: 'OUTSIDE_TIME_WINDOW' });
+    expect(evaluate({ timeWindows: [{ days: [0, 6], start: '09:00', end: '17:00' }] })).toMatchObject({ rule: 'OUTSIDE_TIME_WINDOW' });
+  });
+
+  it("counts the hours after midnight of an overnight window towards the previous day", () => {
+    const overnight = { days: [2], start: '22:00', end: '02:00' }; // Tuesday night
+    expect(isWithinTimeWindow(overnight, wednesdayAt('01:30'), 'UTC')).toBe(true);
+    expect(isWithinTimeWindow(overnight, wednesdayAt('23:00'), 'UTC')).toBe(false);
+    expect(isWithinTimeWindow(overnight, new Date('2026-10-13T23:00:00Z'), 'UTC')).toBe(true);
+  });
+
+  it("evaluates windows in the policy's time zone", () => {
+    const window = { start: '09:00', end: '10:00' };
+    expect(isWithinTimeWindow(window, wednesdayAt('13:30'), 'America/New_York')).toBe(true);
+    expect(isWithinTimeWindow(window, wednesdayAt('13:30'), 'UTC')).toBe(false);
+  });
+
+  it('allows any time when no window is configured', () => {
+    expect(evaluate({}, { now: wednesdayAt('03:00') })).toMatchObject({ allowed: true, rule: 'ALL_RULES_PASSED' });
+  });
+});
+
+describe('per-device rules', () => {
+  it('denies unknown devices', () => {
+    expect(evaluate({}, { registeredDevice: null })).toMatchObject({ allowed: false, rule: 'UNAUTHORIZED_DEVICE' });
+  });
+
+  it('denies revoked and disabled devices', () => {
+    expect(evaluate({}, { registeredDevice: { ...registeredDevice, state: 'Revoked', revokedReason: 'Lost' } })).toMatchObject({ rule: 'DEVICE_REVOKED' });
+    expect(evaluate({}, { registeredDevice: { ...registeredDevice, state: 'Disabled' } })).toMatchObject({ rule: 'DEVICE_DISABLED' });
+  });
+
+  it('treats devices without a state as Active', () => {
+    const { state, ...legacy } = registeredDevice;
+    expect(evaluate({}, { registeredDevice: legacy })).toMatchObject({ allowed: true });
+  });
+
+  it('keeps guests off a TV its owner is using', () => {
+    expect(evaluate({}, { role: 'guest', ownerHasLiveSessionOnDevice: true })).toMatchObject({ rule: 'OWNER_SESSION_ACTIVE' });
+    expect(evaluate({}, { role: 'owner', ownerHasLiveSessionOnDevice: true })).toMatchObject({ allowed: true });
+  });
+});
+
+describe('regions', () => {
+  it('requires a known, allowed region when regions are restricted', () => {
+    const policy = { allowedRegions: ['us', 'CA'] };
+    expect(evaluate(policy, { region: 'CA' })).toMatchObject({ allowed: true });
+    expect(evaluate(policy, { region: 'us' })).toMatchObject({ allowed: true });
+    expect(evaluate(policy, { region: 'DE' })).toMatchObject({ rule: 'REGION_NOT_ALLOWED' });
+    expect(evaluate(policy, { region: null })).toMatchObject({ rule: 'REGION_UNKNOWN' });
+  });
+});
+
+describe('concurrency limit', () => {
+  it("denies once the TV has as many other users' live sessions as the limit", () => {
+    expect(evaluate({}, { deviceLiveSessionCount: 0 })).toMatchObject({ allowed: true });
+    expect(evaluate({}, { deviceLiveSessionCount: 1 })).toMatchObject({ rule: 'DEVICE_CONCURRENCY_LIMIT' });
+    expect(evaluate({ maxConcurrentSessionsPerDevice: 2 }, { deviceLiveSessionCount: 1 })).toMatchObject({ allowed: true });
+    expect(evaluate({ maxConcurrentSessionsPerDevice: 2 }, { deviceLiveSessionCount: 2 })).toMatchObject({ rule: 'DEVICE_CONCURRENCY_LIMIT' });
+  });
+
+  it("denies a user's second live session", () => {
+    expect(evaluate({}, { userHasLiveSession: true })).toMatchObject({ rule: 'SESSION_ALREADY_ACTIVE' });
+  });
+});
+
+describe('deny precedence', () => {
+  // Every rule fails at once; removing the failure that fired exposes the next one
+  const everythingFails = {
+    lockout: { scope: 'device', untilMs: wednesdayAt('20:30').getTime() },
+    registeredDevice: { ...registeredDevice, state: 'Disabled' },
+    userHasLiveSession: true,
+    role: 'guest',
+    ownerHasLiveSessionOnDevice: true,
+    now: wednesdayAt('20:00'),
+    region: 'DE',
+    deviceLiveSessionCount: 5,
+  };
+  const strictPolicy = { timeWindows: [{ start: '09:00', end: '17:00' }], allowedRegions: ['US'] };
+
+  it('fires the rules in a fixed order', () => {
+    const fired = [];
+    const context = { ...everythingFails };
+    const relax = {
+      LOCKED_OUT: () => { context.lockout = null; },
+      DEVICE_DISABLED: () => { context.registeredDevice = registeredDevice; },
+      SESSION_ALREADY_ACTIVE: () => { context.userHasLiveSession = false; },
+      OWNER_SESSION_ACTIVE: () => { context.ownerHasLiveSessionOnDevice = false; },
+      OUTSIDE_TIME_WINDOW: () => { context.now = wednesdayAt('12:00'); },
+      REGION_NOT_ALLOWED: () => { context.region = 'US'; },
+      DEVICE_CONCURRENCY_LIMIT: () => { context.deviceLiveSessionCount = 0; },
+    };
+    for (let decision = evaluate(strictPolicy, context); !decision.allowed; decision = evaluate(strictPolicy, context)) {
+      fired.push(decision.rule);
+      relax[decision.rule]();
+    }
+    expect(fired).toEqual(Object.keys(relax));
+  });
+
+  it('reports a lockout before revealing whether the device exists', () => {
+    expect(evaluate({}, { ...everythingFails, registeredDevice: null })).toMatchObject({ rule: 'LOCKED_OUT' });
+    expect(evaluate({}, { ...everythingFails, registeredDevice: null }).reason).toMatch(/30 min/);
+  });
+});
+
+describe('session duration and defaults', () => {
+  it('ends sessions that outlive the maximum duration', () => {
+    expect(hasExceededMaxDuration({ maxSessionMinutes: 30 }, 0, 30 * 60 * 1000)).toBe(true);
+    expect(hasExceededMaxDuration({ maxSessionMinutes: 30 }, 0, 29 * 60 * 1000)).toBe(false);
+    expect(hasExceededMaxDuration({}, 0, 10 ** 12)).toBe(false);
+  });
+
+  it('fills in defaults for partial policy docs', () => {
+    expect(normalizePolicy({ allowedRegions: [' ca '] })).toMatchObject({ allowedRegions: ['CA'], timeWindows: [], maxConcurrentSessionsPerDevice: 1 });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_STREAM_PROFILE, MIN_BITRATE_KBPS, MAX_BITRATE_KBPS, sanitizeStreamProfile, normalizeStreamProfile, applySessionOverrides,
+  toCaptureOptions, buildNegotiatedProfile, describeStreamProfile,
+} from '../streamProfile.js';
+
+describe('bitrate caps', () => {
+  it('clamps out-of-range caps instead of dropping them', () => {
+    expect(sanitizeStreamProfile({ maxBitrateKbps: 100 })).toEqual({ maxBitrateKbps: MIN_BITRATE_KBPS });
+    expect(sanitizeStreamProfile({ maxBitrateKbps: 0 })).toEqual({ maxBitrateKbps: MIN_BITRATE_KBPS });
+    expect(sanitizeStreamProfile({ maxBitrateKbps: 10 ** 6 })).toEqual({ maxBitrateKbps: MAX_BITRATE_KBPS });
+    expect(normalizeStreamProfile({ maxBitrateKbps: 100 }).maxBitrateKbps).toBe(MIN_BITRATE_KBPS);
+  });
+
+  it('keeps null as uncapped', () => {
+    expect(sanitizeStreamProfile({ maxBitrateKbps: null })).toEqual({ maxBitrateKbps: null });
+    expect(normalizeStreamProfile({}).maxBitrateKbps).toBeNull();
+  });
+
+  it('never lets a too-low override lift the TV cap', () => {
+    expect(applySessionOverrides({ maxBitrateKbps: 4000 }, { maxBitrateKbps: 100 }).maxBitrateKbps).toBe(MIN_BITRATE_KBPS);
+    expect(applySessionOverrides({ maxBitrateKbps: null }, { maxBitrateKbps: 100 }).maxBitrateKbps).toBe(MIN_BITRATE_KBPS);
+  });
+});
+
+describe('session overrides', () => {
+  const device = { maxResolution: '1440p', maxFps: 30, audio: false, maxBitrateKbps: 6000, privacyBlur: false };
+
+  it('only tighten the TV profile', () => {
+    expect(applySessionOverrides(device, { maxResolution: '2160p', maxFps: 60, audio: true, maxBitrateKbps: 9000 })).toEqual(device);
+    expect(applySessionOverrides(device, { maxResolution: '720p', maxFps: 15, maxBitrateKbps: 2000, privacyBlur: true })).toEqual({
+      maxResolution: '720p', maxFps: 15, audio: false, maxBitrateKbps: 2000, privacyBlur: true,
+    });
+  });
+
+  it('ignore invalid fields', () => {
+    expect(applySessionOverrides(undefined, { maxResolution: '8k', maxFps: 29, audio: 'no' })).toEqual(DEFAULT_STREAM_PROFILE);
+  });
+});
+
+describe('capture', () => {
+  it('turns a profile into getDisplayMedia options', () => {
+    expect(toCaptureOptions(normalizeStreamProfile({ maxResolution: '720p', maxFps: 24, audio: false, privacyBlur: true }))).toEqual({
+      video: { width: { max: 1280 }, height: { max: 720 }, frameRate: { max: 24 } },
+      audio: false,
+      monitorTypeSurfaces: 'exclude',
+      surfaceSwitching: 'exclude',
+    });
+  });
+
+  it('reports what the capture delivered within the profile', () => {
+    const profile = normalizeStreamProfile({ maxFps: 30, maxBitrateKbps: 2500 });
+    expect(buildNegotiatedProfile(profile, { width: 1920, height: 1080, frameRate: 59.94, hasAudio: true })).toEqual({
+      width: 1920, height: 1080, fps: 30, audio: true, maxBitrateKbps: 2500, privacyBlur: false,
+    });
+    expect(describeStreamProfile(profile)).toBe('1080p · 30 fps · audio · 2.5 Mbps');
+  });
+});
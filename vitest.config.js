@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// Unit tests run without Firebase. The emulator suite has its own config (see package.json).
+export default defineConfig({
+  test: {
+    include: ['tests/**/*.test.js'],
+    exclude: ['tests/emulator/**', 'node_modules/**'],
+  },
+});
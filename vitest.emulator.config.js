@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config';
+
+// Rules and Cloud Functions tests against the Firebase emulators; run with `npm run test:emulator`,
+// which starts them. Files share one emulator, so they run one at a time.
+export default defineConfig({
+  test: {
+    include: ['tests/emulator/**/*.test.js'],
+    fileParallelism: false,
+    testTimeout: 30000,
+    hookTimeout: 30000,
+  },
+});